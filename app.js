@@ -1,9 +1,10 @@
-/* ===== IndexedDB Wrapper (v2 — 4 Stores) ===== */
+/* ===== IndexedDB Wrapper (v8 — 9 Stores) ===== */
 class DB {
-  constructor(name = 'SpanischAppDB', version = 2) {
+  constructor(name = 'SpanischAppDB', version = 8) {
     this.name = name;
     this.version = version;
     this.db = null;
+    this.device = null; // { id, name } of this browser, see _loadDevice
   }
 
   open() {
@@ -35,10 +36,12 @@ class DB {
           ls.createIndex('by-topic', 'topicId', { unique: false });
         }
 
-        // Files (with lessonId index)
+        // Files (with lessonId index; linkedLessonIds lists the other lessons
+        // a library file is attached to)
         if (!db.objectStoreNames.contains('files')) {
           const fs = db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
           fs.createIndex('by-lesson', 'lessonId', { unique: false });
+          fs.createIndex('by-linked-lesson', 'linkedLessonIds', { unique: false, multiEntry: true });
         } else {
           const tx = e.target.transaction;
           const fs = tx.objectStore('files');
@@ -49,15 +52,141 @@ class DB {
           } else if (!fs.indexNames.contains('by-lesson')) {
             fs.createIndex('by-lesson', 'lessonId', { unique: false });
           }
+          if (!fs.indexNames.contains('by-linked-lesson')) {
+            fs.createIndex('by-linked-lesson', 'linkedLessonIds', { unique: false, multiEntry: true });
+          }
+        }
+
+        // Extracted file texts for full-text search (keyed by file id)
+        if (!db.objectStoreNames.contains('texts')) {
+          db.createObjectStore('texts', { keyPath: 'fileId' });
+        }
+
+        // File contents, stored once per content hash and reference counted
+        if (!db.objectStoreNames.contains('blobs')) {
+          db.createObjectStore('blobs', { keyPath: 'hash' });
+        }
+
+        // Reusable lesson templates
+        if (!db.objectStoreNames.contains('templates')) {
+          db.createObjectStore('templates', { keyPath: 'id', autoIncrement: true });
+        }
+
+        // Sync: outbox of local changes (one entry per record) and the
+        // device and sync state
+        if (!db.objectStoreNames.contains('changes')) {
+          db.createObjectStore('changes', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+
+        // Free-form tags on every entity; a uid identifies a record across
+        // devices, where the local ids differ
+        for (const name of DB.STORES) {
+          const store = e.target.transaction.objectStore(name);
+          if (!store.indexNames.contains('by-tag')) {
+            store.createIndex('by-tag', 'tags', { unique: false, multiEntry: true });
+          }
+          if (!store.indexNames.contains('by-uid')) {
+            store.createIndex('by-uid', 'uid', { unique: false });
+            store.openCursor().onsuccess = (ev) => {
+              const cursor = ev.target.result;
+              if (!cursor) return;
+              if (!cursor.value.uid) cursor.update({ ...cursor.value, uid: DB.newUid() });
+              cursor.continue();
+            };
+          }
         }
       };
-      req.onsuccess = (e) => { this.db = e.target.result; resolve(this.db); };
+      req.onsuccess = (e) => {
+        this.db = e.target.result;
+        this._loadDevice().then(() => resolve(this.db), reject);
+      };
       req.onerror = (e) => reject(e.target.error);
     });
   }
 
+  static newUid() {
+    return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  // The device id tags this browser's entries in the change log
+  async _loadDevice() {
+    this.device = await this.getMeta('device');
+    if (this.device) return;
+    this.device = { key: 'device', id: DB.newUid(), name: '' };
+    await this.setMeta(this.device);
+  }
+
   _tx(storeName, mode = 'readonly') {
-    return this.db.transaction(storeName, mode).objectStore(storeName);
+    return this._transaction(storeName, mode).objectStore(storeName);
+  }
+
+  // Writes to the four library stores are logged in the changes store
+  // within the same transaction, so the log never misses or invents a
+  // change. remote: true writes changes from other devices without logging
+  // them again.
+  _transaction(storeNames, mode = 'readonly', { remote = false } = {}) {
+    const names = [].concat(storeNames);
+    const logged = mode === 'readwrite' && names.some(n => DB.STORES.includes(n));
+    const tx = this.db.transaction(logged ? [...new Set([...names, 'changes'])] : names, mode);
+    if (!logged || remote) return tx;
+    const objectStore = tx.objectStore.bind(tx);
+    tx.objectStore = (name) => DB.STORES.includes(name) ? this._loggedStore(objectStore(name), objectStore('changes')) : objectStore(name);
+    return tx;
+  }
+
+  // An object store whose add/put/delete/clear also write change log
+  // entries. The lookups that tell created from updated (and find the uid
+  // of a deleted record) are queued before the write, so they see the old
+  // state. A lesson's entry keeps the lesson as it was before the first
+  // unsent change as base, for the merge in Sync.mergeLesson.
+  _loggedStore(store, changes) {
+    const log = (id, uid, op, base = null) => {
+      if (!uid) return;
+      const key = `${store.name}:${uid}`;
+      const entry = { key, store: store.name, uid, id, op, at: Date.now(), device: this.device.id };
+      if (!base) return changes.put(entry);
+      const pending = changes.get(key);
+      pending.addEventListener('success', () => {
+        const kept = pending.result ? pending.result.base : base;
+        changes.put(kept ? { ...entry, base: kept } : entry);
+      });
+    };
+    const created = (req, value) => {
+      req.addEventListener('success', () => log(req.result, value.uid, 'created'));
+      return req;
+    };
+    const overrides = {
+      // A new record is always a new record elsewhere, even if it was copied
+      add: (value, ...args) => {
+        value.uid = DB.newUid();
+        return created(store.add(value, ...args), value);
+      },
+      put: (value, ...args) => {
+        if (!value.uid) value.uid = DB.newUid();
+        if (value.id == null) return created(store.put(value, ...args), value);
+        const old = store.get(value.id);
+        old.addEventListener('success', () => {
+          log(value.id, value.uid, old.result ? 'updated' : 'created', store.name === 'lessons' ? old.result : null);
+        });
+        return store.put(value, ...args);
+      },
+      delete: (key) => {
+        const old = store.get(key);
+        old.addEventListener('success', () => log(key, old.result?.uid, 'deleted'));
+        return store.delete(key);
+      },
+      clear: () => {
+        const all = store.getAll();
+        all.addEventListener('success', () => all.result.forEach(r => log(r.id, r.uid, 'deleted')));
+        return store.clear();
+      },
+    };
+    return new Proxy(store, {
+      get: (target, prop) => overrides[prop] || (typeof target[prop] === 'function' ? target[prop].bind(target) : target[prop]),
+    });
   }
 
   _req(store, method, ...args) {
@@ -68,6 +197,14 @@ class DB {
     });
   }
 
+  _txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaktion abgebrochen'));
+    });
+  }
+
   _getByIndex(storeName, indexName, key) {
     return new Promise((resolve, reject) => {
       const idx = this._tx(storeName).index(indexName);
@@ -101,18 +238,424 @@ class DB {
   deleteLesson(id) { return this._req(this._tx('lessons', 'readwrite'), 'delete', id); }
 
   /* -- Files -- */
-  addFile(f) { return this._req(this._tx('files', 'readwrite'), 'add', f); }
+  // f carries its blob and content hash. The blob is stored once per hash in
+  // the blobs store; the file record itself only keeps the hash.
+  async addFile({ blob, ...f }) {
+    const tx = this._transaction(['files', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    let id;
+    try {
+      await this._retainBlob(tx.objectStore('blobs'), f.hash, blob);
+      id = await this._req(tx.objectStore('files'), 'add', f);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
+    }
+    await done;
+    return id;
+  }
+
   getFiles() { return this._req(this._tx('files'), 'getAll'); }
   getFile(id) { return this._req(this._tx('files'), 'get', id); }
   getFilesByLesson(lessonId) { return this._getByIndex('files', 'by-lesson', lessonId); }
   updateFile(f) { return this._req(this._tx('files', 'readwrite'), 'put', f); }
-  deleteFile(id) { return this._req(this._tx('files', 'readwrite'), 'delete', id); }
+
+  async deleteFile(id) {
+    const tx = this._transaction(['files', 'texts', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const file = await this._req(tx.objectStore('files'), 'get', id);
+    tx.objectStore('texts').delete(id);
+    tx.objectStore('files').delete(id);
+    if (file) {
+      for (const hash of DB.fileHashes(file)) await this._releaseBlob(tx.objectStore('blobs'), hash);
+    }
+    await done;
+  }
+
+  /* -- File versions -- */
+  // Previous contents live in file.versions (oldest first) as
+  // { hash, name, type, size, uploadedAt }; each keeps its blob referenced.
+  // The extracted text is dropped so the index picks up the new content.
+  async addFileVersion(id, { blob, hash, name, type, size }) {
+    const tx = this._transaction(['files', 'texts', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    let file;
+    try {
+      file = await this._req(tx.objectStore('files'), 'get', id);
+      if (!file) throw new Error('Datei nicht gefunden');
+      await this._retainBlob(tx.objectStore('blobs'), hash, blob);
+      file.versions = [...(file.versions || []), DB._versionOf(file)];
+      Object.assign(file, { hash, type, size, originalName: name, updatedAt: Date.now() });
+      await this._req(tx.objectStore('files'), 'put', file);
+      tx.objectStore('texts').delete(id);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
+    }
+    await done;
+    return file;
+  }
+
+  // Makes versions[index] current again; the replaced content becomes the
+  // newest entry of the history, so nothing is lost.
+  async restoreFileVersion(id, index) {
+    const tx = this._transaction(['files', 'texts'], 'readwrite');
+    const done = this._txDone(tx);
+    const file = await this._req(tx.objectStore('files'), 'get', id);
+    const version = file?.versions?.[index];
+    if (!version) {
+      tx.abort();
+      await done.catch(() => {});
+      return null;
+    }
+    file.versions = [...file.versions.filter((_, i) => i !== index), DB._versionOf(file)];
+    Object.assign(file, {
+      hash: version.hash, type: version.type, size: version.size,
+      originalName: version.name, updatedAt: Date.now(),
+    });
+    await this._req(tx.objectStore('files'), 'put', file);
+    tx.objectStore('texts').delete(id);
+    await done;
+    return file;
+  }
+
+  static _versionOf(file) {
+    return {
+      hash: file.hash,
+      name: file.originalName || file.name,
+      type: file.type,
+      size: file.size,
+      uploadedAt: file.updatedAt || file.uploadedAt,
+    };
+  }
+
+  // Every blob a file record references: the current one and its versions.
+  static fileHashes(file) {
+    return [file.hash, ...(file.versions || []).map(v => v.hash)];
+  }
+
+  /* -- Blobs (content-addressed) -- */
+  async getBlob(hash) {
+    const rec = hash ? await this._req(this._tx('blobs'), 'get', hash) : null;
+    return rec?.blob || null;
+  }
+
+  hasBlob(hash) {
+    return this._req(this._tx('blobs'), 'count', hash).then(n => n > 0);
+  }
+
+  getBlobs() { return this._req(this._tx('blobs'), 'getAll'); }
+
+  // Both run inside a caller's transaction on the blobs store. Without a
+  // blob, only an already stored one gains a reference; false if there is
+  // none.
+  async _retainBlob(blobs, hash, blob) {
+    const rec = await this._req(blobs, 'get', hash);
+    if (!rec && !blob) return false;
+    if (rec) rec.refs++;
+    await this._req(blobs, 'put', rec || { hash, blob, size: blob.size, refs: 1 });
+    return true;
+  }
+
+  async _releaseBlob(blobs, hash) {
+    const rec = hash ? await this._req(blobs, 'get', hash) : null;
+    if (!rec) return;
+    if (--rec.refs > 0) await this._req(blobs, 'put', rec);
+    else await this._req(blobs, 'delete', hash);
+  }
+
+  // SHA-256 of the content, hex encoded. crypto.subtle only exists in secure
+  // contexts (https, localhost); elsewhere every blob gets a unique key and
+  // nothing is deduplicated.
+  static async contentHash(blob) {
+    if (!globalThis.crypto?.subtle) return `unique-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Up to v3 every file record carried its own blob. Moves those into the
+  // blobs store; runs on every start and is a no-op once done.
+  async migrateBlobs() {
+    const legacy = (await this.getFiles()).filter(f => f.blob);
+    for (const { blob, ...f } of legacy) {
+      const hash = f.hash || await DB.contentHash(blob);
+      const tx = this._transaction(['files', 'blobs'], 'readwrite');
+      const done = this._txDone(tx);
+      await this._retainBlob(tx.objectStore('blobs'), hash, blob);
+      await this._req(tx.objectStore('files'), 'put', { ...f, hash });
+      await done;
+    }
+    return legacy.length;
+  }
+
+  // Writes several records of one store in a single transaction, e.g. the
+  // renumbered siblings and the new parent id of a moved item.
+  putMany(storeName, records) {
+    return new Promise((resolve, reject) => {
+      const tx = this._transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      for (const r of records) store.put(r);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /* -- Generic record access (undo history, sync) -- */
+  getRecord(storeName, id) { return this._req(this._tx(storeName), 'get', id); }
+  getAll(storeName) { return this._req(this._tx(storeName), 'getAll'); }
+
+  // Records outside the trash that carry tag, per store, looked up in the
+  // by-tag index. Tags compare like search terms, so every spelling in the
+  // index that SearchQuery.normalize folds to tag is read.
+  async getTagged(tag) {
+    const tx = this._transaction(DB.STORES);
+    const out = {};
+    for (const name of DB.STORES) {
+      const index = tx.objectStore(name).index('by-tag');
+      const spellings = await new Promise((resolve, reject) => {
+        const keys = [];
+        const req = index.openKeyCursor(null, 'nextunique');
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve(keys);
+          if (SearchQuery.normalize(cursor.key) === tag) keys.push(cursor.key);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      });
+      out[name] = [];
+      for (const key of spellings) out[name].push(...await this._req(index, 'getAll', key));
+      out[name] = out[name].filter(r => !r.deletedAt);
+    }
+    return out;
+  }
+
+  // A file record that comes back after being purged (redo) takes its blob
+  // references back. Fails if a blob is gone meanwhile, rather than leaving
+  // a file without content.
+  async putRecord(storeName, rec) {
+    if (storeName !== 'files') return this._req(this._tx(storeName, 'readwrite'), 'put', rec);
+    const tx = this._transaction(['files', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    if (!await this._req(tx.objectStore('files'), 'count', rec.id)) {
+      for (const hash of DB.fileHashes(rec)) {
+        if (await this._retainBlob(tx.objectStore('blobs'), hash)) continue;
+        tx.abort();
+        await done.catch(() => {});
+        throw new Error('Dateiinhalt fehlt');
+      }
+    }
+    await this._req(tx.objectStore('files'), 'put', rec);
+    await done;
+  }
+
+  /* -- Duplicate -- */
+  // Deep-copies a folder, topic or lesson with everything live below it into
+  // parentId (default: next to the original). Copied files share their blobs
+  // with the originals; attachments between copied lessons point at the
+  // copies and library files attached from outside get the copied lessons
+  // as well. Lesson dates and due dates move by dayOffset days; copied tasks
+  // start out open. Returns the created and changed records for undo.
+  async duplicate(storeName, id, { parentId, name, dayOffset = 0 } = {}) {
+    const tx = this._transaction([...DB.STORES, 'texts', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const store = (n) => tx.objectStore(n);
+    const live = (list) => list.filter(x => !x.deletedAt);
+    const changes = [];
+    const add = async (n, rec) => {
+      const newId = await this._req(store(n), 'add', rec);
+      changes.push({ store: n, id: newId, before: null, after: { ...rec, id: newId } });
+      return newId;
+    };
+    const lessonIds = new Map(); // original -> copy
+
+    const copyLesson = async ({ id: lessonId, srs, drillResults, ...l }, topicId, extra = {}) => {
+      const tasks = l.tasks?.map(({ done, doneAt, ...t }) => ({ ...structuredClone(t), due: DB.shiftDate(t.due, dayOffset) }));
+      const vocab = l.vocab?.map(({ srs, ...v }) => v);
+      const drills = l.drills?.map(({ lastResult, ...d }) => structuredClone(d));
+      lessonIds.set(lessonId, await add('lessons', {
+        ...structuredClone(l), topicId, date: DB.shiftDate(l.date, dayOffset), createdAt: Date.now(),
+        ...(tasks ? { tasks } : {}), ...(vocab ? { vocab } : {}), ...(drills ? { drills } : {}), ...extra,
+      }));
+    };
+    const copyTopic = async ({ id: topicId, ...t }, folderId, extra = {}) => {
+      const copyId = await add('topics', { ...structuredClone(t), folderId, createdAt: Date.now(), ...extra });
+      for (const l of live(await this._req(store('lessons').index('by-topic'), 'getAll', topicId))) await copyLesson(l, copyId);
+    };
+    const copyFolder = async ({ id: folderId, ...f }, extra = {}) => {
+      const copyId = await add('folders', { ...structuredClone(f), createdAt: Date.now(), ...extra });
+      for (const t of live(await this._req(store('topics').index('by-folder'), 'getAll', folderId))) await copyTopic(t, copyId);
+    };
+
+    const root = await this._req(store(storeName), 'get', id);
+    if (!root) {
+      tx.abort();
+      await done.catch(() => {});
+      return null;
+    }
+    const nameKey = storeName === 'lessons' ? 'title' : 'name';
+    const parentKey = { folders: null, topics: 'folderId', lessons: 'topicId' }[storeName];
+    const target = parentKey ? parentId ?? root[parentKey] : null;
+    const siblings = parentKey
+      ? await this._req(store(storeName).index(storeName === 'topics' ? 'by-folder' : 'by-topic'), 'getAll', target)
+      : await this._req(store(storeName), 'getAll');
+    const extra = { order: Math.max(-1, ...siblings.map(s => s.order ?? s.id)) + 1, ...(name ? { [nameKey]: name } : {}) };
+    if (storeName === 'folders') await copyFolder(root, extra);
+    else if (storeName === 'topics') await copyTopic(root, target, extra);
+    else await copyLesson(root, target, extra);
+
+    const attached = new Map(); // fileId -> { before, after }
+    const fileIds = new Map();  // original -> copy
+    for (const [from, to] of lessonIds) {
+      for (const file of live(await this._req(store('files').index('by-lesson'), 'getAll', from))) {
+        const { id: fileId, linkedLessonIds, ...f } = file;
+        const linked = (linkedLessonIds || []).filter(l => lessonIds.has(l)).map(l => lessonIds.get(l));
+        const copyId = await add('files', { ...structuredClone(f), lessonId: to, ...(linked.length ? { linkedLessonIds: linked } : {}) });
+        fileIds.set(fileId, copyId);
+        for (const hash of DB.fileHashes(file)) await this._retainBlob(store('blobs'), hash);
+        const text = await this._req(store('texts'), 'get', fileId);
+        if (text) await this._req(store('texts'), 'put', { ...text, fileId: copyId });
+      }
+      for (const file of live(await this._req(store('files').index('by-linked-lesson'), 'getAll', from))) {
+        if (lessonIds.has(file.lessonId)) continue; // copied along with its home lesson
+        const entry = attached.get(file.id) || { before: structuredClone(file), after: file };
+        entry.after.linkedLessonIds = [...entry.after.linkedLessonIds, to];
+        attached.set(file.id, entry);
+      }
+    }
+    for (const [fileId, { before, after }] of attached) {
+      await this._req(store('files'), 'put', after);
+      changes.push({ store: 'files', id: fileId, before, after: structuredClone(after) });
+    }
+    // Tasks of the copied lessons point at the copied files
+    for (const { store: n, after } of changes) {
+      if (n !== 'lessons' || !after.tasks?.some(t => t.fileIds?.length)) continue;
+      after.tasks = after.tasks.map(t => ({ ...t, fileIds: (t.fileIds || []).map(id => fileIds.get(id) ?? id) }));
+      await this._req(store('lessons'), 'put', after);
+    }
+    await done;
+    return changes;
+  }
+
+  // 'YYYY-MM-DD' moved by a number of days
+  static shiftDate(iso, days) {
+    if (!iso || !days) return iso;
+    const d = new Date(`${iso}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  }
+
+  /* -- Lesson templates -- */
+  // A template keeps snapshots of its standard files ({ hash, name, type,
+  // size }); each holds a reference on its blob like a file record does.
+  getTemplates() { return this._req(this._tx('templates'), 'getAll'); }
+
+  async addTemplate(t) {
+    const tx = this._transaction(['templates', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    for (const f of t.files) await this._retainBlob(tx.objectStore('blobs'), f.hash);
+    const id = await this._req(tx.objectStore('templates'), 'add', t);
+    await done;
+    return id;
+  }
+
+  async deleteTemplate(id) {
+    const tx = this._transaction(['templates', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const t = await this._req(tx.objectStore('templates'), 'get', id);
+    for (const f of t?.files || []) await this._releaseBlob(tx.objectStore('blobs'), f.hash);
+    tx.objectStore('templates').delete(id);
+    await done;
+  }
+
+  // Creates the template's standard files in a lesson and returns them.
+  async addTemplateFiles(template, lessonId) {
+    const tx = this._transaction(['files', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const added = [];
+    for (const { hash, name, type, size } of template.files) {
+      if (!await this._req(tx.objectStore('blobs'), 'count', hash)) continue;
+      await this._retainBlob(tx.objectStore('blobs'), hash);
+      const file = { lessonId, name, type, size, hash, uploadedAt: Date.now() };
+      added.push({ ...file, id: await this._req(tx.objectStore('files'), 'add', file) });
+    }
+    await done;
+    return added;
+  }
+
+  /* -- Texts (full-text index) -- */
+  getTexts() { return this._req(this._tx('texts'), 'getAll'); }
+
+  // Writes the text extracted from content hash, unless the file is gone or
+  // got other content (a new or restored version) meanwhile. Returns
+  // whether it was written.
+  async putText(t, hash) {
+    const tx = this._transaction(['files', 'texts'], 'readwrite');
+    const done = this._txDone(tx);
+    const file = await this._req(tx.objectStore('files'), 'get', t.fileId);
+    const current = file?.hash === hash;
+    if (current) tx.objectStore('texts').put(t);
+    await done;
+    return current;
+  }
+
+  /* -- Trash (soft delete) -- */
+  // A trashed record keeps its place in the tree and only gets a deletedAt
+  // timestamp; its descendants stay untouched and are hidden with it.
+  async trashItem(storeName, id) {
+    const store = this._tx(storeName, 'readwrite');
+    const rec = await this._req(store, 'get', id);
+    if (!rec) return;
+    rec.deletedAt = Date.now();
+    await this._req(this._tx(storeName, 'readwrite'), 'put', rec);
+    return rec;
+  }
+
+  async restoreItem(storeName, id) {
+    const rec = await this._req(this._tx(storeName), 'get', id);
+    if (!rec) return;
+    delete rec.deletedAt;
+    await this._req(this._tx(storeName, 'readwrite'), 'put', rec);
+  }
+
+  // Permanently removes a record and its whole subtree.
+  async purgeItem(storeName, id) {
+    if (storeName === 'folders') {
+      await this.deleteTopicsByFolder(id);
+      await this.deleteFolder(id);
+    } else if (storeName === 'topics') {
+      await this.deleteLessonsByTopic(id);
+      await this.deleteTopic(id);
+    } else if (storeName === 'lessons') {
+      await this.deleteFilesByLesson(id);
+      await this.deleteLesson(id);
+    } else if (storeName === 'files') {
+      await this.deleteFile(id);
+    }
+  }
 
   /* -- Cascading deletes -- */
+  // Files that are also attached to other lessons move to the first of them
+  // instead of being deleted; attachments of foreign files are dropped.
   async deleteFilesByLesson(lessonId) {
-    const files = await this.getFilesByLesson(lessonId);
-    const store = this._tx('files', 'readwrite');
-    for (const f of files) store.delete(f.id);
+    const tx = this._transaction(['files', 'texts', 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const files = await this._req(tx.objectStore('files').index('by-lesson'), 'getAll', lessonId);
+    const linked = await this._req(tx.objectStore('files').index('by-linked-lesson'), 'getAll', lessonId);
+    for (const f of linked) {
+      tx.objectStore('files').put({ ...f, linkedLessonIds: f.linkedLessonIds.filter(id => id !== lessonId) });
+    }
+    for (const f of files) {
+      if (f.linkedLessonIds?.length) {
+        const [home, ...rest] = f.linkedLessonIds;
+        tx.objectStore('files').put({ ...f, lessonId: home, linkedLessonIds: rest });
+        continue;
+      }
+      tx.objectStore('files').delete(f.id);
+      tx.objectStore('texts').delete(f.id);
+      for (const hash of DB.fileHashes(f)) await this._releaseBlob(tx.objectStore('blobs'), hash);
+    }
+    await done;
   }
 
   async deleteLessonsByTopic(topicId) {
@@ -130,1267 +673,7421 @@ class DB {
       await this.deleteTopic(t.id);
     }
   }
-}
 
-/* ===== State Store ===== */
-class Store {
-  constructor() {
-    this.state = {
-      folders: [],
-      topics: [],
-      lessons: [],
-      currentFolderId: null,
-      currentTopicId: null,
-      currentLessonId: null,
-      searchQuery: '',
-      theme: 'light',
-      previewFileId: null,
-    };
-    this._listeners = [];
+  /* -- Backup -- */
+  // Returns all records; files get their blob attached again.
+  exportAll() {
+    return new Promise((resolve, reject) => {
+      const tx = this._transaction([...DB.STORES, 'blobs'], 'readonly');
+      const data = {};
+      for (const name of [...DB.STORES, 'blobs']) {
+        const r = tx.objectStore(name).getAll();
+        r.onsuccess = () => { data[name] = r.result; };
+      }
+      tx.oncomplete = () => {
+        const blobs = new Map(data.blobs.map(b => [b.hash, b.blob]));
+        delete data.blobs;
+        data.files = data.files.map(f => ({
+          ...f,
+          blob: blobs.get(f.hash),
+          versions: (f.versions || []).map(v => ({ ...v, blob: blobs.get(v.hash) })).filter(v => v.blob),
+        })).filter(f => f.blob);
+        resolve(data);
+      };
+      tx.onerror = () => reject(tx.error);
+    });
   }
 
-  get(key) { return this.state[key]; }
+  // Content hashes for incoming files, computed before a transaction opens
+  // because crypto.subtle would let it auto-commit.
+  async _hashFiles(files) {
+    const hashes = new Map();
+    for (const f of files) {
+      for (const x of [f, ...(f.versions || [])]) if (x.blob) hashes.set(x, await DB.contentHash(x.blob));
+    }
+    return hashes;
+  }
 
-  set(key, value) {
-    this.state[key] = value;
-    this._notify();
+  // Stores the blobs of an incoming file (and its versions) and returns the
+  // record to add, with hashes in place of blobs.
+  // mapLesson translates lesson ids of the source into ids of this library.
+  async _importFileRecord(blobs, file, hashes, mapLesson) {
+    const { id, blob, versions, linkedLessonIds, ...f } = file;
+    const lessonId = mapLesson(f.lessonId);
+    const linked = (linkedLessonIds || []).map(mapLesson).filter(Boolean);
+    const hash = hashes.get(file);
+    await this._retainBlob(blobs, hash, blob);
+    const kept = [];
+    for (const version of versions || []) {
+      const { blob: vBlob, ...v } = version;
+      if (!vBlob) continue;
+      await this._retainBlob(blobs, hashes.get(version), vBlob);
+      kept.push({ ...v, hash: hashes.get(version) });
+    }
+    return {
+      ...f, hash, lessonId,
+      ...(kept.length ? { versions: kept } : {}),
+      ...(linked.length ? { linkedLessonIds: linked } : {}),
+    };
   }
 
-  subscribe(fn) {
-    this._listeners.push(fn);
-    return () => { this._listeners = this._listeners.filter(l => l !== fn); };
+  // Writes a whole library in one transaction. Records get fresh ids and
+  // folderId/topicId/lessonId are rewritten to match; replace clears first
+  // but keeps the lesson templates, which are not part of a backup. A
+  // replaced library keeps the uids of the backup, so other devices see the
+  // restored records as the same ones; merged records get new uids.
+  async importAll(data, { replace = false } = {}) {
+    const hashes = await this._hashFiles(data.files);
+    const tx = this._transaction([...DB.STORES, 'texts', 'blobs', 'templates'], 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Import abgebrochen'));
+    });
+    const stores = {};
+    for (const name of DB.STORES) stores[name] = tx.objectStore(name);
+    const byOrder = (a, b) => (a.order ?? a.id) - (b.order ?? b.id);
+    const folderIds = new Map();
+    const topicIds = new Map();
+    const lessonIds = new Map();
+    const fileIds = new Map();
+    const counts = { folders: 0, topics: 0, lessons: 0, files: 0 };
+    const write = replace ? 'put' : 'add';
+
+    try {
+      if (replace) {
+        const blobs = tx.objectStore('blobs');
+        const templateFiles = (await this._req(tx.objectStore('templates'), 'getAll')).flatMap(t => t.files);
+        const kept = new Map();
+        for (const { hash } of templateFiles) kept.set(hash, kept.get(hash) || await this._req(blobs, 'get', hash));
+        for (const name of DB.STORES) await this._req(stores[name], 'clear');
+        await this._req(tx.objectStore('texts'), 'clear');
+        await this._req(blobs, 'clear');
+        for (const { hash } of templateFiles) await this._retainBlob(blobs, hash, kept.get(hash)?.blob);
+      }
+
+      let folderOrder = replace ? 0 : await this._req(stores.folders, 'count');
+      for (const { id, ...f } of [...data.folders].sort(byOrder)) {
+        folderIds.set(id, await this._req(stores.folders, write, { ...f, order: folderOrder++ }));
+        counts.folders++;
+      }
+      for (const { id, ...t } of [...data.topics].sort(byOrder)) {
+        if (!folderIds.has(t.folderId)) continue;
+        topicIds.set(id, await this._req(stores.topics, write, { ...t, folderId: folderIds.get(t.folderId) }));
+        counts.topics++;
+      }
+      for (const { id, ...l } of [...data.lessons].sort(byOrder)) {
+        if (!topicIds.has(l.topicId)) continue;
+        lessonIds.set(id, await this._req(stores.lessons, write, { ...l, topicId: topicIds.get(l.topicId) }));
+        counts.lessons++;
+      }
+      for (const file of data.files) {
+        if (!lessonIds.has(file.lessonId) || !file.blob) continue;
+        const rec = await this._importFileRecord(tx.objectStore('blobs'), file, hashes, id => lessonIds.get(id));
+        fileIds.set(file.id, await this._req(stores.files, write, rec));
+        counts.files++;
+      }
+      await this._remapTaskFiles(stores.lessons, data.lessons, lessonIds, fileIds);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
+    }
+
+    await done;
+    return counts;
   }
 
-  _notify() {
-    this._listeners.forEach(fn => fn(this.state));
+  // Grafts an exported folder/topic subtree under folderId (or into a new
+  // folder when folderId is null). conflict decides what happens to topics
+  // whose name already exists there: 'rename', 'merge' or 'skip'.
+  async importPackage(pkg, { folderId = null, conflict = 'rename' } = {}) {
+    const hashes = await this._hashFiles(pkg.files);
+    const tx = this._transaction([...DB.STORES, 'blobs'], 'readwrite');
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Import abgebrochen'));
+    });
+    const stores = {};
+    for (const name of DB.STORES) stores[name] = tx.objectStore(name);
+    const byOrder = (a, b) => (a.order ?? a.id) - (b.order ?? b.id);
+    const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    const lessonTargets = new Map(); // package lessonId -> { id, fileNames }
+    const addedLessons = new Map();  // package lessonId -> new lesson id
+    const fileIds = new Map();
+    const counts = { topics: 0, lessons: 0, files: 0, skipped: 0 };
+
+    try {
+      let targetId = folderId;
+      if (targetId == null) {
+        const { id, ...src } = pkg.folders[0];
+        const existing = await this._req(stores.folders, 'getAll');
+        targetId = await this._req(stores.folders, 'add', {
+          ...src,
+          name: this._uniqueName(src.name, existing.filter(f => !f.deletedAt).map(f => f.name)),
+          createdAt: Date.now(),
+          order: existing.length,
+        });
+      }
+
+      const existingTopics = (await this._req(stores.topics.index('by-folder'), 'getAll', targetId)).filter(t => !t.deletedAt);
+      let topicOrder = existingTopics.length;
+      for (const { id, ...t } of [...pkg.topics].sort(byOrder)) {
+        const clash = existingTopics.find(e => same(e.name, t.name));
+        if (clash && conflict === 'skip') { counts.skipped++; continue; }
+
+        let topicId;
+        let existingLessons = [];
+        if (clash && conflict === 'merge') {
+          topicId = clash.id;
+          existingLessons = (await this._req(stores.lessons.index('by-topic'), 'getAll', topicId)).filter(l => !l.deletedAt);
+        } else {
+          const name = clash ? this._uniqueName(t.name, existingTopics.map(e => e.name)) : t.name;
+          topicId = await this._req(stores.topics, 'add', { ...t, name, folderId: targetId, order: topicOrder++ });
+          existingTopics.push({ id: topicId, name });
+          counts.topics++;
+        }
+
+        let lessonOrder = existingLessons.length;
+        for (const { id: lessonId, ...l } of pkg.lessons.filter(x => x.topicId === id).sort(byOrder)) {
+          const match = existingLessons.find(e => same(e.title, l.title));
+          if (match) {
+            const urls = new Set((match.links || []).map(x => x.url));
+            match.links = [...(match.links || []), ...(l.links || []).filter(x => !urls.has(x.url))];
+            match.description = match.description || l.description || null;
+            match.date = match.date || l.date || null;
+            await this._req(stores.lessons, 'put', match);
+            const files = await this._req(stores.files.index('by-lesson'), 'getAll', match.id);
+            lessonTargets.set(lessonId, { id: match.id, fileNames: new Set(files.filter(f => !f.deletedAt).map(f => f.name)) });
+          } else {
+            const newId = await this._req(stores.lessons, 'add', { ...l, topicId, order: lessonOrder++ });
+            lessonTargets.set(lessonId, { id: newId, fileNames: new Set() });
+            addedLessons.set(lessonId, newId);
+            counts.lessons++;
+          }
+        }
+      }
+
+      for (const file of pkg.files) {
+        const target = lessonTargets.get(file.lessonId);
+        if (!target || !file.blob || target.fileNames.has(file.name)) continue;
+        const rec = await this._importFileRecord(tx.objectStore('blobs'), file, hashes, id => lessonTargets.get(id)?.id);
+        fileIds.set(file.id, await this._req(stores.files, 'add', rec));
+        counts.files++;
+      }
+      await this._remapTaskFiles(stores.lessons, pkg.lessons, addedLessons, fileIds);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
+    }
+
+    await done;
+    return counts;
   }
-}
 
-/* ===== UI Renderer ===== */
-class UI {
-  constructor() {
-    this.mainContent = document.getElementById('mainContent');
-    this.sidebarFolders = document.getElementById('sidebarFolders');
-    this.toastContainer = document.getElementById('toastContainer');
-    this._blobUrls = [];
-    this._pendingDocxHtml = undefined;
+  // Task file ids of imported lessons still refer to the source library;
+  // points them at the imported files and drops the ones not imported.
+  async _remapTaskFiles(lessonStore, lessons, lessonIds, fileIds) {
+    for (const l of lessons) {
+      if (!lessonIds.has(l.id) || !l.tasks?.some(t => t.fileIds?.length)) continue;
+      const rec = await this._req(lessonStore, 'get', lessonIds.get(l.id));
+      rec.tasks = rec.tasks.map(t => ({ ...t, fileIds: (t.fileIds || []).filter(id => fileIds.has(id)).map(id => fileIds.get(id)) }));
+      await this._req(lessonStore, 'put', rec);
+    }
   }
 
-  /* ---- Sidebar ---- */
-  renderSidebar(folders, topics, lessonCounts, state) {
-    if (!folders.length) {
-      this.sidebarFolders.innerHTML = `
-        <div class="empty-state" style="padding:1rem 0.5rem">
-          <span style="font-size:1.5rem;opacity:0.5">📂</span>
-          <p style="font-size:0.8rem;margin-top:0.3rem">Noch keine Ordner</p>
-        </div>`;
-      return;
+  // Writes a planned directory import (DirectoryImport.plan, files as
+  // { name, type, size, blob }) in one transaction. Levels with an id exist
+  // already, the others are created and get their id written back, so a
+  // tree can be imported in several passes: only files whose blob is loaded
+  // are written. Content already in a lesson is skipped.
+  async importTree(tree) {
+    const files = tree.folders.flatMap(f => f.topics.flatMap(t => t.lessons.flatMap(l => l.files)));
+    const hashes = await this._hashFiles(files);
+    const tx = this._transaction([...DB.STORES, 'blobs'], 'readwrite');
+    const done = this._txDone(tx);
+    const stores = {};
+    for (const name of DB.STORES) stores[name] = tx.objectStore(name);
+    const live = async (store, index, key) => (await this._req(stores[store].index(index), 'getAll', key)).filter(r => !r.deletedAt);
+    const counts = { folders: 0, topics: 0, lessons: 0, files: 0, duplicates: 0, folderIds: [] };
+    const now = Date.now();
+
+    try {
+      let folderOrder = await this._req(stores.folders, 'count');
+      for (const folder of tree.folders) {
+        let folderId = folder.id;
+        if (folderId == null) {
+          folderId = await this._req(stores.folders, 'add', { name: folder.name, color: '#e63946', tags: [], createdAt: now, order: folderOrder++ });
+          counts.folders++;
+          folder.id = folderId;
+        }
+        counts.folderIds.push(folderId);
+
+        let topicOrder = (await live('topics', 'by-folder', folderId)).length;
+        for (const topic of folder.topics) {
+          let topicId = topic.id;
+          if (topicId == null) {
+            topicId = await this._req(stores.topics, 'add', { folderId, name: topic.name, tags: [], createdAt: now, order: topicOrder++ });
+            counts.topics++;
+            topic.id = topicId;
+          }
+
+          let lessonOrder = (await live('lessons', 'by-topic', topicId)).length;
+          for (const lesson of topic.lessons) {
+            let lessonId = lesson.id;
+            const present = new Set();
+            if (lessonId == null) {
+              lessonId = await this._req(stores.lessons, 'add', {
+                topicId, title: lesson.name, date: null, description: null, tags: [], order: lessonOrder++, createdAt: now,
+              });
+              counts.lessons++;
+              lesson.id = lessonId;
+            } else {
+              for (const f of await live('files', 'by-lesson', lessonId)) present.add(f.hash);
+            }
+
+            for (const file of lesson.files) {
+              if (!file.blob) continue;
+              const hash = hashes.get(file);
+              if (present.has(hash)) { counts.duplicates++; continue; }
+              present.add(hash);
+              await this._retainBlob(tx.objectStore('blobs'), hash, file.blob);
+              await this._req(stores.files, 'add', { lessonId, name: file.name, type: file.type, size: file.size, hash, uploadedAt: now });
+              counts.files++;
+            }
+          }
+        }
+      }
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
     }
 
-    this.sidebarFolders.innerHTML = folders.map(f => {
-      const folderTopics = topics.filter(t => t.folderId === f.id);
-      const isActive = f.id === state.currentFolderId && !state.currentTopicId && !state.currentLessonId;
-      const isOpen = state.currentFolderId === f.id;
-      const topicCount = folderTopics.length;
+    await done;
+    return counts;
+  }
 
-      const topicItems = folderTopics.map(t => {
-        const lCount = lessonCounts[t.id] || 0;
-        const tActive = t.id === state.currentTopicId && !state.currentLessonId;
-        return `<button class="sidebar-topic ${tActive ? 'active' : ''}" data-topic-id="${t.id}">
-          <span class="sidebar-topic-dot"></span>
-          <span class="sidebar-topic-name">${this._esc(t.name)}</span>
-          <span class="sidebar-topic-count">${lCount}</span>
-        </button>`;
-      }).join('');
+  /* -- Sync -- */
+  getMeta(key) { return this._req(this._tx('meta'), 'get', key); }
+  setMeta(rec) { return this._req(this._tx('meta', 'readwrite'), 'put', rec); }
+  getChanges() { return this._req(this._tx('changes'), 'getAll'); }
 
-      return `<div class="sidebar-folder">
-        <button class="sidebar-folder-btn ${isActive ? 'active' : ''}" data-folder-id="${f.id}">
-          <svg class="sidebar-folder-chevron ${isOpen ? 'open' : ''}" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>
-          <span class="sidebar-folder-dot" style="background:${f.color}"></span>
-          <span class="sidebar-folder-name">${this._esc(f.name)}</span>
-          <span class="sidebar-folder-count">${topicCount}</span>
-        </button>
-        <div class="sidebar-folder-topics ${isOpen ? 'open' : ''}">${topicItems}</div>
-      </div>`;
-    }).join('');
+  async setDeviceName(name) {
+    this.device = { ...this.device, name };
+    await this.setMeta(this.device);
   }
 
-  /* ---- Breadcrumb ---- */
-  renderBreadcrumb(parts) {
-    if (!parts.length) return '';
-    const items = parts.map((p, i) => {
-      const isLast = i === parts.length - 1;
-      const sep = i > 0 ? '<span class="breadcrumb-sep">›</span>' : '';
-      if (isLast) {
-        return `${sep}<span class="breadcrumb-item current">${this._esc(p.label)}</span>`;
+  // Removes pushed entries, except those whose record changed again while
+  // the push was under way
+  async clearChanges(entries) {
+    const tx = this._transaction('changes', 'readwrite');
+    const done = this._txDone(tx);
+    const store = tx.objectStore('changes');
+    for (const entry of entries) {
+      const current = await this._req(store, 'get', entry.key);
+      if (current?.at === entry.at) store.delete(entry.key);
+    }
+    await done;
+  }
+
+  // Logs every record as created, so a first sync sends the whole library
+  async logAll() {
+    const tx = this._transaction([...DB.STORES, 'changes'], 'readwrite', { remote: true });
+    const done = this._txDone(tx);
+    const at = Date.now();
+    for (const name of DB.STORES) {
+      for (const { id, uid } of await this._req(tx.objectStore(name), 'getAll')) {
+        tx.objectStore('changes').put({ key: `${name}:${uid}`, store: name, uid, id, op: 'created', at, device: this.device.id });
       }
-      return `${sep}<button class="breadcrumb-item" data-nav="${p.nav}" data-id="${p.id || ''}">${this._esc(p.label)}</button>`;
-    }).join('');
-    return `<nav class="breadcrumb">${items}</nav>`;
+    }
+    await done;
   }
 
-  /* ---- Dashboard (Folders) ---- */
-  renderDashboard(folders, topicCounts) {
-    const cards = folders.map(f => `
-      <div class="topic-card" data-folder-id="${f.id}" style="--card-color:${f.color}">
-        <div class="topic-card-header">
-          <div class="topic-card-name">${this._esc(f.name)}</div>
-          <div class="topic-card-actions">
-            <button class="topic-card-btn edit-folder-btn" data-folder-id="${f.id}" title="Bearbeiten">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-              </svg>
-            </button>
-            <button class="topic-card-btn danger delete-folder-btn" data-folder-id="${f.id}" title="Löschen">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
-                <path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div class="topic-card-meta">
-          <span>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"/><polyline points="13 2 13 9 20 9"/></svg>
-            ${topicCounts[f.id] || 0} Themen
-          </span>
-          <span>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
-            ${this._formatDate(f.createdAt)}
-          </span>
-        </div>
-      </div>
-    `).join('');
+  // Writes changes from other devices (see Sync) in one transaction: parents
+  // before children and deletions the other way round. References arrive as
+  // uids and are mapped to local ids; a record whose parent is unknown here
+  // is left out and returned, so the caller can offer it again later. blobs
+  // holds incoming file contents missing here, drop the keys of change log
+  // entries the incoming changes settle.
+  async applyRemote(changes, { blobs = new Map(), drop = [] } = {}) {
+    const tx = this._transaction([...DB.STORES, 'texts', 'blobs', 'changes'], 'readwrite', { remote: true });
+    const done = this._txDone(tx);
+    const store = (n) => tx.objectStore(n);
+    const ids = {}; // store -> Map(uid -> local id)
+    const deferred = [];
+    try {
+      for (const n of DB.STORES) ids[n] = new Map((await this._req(store(n), 'getAll')).map(r => [r.uid, r.id]));
+      const local = (n, uid) => ids[n].get(uid) ?? null;
+      const upserts = DB.STORES.flatMap(n => changes.filter(c => c.store === n && c.op !== 'deleted'));
+      const deletions = [...DB.STORES].reverse().flatMap(n => changes.filter(c => c.store === n && c.op === 'deleted'));
+
+      for (const c of upserts) {
+        const id = local(c.store, c.uid);
+        const rec = { ...DB.mapRefs(c.store, c.record, local), uid: c.uid, ...(id != null ? { id } : {}) };
+        const parentKey = DB.PARENT[c.store];
+        if (parentKey && rec[parentKey] == null) {
+          deferred.push(c);
+          continue;
+        }
+        if (c.store === 'files') {
+          const old = id != null ? await this._req(store('files'), 'get', id) : null;
+          for (const hash of DB.fileHashes(rec)) await this._retainBlob(store('blobs'), hash, blobs.get(hash));
+          for (const hash of old ? DB.fileHashes(old) : []) await this._releaseBlob(store('blobs'), hash);
+          if (old && old.hash !== rec.hash) store('texts').delete(id);
+        }
+        ids[c.store].set(c.uid, await this._req(store(c.store), 'put', rec));
+      }
+      // Task files of a lesson may have arrived after the lesson itself
+      for (const c of upserts) {
+        if (c.store !== 'lessons' || !c.record.tasks?.some(t => t.fileIds?.length)) continue;
+        const rec = await this._req(store('lessons'), 'get', local('lessons', c.uid));
+        if (!rec) continue;
+        rec.tasks = DB.mapRefs('lessons', c.record, local).tasks;
+        await this._req(store('lessons'), 'put', rec);
+      }
+      for (const c of deletions) {
+        const id = local(c.store, c.uid);
+        if (id == null) continue;
+        if (c.store === 'files') {
+          const old = await this._req(store('files'), 'get', id);
+          for (const hash of DB.fileHashes(old)) await this._releaseBlob(store('blobs'), hash);
+          store('texts').delete(id);
+        }
+        store(c.store).delete(id);
+        ids[c.store].delete(c.uid);
+      }
+      for (const key of drop) store('changes').delete(key);
+    } catch (err) {
+      try { tx.abort(); } catch { /* already aborted */ }
+      throw err;
+    }
+    await done;
+    return deferred;
+  }
 
-    this.mainContent.innerHTML = `
-      <div class="dashboard-header">
-        <h2 class="dashboard-title">Übersicht</h2>
-        <p class="dashboard-subtitle">${folders.length} Ordner insgesamt</p>
-      </div>
-      <div class="dashboard-grid">
-        ${cards}
-        <div class="add-topic-card" id="addFolderCard">
-          <svg width="36" height="36" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-            <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
-          </svg>
-          <span class="add-topic-label">Neuer Ordner</span>
-        </div>
-      </div>`;
+  // Copy of a record with its references to other records translated by
+  // map(storeName, value); unknown references become null or are dropped.
+  static mapRefs(storeName, rec, map) {
+    const out = { ...rec };
+    if (storeName === 'topics') out.folderId = map('folders', rec.folderId);
+    if (storeName === 'lessons') {
+      out.topicId = map('topics', rec.topicId);
+      if (rec.tasks) out.tasks = rec.tasks.map(t => ({ ...t, fileIds: (t.fileIds || []).map(id => map('files', id)).filter(id => id != null) }));
+    }
+    if (storeName === 'files') {
+      out.lessonId = map('lessons', rec.lessonId);
+      if (rec.linkedLessonIds) out.linkedLessonIds = rec.linkedLessonIds.map(id => map('lessons', id)).filter(id => id != null);
+    }
+    return out;
   }
 
-  /* ---- Folder Detail (Topics) ---- */
-  renderFolderDetail(folder, topics, lessonCounts) {
-    const bc = this.renderBreadcrumb([
-      { label: 'Übersicht', nav: 'dashboard' },
-      { label: folder.name, nav: 'folder', id: folder.id },
-    ]);
+  _uniqueName(name, taken) {
+    const lower = new Set(taken.map(n => n.trim().toLowerCase()));
+    if (!lower.has(name.trim().toLowerCase())) return name;
+    let i = 2;
+    while (lower.has(`${name} (${i})`.toLowerCase())) i++;
+    return `${name} (${i})`;
+  }
+}
 
-    const cards = topics.map(t => `
-      <div class="topic-card" data-topic-id="${t.id}" style="--card-color:${folder.color}">
-        <div class="topic-card-header">
-          <div class="topic-card-name">${this._esc(t.name)}</div>
-          <div class="topic-card-actions">
-            <button class="topic-card-btn edit-topic-btn" data-topic-id="${t.id}" title="Bearbeiten">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-              </svg>
-            </button>
-            <button class="topic-card-btn danger delete-topic-btn" data-topic-id="${t.id}" title="Löschen">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
-                <path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div class="topic-card-meta">
-          <span>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"/><polyline points="13 2 13 9 20 9"/></svg>
-            ${lessonCounts[t.id] || 0} Stunden
-          </span>
-          <span>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
-            ${this._formatDate(t.createdAt)}
-          </span>
-        </div>
-      </div>
-    `).join('');
+DB.STORES = ['folders', 'topics', 'lessons', 'files'];
+DB.PARENT = { topics: 'folderId', lessons: 'topicId', files: 'lessonId' };
+
+/* ===== Sync ===== */
+// Keeps the libraries of several devices in step through a transport (see
+// HttpSyncTransport). Local writes land in the change log (DB._loggedStore);
+// a run pulls what the other devices pushed since the last run, applies it
+// and pushes the own entries. Records travel with their uid and uids in
+// place of local ids. A lesson changed on both sides is merged field by
+// field and becomes a conflict for the user to resolve only where both
+// changed the same field. Other records follow the server's order: the own
+// change is pushed after the incoming one and so wins, as it then does on
+// every device.
+class Sync {
+  constructor(db, transport) {
+    this.db = db;
+    this.transport = transport;
+  }
 
-    this.mainContent.innerHTML = `
-      ${bc}
-      <div class="topic-detail-header">
-        <div class="topic-detail-left">
-          <span class="topic-detail-color" style="background:${folder.color}"></span>
-          <h2 class="topic-detail-title">${this._esc(folder.name)}</h2>
-        </div>
-        <div class="topic-detail-right">
-          <button class="btn btn-primary btn-sm" id="addTopicBtn">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
-            Neues Thema
-          </button>
-        </div>
-      </div>
-      <div class="dashboard-grid">
-        ${cards}
-        ${!topics.length ? `
-          <div class="empty-state" style="grid-column:1/-1">
-            <span class="empty-state-icon">📚</span>
-            <div class="empty-state-title">Keine Themen vorhanden</div>
-            <p class="empty-state-text">Erstellen Sie ein neues Thema für diesen Ordner.</p>
-          </div>` : ''}
-      </div>`;
+  // Returns { pulled, pushed, conflicts }
+  async run() {
+    const state = await this.db.getMeta('sync') || { key: 'sync', since: 0 };
+    if (!state.lastSync) await this.db.logAll();
+    const { changes: incoming, seq } = await this.transport.pull(state.since);
+    const outbox = new Map((await this.db.getChanges()).map(e => [e.key, e]));
+    const conflicts = new Map((await this.db.getMeta('conflicts'))?.list.map(c => [c.key, c]));
+    const serialize = await this._serializer();
+    const apply = [];
+    const drop = [];
+    for (const change of incoming) {
+      if (change.device === this.db.device.id) continue;
+      const key = `${change.store}:${change.uid}`;
+      const entry = outbox.get(key);
+      if (!entry) {
+        apply.push(change);
+        continue;
+      }
+      const mine = serialize(entry);
+      if (!mine || Sync.same(mine.record, change.record)) {
+        drop.push(key);
+        apply.push(change);
+        conflicts.delete(key);
+      } else if (change.store === 'lessons') {
+        const merged = mine.record && change.record && Sync.mergeLesson(mine.base, mine.record, change.record);
+        if (!merged) {
+          conflicts.set(key, { key, local: mine, remote: change });
+          continue;
+        }
+        // Written here and pushed below as the own change
+        apply.push({ ...change, record: merged });
+        conflicts.delete(key);
+      }
+    }
+
+    const deferred = apply.length || drop.length
+      ? await this.db.applyRemote(apply, { blobs: await this._fetchBlobs(apply), drop })
+      : [];
+    // Records whose parent has not arrived yet are pulled again next time
+    const since = deferred.length ? Math.min(...deferred.map(c => c.seq)) - 1 : seq;
+    await this.db.setMeta({ key: 'conflicts', list: [...conflicts.values()] });
+    await this.db.setMeta({ ...state, since });
+
+    // Conflicting lessons wait until the user has decided
+    const pending = (await this.db.getChanges()).filter(e => !conflicts.has(e.key));
+    const outgoing = pending.map(await this._serializer()).filter(Boolean).map(({ base, ...change }) => change);
+    if (outgoing.length) {
+      await this._sendBlobs(outgoing);
+      await this.transport.push(outgoing);
+      await this.db.clearChanges(pending);
+    }
+    await this.db.setMeta({ ...state, since, lastSync: Date.now() });
+    return { pulled: apply.length - deferred.length, pushed: outgoing.length, conflicts: [...conflicts.values()] };
   }
 
-  /* ---- Topic Detail (Stundenplan-Tabelle) ---- */
-  renderTopicDetail(folder, topic, lessons, fileCounts) {
-    const bc = this.renderBreadcrumb([
-      { label: 'Übersicht', nav: 'dashboard' },
-      { label: folder.name, nav: 'folder', id: folder.id },
-      { label: topic.name, nav: 'topic', id: topic.id },
-    ]);
+  // choices: Map(conflict key -> 'local' | 'remote'). The local version is
+  // pushed on the next run; the remote one replaces it here.
+  async resolve(choices) {
+    const list = (await this.db.getMeta('conflicts'))?.list || [];
+    const remote = list.filter(c => choices.get(c.key) === 'remote');
+    if (remote.length) await this.db.applyRemote(remote.map(c => c.remote), { drop: remote.map(c => c.key) });
+    await this.db.setMeta({ key: 'conflicts', list: list.filter(c => !choices.has(c.key)) });
+  }
 
-    let tableBody = '';
-    if (lessons.length) {
-      tableBody = lessons.map((l, i) => `
-        <tr data-lesson-id="${l.id}">
-          <td class="col-num">${i + 1}</td>
-          <td class="col-title">${this._esc(l.title)}</td>
-          <td class="col-date">${l.date ? this._formatDateISO(l.date) : '—'}</td>
-          <td class="col-files">${fileCounts[l.id] || 0} Dateien</td>
-          <td class="col-actions">
-            <button class="table-action-btn edit-lesson-btn" data-lesson-id="${l.id}" title="Bearbeiten">
-              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
-            </button>
-            <button class="table-action-btn danger delete-lesson-btn" data-lesson-id="${l.id}" title="Löschen">
-              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
-            </button>
-          </td>
-        </tr>`).join('');
+  // Turns change log entries into outgoing changes; null when the record is
+  // gone without a deletion entry (it was never sent). base, the lesson as
+  // last synced, is only for merging and is not pushed.
+  async _serializer() {
+    const records = {};
+    for (const n of DB.STORES) records[n] = new Map((await this.db.getAll(n)).map(r => [r.id, r]));
+    const uid = (n, id) => records[n].get(id)?.uid ?? null;
+    const { id: device, name: deviceName } = this.db.device;
+    const strip = (store, rec) => {
+      const { id: _, ...record } = DB.mapRefs(store, rec, uid);
+      return record;
+    };
+    return ({ store, uid: recUid, id, op, at, base }) => {
+      const change = { store, uid: recUid, op, at, device, deviceName };
+      if (op === 'deleted') return change;
+      const rec = records[store].get(id);
+      if (!rec) return null;
+      return { ...change, record: strip(store, rec), ...(base ? { base: strip(store, base) } : {}) };
+    };
+  }
+
+  // Three-way merge of a lesson changed here (local) and elsewhere (remote)
+  // since base. A field changed on one side only takes that side; practice
+  // progress (see Sync.PROGRESS) is merged per card or drill. Returns null
+  // when some other field was changed differently on both sides.
+  static mergeLesson(base, local, remote) {
+    if (!base) return null;
+    const merged = {};
+    for (const key of new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)])) {
+      const [b, l, r] = [base[key], local[key], remote[key]];
+      let value;
+      if (Sync.same(l, r) || Sync.same(b, r)) value = l;
+      else if (Sync.same(b, l)) value = r;
+      else if (Sync.PROGRESS[key]) value = Sync._mergeProgress(l, r, Sync.PROGRESS[key]);
+      else return null;
+      if (value !== undefined) merged[key] = value;
     }
+    return merged;
+  }
 
-    this.mainContent.innerHTML = `
-      ${bc}
-      <div class="topic-detail-header">
-        <div class="topic-detail-left">
-          <h2 class="topic-detail-title">${this._esc(topic.name)}</h2>
-        </div>
-        <div class="topic-detail-right">
-          <button class="btn btn-secondary btn-sm edit-topic-btn" data-topic-id="${topic.id}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
-            Bearbeiten
-          </button>
-          <button class="btn btn-danger btn-sm delete-topic-btn" data-topic-id="${topic.id}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/></svg>
-            Löschen
-          </button>
-          <button class="btn btn-primary btn-sm" id="addLessonBtn">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
-            Neue Stunde
-          </button>
-        </div>
-      </div>
+  static _mergeProgress(local = {}, remote = {}, pick) {
+    const merged = { ...remote, ...local };
+    for (const id of Object.keys(local)) if (remote[id]) merged[id] = pick(local[id], remote[id]);
+    return merged;
+  }
 
-      ${lessons.length ? `
-        <div class="sequence-table-wrap">
-          <table class="sequence-table">
-            <thead>
-              <tr>
-                <th>#</th>
-                <th>Titel</th>
-                <th>Datum</th>
-                <th>Dateien</th>
-                <th></th>
-              </tr>
-            </thead>
-            <tbody>${tableBody}</tbody>
-          </table>
-        </div>` : `
-        <div class="empty-state">
-          <span class="empty-state-icon">📝</span>
-          <div class="empty-state-title">Keine Unterrichtsstunden</div>
-          <p class="empty-state-text">Erstellen Sie eine neue Stunde für dieses Thema.</p>
-        </div>`}`;
+  async _fetchBlobs(changes) {
+    const blobs = new Map();
+    for (const c of changes) {
+      if (c.store !== 'files' || c.op === 'deleted') continue;
+      for (const hash of DB.fileHashes(c.record)) {
+        if (!blobs.has(hash) && !await this.db.hasBlob(hash)) blobs.set(hash, await this.transport.getBlob(hash));
+      }
+    }
+    return blobs;
   }
 
-  /* ---- Lesson Detail (Files + Links + Preview) ---- */
-  renderLessonDetail(folder, topic, lesson, files, previewData = null) {
-    const bc = this.renderBreadcrumb([
-      { label: 'Übersicht', nav: 'dashboard' },
-      { label: folder.name, nav: 'folder', id: folder.id },
-      { label: topic.name, nav: 'topic', id: topic.id },
-      { label: lesson.title, nav: 'lesson', id: lesson.id },
-    ]);
+  async _sendBlobs(changes) {
+    const hashes = new Set(changes.filter(c => c.store === 'files' && c.record).flatMap(c => DB.fileHashes(c.record)));
+    if (!hashes.size) return;
+    for (const hash of await this.transport.missingBlobs([...hashes])) {
+      const blob = await this.db.getBlob(hash);
+      if (blob) await this.transport.putBlob(hash, blob);
+    }
+  }
+
+  // Deep equality of two records (or both null for deleted)
+  static same(a, b) {
+    return Sync._stable(a) === Sync._stable(b);
+  }
+
+  static _stable(value) {
+    if (Array.isArray(value)) return `[${value.map(Sync._stable).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${Sync._stable(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+}
+
+// Talks to a sync server such as sync-server.js:
+//   GET  /changes?since=n   -> { seq, changes }  (newest change per record)
+//   POST /changes           { changes } -> { seq }
+//   POST /blobs/missing     { hashes } -> { missing }
+//   PUT  /blobs/:hash, GET /blobs/:hash
+class HttpSyncTransport {
+  constructor({ url, token = '' }) {
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+  }
+
+  async _fetch(path, { json, ...options } = {}) {
+    const headers = { ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}) };
+    if (json) {
+      headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(json);
+    }
+    const res = await fetch(`${this.url}${path}`, { ...options, headers });
+    if (!res.ok) throw new Error(`Sync-Server antwortet mit ${res.status}`);
+    return res;
+  }
+
+  async pull(since) {
+    return (await this._fetch(`/changes?since=${since}`)).json();
+  }
+
+  async push(changes) {
+    return (await this._fetch('/changes', { method: 'POST', json: { changes } })).json();
+  }
+
+  async missingBlobs(hashes) {
+    return (await (await this._fetch('/blobs/missing', { method: 'POST', json: { hashes } })).json()).missing;
+  }
+
+  async putBlob(hash, blob) {
+    await this._fetch(`/blobs/${encodeURIComponent(hash)}`, { method: 'PUT', body: blob });
+  }
+
+  async getBlob(hash) {
+    return (await this._fetch(`/blobs/${encodeURIComponent(hash)}`)).blob();
+  }
+}
+
+// Transports by the type saved in the sync settings
+Sync.TRANSPORTS = { http: HttpSyncTransport };
+// Lesson fields keyed by vocab or drill id, and which of two entries to keep
+Sync.PROGRESS = {
+  srs: (a, b) => ((b.reviews || 0) > (a.reviews || 0) ? b : a),
+  drillResults: (a, b) => (b.date > a.date ? b : a),
+};
+Sync.INTERVAL = 5 * 60 * 1000; // automatic run while the app is open
+
+/* ===== ZIP Archive ===== */
+// Minimal ZIP reader/writer for backups. Entries are written uncompressed
+// (PDF/DOCX are compressed already); deflated entries from other tools are
+// read through DecompressionStream where the browser supports it.
+class Zip {
+  static async create(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    const { time, date } = Zip._dosDateTime(new Date());
+
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const bytes = new Uint8Array(await entry.data.arrayBuffer());
+      const crc = Zip._crc32(bytes);
+      if (offset + bytes.length > 0xFFFFFFFF) throw new Error('Archiv größer als 4 GB');
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true);      // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, bytes.length, true);
+      local.setUint32(22, bytes.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(local.buffer, name, bytes);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, date, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, bytes.length, true);
+      cd.setUint32(24, bytes.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);
+      central.push(cd.buffer, name);
+
+      offset += 30 + name.length + bytes.length;
+    }
+
+    const cdSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+
+  // Returns a Map of entry name -> Blob.
+  static async read(blob) {
+    const tailSize = Math.min(blob.size, 22 + 0xFFFF);
+    const tail = new DataView(await blob.slice(blob.size - tailSize).arrayBuffer());
+    let eocd = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Keine gültige ZIP-Datei');
+
+    const count = tail.getUint16(eocd + 10, true);
+    const cdSize = tail.getUint32(eocd + 12, true);
+    const cdOffset = tail.getUint32(eocd + 16, true);
+    const cd = new DataView(await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    let p = 0;
+    for (let i = 0; i < count; i++) {
+      if (cd.getUint32(p, true) !== 0x02014b50) throw new Error('Beschädigtes ZIP-Verzeichnis');
+      const method = cd.getUint16(p + 10, true);
+      const compSize = cd.getUint32(p + 20, true);
+      const nameLen = cd.getUint16(p + 28, true);
+      const extraLen = cd.getUint16(p + 30, true);
+      const commentLen = cd.getUint16(p + 32, true);
+      const localOffset = cd.getUint32(p + 42, true);
+      const name = decoder.decode(new Uint8Array(cd.buffer, p + 46, nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith('/')) continue;
+
+      const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+      const start = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const data = blob.slice(start, start + compSize);
+
+      if (method === 0) {
+        entries.set(name, data);
+      } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        entries.set(name, await new Response(stream).blob());
+      } else {
+        throw new Error(`Komprimierungsverfahren ${method} wird nicht unterstützt`);
+      }
+    }
+    return entries;
+  }
+
+  static _crc32(bytes) {
+    if (!Zip._crcTable) {
+      Zip._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        Zip._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = Zip._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  static _dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+  }
+}
+
+/* ===== PDF Writer ===== */
+// Generated worksheets and handouts, drawn with pdf-lib: pages with text,
+// lines, boxes and links. DejaVu Sans is embedded as a subset, so titles
+// and links in any script render, not just Latin-1. Create with
+// Pdf.create(), which loads the fonts; coordinates are in points from the
+// top left corner.
+class Pdf {
+  static async create({ title = '' } = {}) {
+    const doc = await PDFLib.PDFDocument.create();
+    doc.registerFontkit(fontkit);
+    doc.setTitle(title);
+    doc.setProducer('SpanischApp');
+    const [regular, bold] = await Promise.all(Pdf.FONTS.map(async url => doc.embedFont(await Pdf._font(url), { subset: true })));
+    return new Pdf(doc, { regular, bold });
+  }
+
+  static async _font(url) {
+    if (!Pdf._fonts.has(url)) {
+      Pdf._fonts.set(url, fetch(url).then((res) => {
+        if (!res.ok) throw new Error(`Schrift ${url} fehlt`);
+        return res.arrayBuffer();
+      }));
+    }
+    try {
+      return await Pdf._fonts.get(url);
+    } catch (err) {
+      Pdf._fonts.delete(url);
+      throw err;
+    }
+  }
+
+  constructor(doc, fonts) {
+    this.doc = doc;
+    this.fonts = fonts;
+    this.addPage();
+  }
+
+  get pageCount() {
+    return this.doc.getPageCount();
+  }
+
+  // A4 unless a size in points is given
+  addPage({ width = Pdf.WIDTH, height = Pdf.HEIGHT } = {}) {
+    this._page = this.doc.addPage([width, height]);
+  }
+
+  // gray: 0 (black) … 1
+  text(x, y, str, { size = 11, bold = false, gray = 0 } = {}) {
+    this._page.drawText(String(str), {
+      x, y: this._page.getHeight() - y, size, font: bold ? this.fonts.bold : this.fonts.regular, color: PDFLib.grayscale(gray),
+    });
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+    const height = this._page.getHeight();
+    this._page.drawLine({ start: { x: x1, y: height - y1 }, end: { x: x2, y: height - y2 }, thickness: width, color: PDFLib.grayscale(gray) });
+  }
+
+  rect(x, y, width, height, { gray = 0 } = {}) {
+    this._page.drawRectangle({ x, y: this._page.getHeight() - y - height, width, height, color: PDFLib.grayscale(gray) });
+  }
+
+  // Makes the area open url when clicked. URIs are ASCII in PDF: the URL
+  // parser percent-encodes the rest, pdf-lib leaves escaping to us.
+  link(x, y, width, height, url) {
+    let uri = url;
+    try { uri = new URL(url).href; } catch { /* keep as typed */ }
+    const top = this._page.getHeight() - y;
+    const annot = this.doc.context.obj({
+      Type: 'Annot', Subtype: 'Link', Rect: [x, top - height, x + width, top], Border: [0, 0, 0],
+      A: { Type: 'Action', S: 'URI', URI: PDFLib.PDFString.of(uri.replace(/[\\()]/g, '\\$&')) },
+    });
+    this._page.node.addAnnot(this.doc.context.register(annot));
+  }
+
+  width(str, size, bold = false) {
+    return (bold ? this.fonts.bold : this.fonts.regular).widthOfTextAtSize(String(str), size);
+  }
+
+  wrap(str, size, maxWidth, bold = false) {
+    const lines = [];
+    let line = '';
+    for (let word of String(str).split(/\s+/).filter(Boolean)) {
+      // Words wider than a line (long URLs) break anywhere
+      while (this.width(word, size, bold) > maxWidth && word.length > 1) {
+        let cut = word.length - 1;
+        while (cut > 1 && this.width(word.slice(0, cut), size, bold) > maxWidth) cut--;
+        if (line) lines.push(line);
+        lines.push(word.slice(0, cut));
+        line = '';
+        word = word.slice(cut);
+      }
+      const next = line ? `${line} ${word}` : word;
+      if (line && this.width(next, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  async toBlob() {
+    return new Blob([await this.doc.save()], { type: 'application/pdf' });
+  }
+}
+
+Pdf.WIDTH = 595;  // A4 in points
+Pdf.HEIGHT = 842;
+Pdf.IMAGE_SCALE = 2; // pixels per point for rasterized pages (144 dpi)
+Pdf.FONTS = ['vendor/DejaVuSans.ttf', 'vendor/DejaVuSans-Bold.ttf']; // regular, bold
+Pdf._fonts = new Map(); // url -> Promise(ArrayBuffer), loaded once
+
+/* ===== QR Code ===== */
+// Encodes short texts (links) as QR codes: byte mode, error correction
+// level M, versions 1–15 (up to 412 bytes). Follows ISO/IEC 18004.
+class QrCode {
+  // → { size, modules: rows of booleans (true = dark) } or null if too long
+  static encode(text) {
+    const data = new TextEncoder().encode(text);
+    let version = 1;
+    while (version <= 15 && 4 + (version < 10 ? 8 : 16) + data.length * 8 > QrCode._dataCodewords(version) * 8) version++;
+    if (version > 15) return null;
+
+    // Mode indicator, length, bytes, terminator, padding
+    const bits = [];
+    const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+    push(0b0100, 4);
+    push(data.length, version < 10 ? 8 : 16);
+    for (const byte of data) push(byte, 8);
+    const capacity = QrCode._dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((b, bit) => (b << 1) | bit, 0));
+
+    const qr = new QrCode(version);
+    qr._drawFunctionPatterns();
+    qr._drawCodewords(qr._addErrorCorrection(codewords));
+    // The mask with the lowest penalty, as the standard asks
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      qr._applyMask(mask);
+      qr._drawFormat(mask);
+      const penalty = qr._penalty();
+      if (!best || penalty < best.penalty) best = { mask, penalty };
+      qr._applyMask(mask);
+    }
+    qr._applyMask(best.mask);
+    qr._drawFormat(best.mask);
+    return { size: qr.size, modules: qr.modules };
+  }
+
+  // Scalable markup with the quiet zone of four modules; dark runs per row
+  // become one rectangle each
+  static toSvg({ size, modules }) {
+    let path = '';
+    modules.forEach((row, y) => {
+      for (let x = 0; x < size; x++) {
+        if (!row[x]) continue;
+        let run = 1;
+        while (x + run < size && row[x + run]) run++;
+        path += `M${x + 4} ${y + 4}h${run}v1h-${run}z`;
+        x += run - 1;
+      }
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size + 8} ${size + 8}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+  }
+
+  static _rawCodewords(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const align = Math.floor(version / 7) + 2;
+      modules -= (25 * align - 10) * align - 55;
+      if (version >= 7) modules -= 36;
+    }
+    return Math.floor(modules / 8);
+  }
+
+  static _dataCodewords(version) {
+    return QrCode._rawCodewords(version) - QrCode.EC_CODEWORDS[version] * QrCode.BLOCKS[version];
+  }
+
+  _set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  _drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this._set(6, i, i % 2 === 0);
+      this._set(i, 6, i % 2 === 0);
+    }
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this._set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const positions = this._alignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this._set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this._drawFormat(0); // reserves the area; the real bits follow after masking
+    if (this.version >= 7) {
+      let rem = this.version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (this.version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this._set(a, b, dark);
+        this._set(b, a, dark);
+      }
+    }
+  }
+
+  _alignmentPositions() {
+    if (this.version === 1) return [];
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = this.size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  }
+
+  // Level M has the indicator bits 00
+  _drawFormat(mask) {
+    let rem = mask;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((mask << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const size = this.size;
+    for (let i = 0; i <= 5; i++) this._set(8, i, bit(i));
+    this._set(8, 7, bit(6));
+    this._set(8, 8, bit(7));
+    this._set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this._set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this._set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this._set(8, size - 15 + i, bit(i));
+    this._set(8, size - 8, true);
+  }
+
+  // Splits the data into blocks, appends Reed-Solomon codewords to each and
+  // interleaves them
+  _addErrorCorrection(data) {
+    const blockCount = QrCode.BLOCKS[this.version];
+    const ecLength = QrCode.EC_CODEWORDS[this.version];
+    const raw = QrCode._rawCodewords(this.version);
+    const shortBlocks = blockCount - raw % blockCount;
+    const shortLength = Math.floor(raw / blockCount);
+    const divisor = QrCode._rsDivisor(ecLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      const length = shortLength - ecLength + (i < shortBlocks ? 0 : 1);
+      const block = data.slice(k, k + length);
+      k += length;
+      const ec = QrCode._rsRemainder(block, divisor);
+      if (i < shortBlocks) block.push(0); // placeholder, skipped below
+      blocks.push([...block, ...ec]);
+    }
+    const out = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortLength - ecLength || j >= shortBlocks) out.push(block[i]);
+      });
+    }
+    return out;
+  }
+
+  static _rsMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  static _rsDivisor(degree) {
+    const result = Array(degree - 1).fill(0).concat(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QrCode._rsMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = QrCode._rsMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static _rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= QrCode._rsMultiply(coef, factor); });
+    }
+    return result;
+  }
+
+  // Zigzag through column pairs from the bottom right, skipping column 6
+  _drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < this.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vert : vert;
+          if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+          this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+
+  _applyMask(mask) {
+    const test = QrCode.MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Runs of five or more, 2×2 blocks, finder-like patterns and imbalance
+  _penalty() {
+    const size = this.size;
+    const m = this.modules;
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(m[i]);
+      lines.push(m.map(row => row[i]));
+    }
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) { run++; continue; }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+      const str = line.map(d => (d ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = str.indexOf(pattern); at !== -1; at = str.indexOf(pattern, at + 1)) penalty += 40;
+      }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (m[y][x]) dark++;
+        if (x < size - 1 && y < size - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) penalty += 3;
+      }
+    }
+    return penalty + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  }
+}
+
+// Level M per version: error correction codewords per block, block count
+QrCode.EC_CODEWORDS = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24];
+QrCode.BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10];
+QrCode.MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+/* ===== Text Extraction ===== */
+// Pulls plain text out of PDF (pdf.js) and DOCX (mammoth) blobs for the
+// full-text index. Both libraries are loaded from index.html.
+class TextExtractor {
+  static supports(type) {
+    return type === 'application/pdf' || type === TextExtractor.DOCX || FileTypes.kind({ type }) === 'text';
+  }
+
+  static available(type) {
+    if (type === 'application/pdf') return typeof pdfjsLib !== 'undefined';
+    if (type === TextExtractor.DOCX) return typeof mammoth !== 'undefined';
+    return TextExtractor.supports(type);
+  }
+
+  static async extract(blob, type) {
+    if (FileTypes.kind({ type }) === 'text') return (await blob.text()).trim();
+    const arrayBuffer = await blob.arrayBuffer();
+    let text = '';
+    if (type === 'application/pdf') {
+      const pdf = await PdfRenderer.open(arrayBuffer);
+      const pages = [];
+      for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const content = await page.getTextContent();
+        pages.push(content.items.map(item => item.str).join(' '));
+      }
+      await pdf.destroy();
+      text = pages.join('\n');
+    } else if (type === TextExtractor.DOCX) {
+      const result = await mammoth.extractRawText({ arrayBuffer });
+      text = result.value;
+    }
+    return text.replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+}
+
+TextExtractor.DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+TextExtractor.PDF_WORKER = 'vendor/pdf.worker.min.js';
+// Stored with every index entry; raising it re-extracts all files, e.g.
+// after an update of the vendored parsers
+TextExtractor.VERSION = 1;
+
+/* ===== PDF Rendering ===== */
+// Draws pages of stored PDFs onto canvases with pdf.js, e.g. for handouts.
+class PdfRenderer {
+  static open(data) {
+    if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+      pdfjsLib.GlobalWorkerOptions.workerSrc = TextExtractor.PDF_WORKER;
+    }
+    return pdfjsLib.getDocument({ data }).promise;
+  }
+
+  // → { canvas, width, height }: the page size in points, the canvas has
+  // scale times as many pixels on a white background
+  static async render(pdf, number, scale = 2) {
+    const page = await pdf.getPage(number);
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    page.cleanup();
+    return { canvas, width: viewport.width / scale, height: viewport.height / scale };
+  }
+
+  static async *pages(blob, scale = 2) {
+    const pdf = await PdfRenderer.open(await blob.arrayBuffer());
+    try {
+      for (let i = 1; i <= pdf.numPages; i++) yield await PdfRenderer.render(pdf, i, scale);
+    } finally {
+      await pdf.destroy();
+    }
+  }
+}
+
+/* ===== File Types ===== */
+// Maps stored files to a kind that drives icons, previews and the type:
+// search filter. Browsers report no MIME type for some formats (.md, .odp),
+// so the extension is the fallback.
+class FileTypes {
+  static mimeFor(name, type = '') {
+    if (type) return type;
+    const ext = (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+    return FileTypes.EXTENSIONS[ext] || 'application/octet-stream';
+  }
+
+  static kind(file) {
+    const type = file.type || FileTypes.mimeFor(file.name || '');
+    if (type === 'application/pdf') return 'pdf';
+    if (type === TextExtractor.DOCX) return 'docx';
+    if (type === 'application/msword') return 'doc';
+    if (FileTypes.SLIDES.includes(type)) return 'slides';
+    if (type === 'text/plain' || type === 'text/markdown') return 'text';
+    const group = type.split('/')[0];
+    if (group === 'image' || group === 'audio' || group === 'video') return group;
+    return 'other';
+  }
+
+  static icon(file) {
+    const kind = FileTypes.kind(file);
+    const ext = (file.name?.match(/\.([^.]+)$/)?.[1] || '').toUpperCase().slice(0, 4);
+    const labels = { pdf: 'PDF', docx: 'DOCX', doc: 'DOC', image: '🖼️', audio: '🎧', video: '🎬', slides: ext || 'PPT', text: ext || 'TXT' };
+    return { cls: kind === 'docx' || kind === 'doc' ? 'word' : kind, label: labels[kind] || ext || '📄' };
+  }
+
+  static canPreview(file) {
+    return ['pdf', 'docx', 'image', 'audio', 'video', 'text'].includes(FileTypes.kind(file));
+  }
+
+  // Known teaching material: a listed extension or any image, audio or video
+  static supported(name, type = '') {
+    const ext = (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+    return ext in FileTypes.EXTENSIONS || /^(image|audio|video)\//.test(type);
+  }
+}
+
+FileTypes.SLIDES = [
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.presentation',
+];
+FileTypes.EXTENSIONS = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: TextExtractor.DOCX,
+  ppt: FileTypes.SLIDES[0], pptx: FileTypes.SLIDES[1], odp: FileTypes.SLIDES[2],
+  txt: 'text/plain', md: 'text/markdown', markdown: 'text/markdown',
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', wav: 'audio/wav', ogg: 'audio/ogg',
+  mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+};
+FileTypes.ACCEPT = Object.keys(FileTypes.EXTENSIONS).map(ext => `.${ext}`).join(',') + ',image/*,audio/*,video/*';
+FileTypes.PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+/* ===== Directory Import ===== */
+// Reads dropped or picked directories and maps their levels onto
+// folder → topic → lesson, e.g. Klasse10a/Grammatik/Stunde 3/ficha.pdf.
+// Entries are { path: ['Klasse10a', 'Grammatik', 'Stunde 3'], file }.
+class DirectoryImport {
+  // Must run inside the drop handler: the items are gone afterwards
+  static entriesOf(dataTransfer) {
+    return Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+  }
+
+  static async fromEntries(entries, path = []) {
+    const out = [];
+    for (const entry of entries) {
+      if (entry.isFile) {
+        out.push({ path, file: await new Promise((resolve, reject) => entry.file(resolve, reject)) });
+      } else if (entry.isDirectory) {
+        // readEntries() returns at most ~100 entries per call
+        const reader = entry.createReader();
+        let batch;
+        do {
+          batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          out.push(...await DirectoryImport.fromEntries(batch, [...path, entry.name]));
+        } while (batch.length);
+      }
+    }
+    return out;
+  }
+
+  // FileSystemDirectoryHandle from showDirectoryPicker()
+  static async fromHandle(handle, path = []) {
+    const out = [];
+    const dir = [...path, handle.name];
+    for await (const child of handle.values()) {
+      if (child.kind === 'file') out.push({ path: dir, file: await child.getFile() });
+      else out.push(...await DirectoryImport.fromHandle(child, dir));
+    }
+    return out;
+  }
+
+  // Files of an <input webkitdirectory>
+  static fromFileList(files) {
+    return Array.from(files).map(file => ({ path: (file.webkitRelativePath || file.name).split('/').slice(0, -1), file }));
+  }
+
+  static skipReason(entry) {
+    const name = entry.file.name;
+    if (DirectoryImport.SYSTEM_FILES.includes(name.toLowerCase()) || name.startsWith('~$') ||
+        [...entry.path, name].some(part => part.startsWith('.') || part === '__MACOSX')) return 'Systemdatei';
+    if (!entry.file.size) return 'Leere Datei';
+    if (!FileTypes.supported(name, entry.file.type)) return 'Dateityp nicht unterstützt';
+    return null;
+  }
+
+  // Builds the import tree. start says what the dropped directories become:
+  // 'root' (their subdirectories are folders), 'folder', 'topic', 'lesson'
+  // or 'files'. target holds the folder/topic/lesson above start, and
+  // library the live folders/topics/lessons that same-named levels reuse.
+  // Files above lesson level go to „Allgemein", deeper ones into the lesson.
+  //   → { folders: [{ id, name, topics: [{ id, name, lessons: [{ id, name, files }] }] }], skipped }
+  static plan(entries, { start = 'folder', target = {}, library }) {
+    const depth = Math.max(0, DirectoryImport.LEVELS.indexOf(start) - 1);
+    const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    const folders = [];
+    const skipped = [];
+
+    const child = (list, name, find) => {
+      const key = name.trim().toLowerCase();
+      let node = list.find(n => n.key === key);
+      if (!node) {
+        const existing = find();
+        node = { key, id: existing?.id ?? null, name: existing ? (existing.name ?? existing.title) : name, children: [] };
+        list.push(node);
+      }
+      return node;
+    };
+
+    for (const entry of entries) {
+      const reason = DirectoryImport.skipReason(entry);
+      if (reason) {
+        skipped.push({ path: [...entry.path, entry.file.name].join('/'), reason });
+        continue;
+      }
+      // One name per level; the levels above start come from the target
+      const dirs = start === 'root' ? entry.path.slice(1) : entry.path;
+      const names = [0, 1, 2].map(level => level < depth ? null : dirs[level - depth] || DirectoryImport.GENERAL);
+
+      const folder = child(folders, names[0] ?? '', () => names[0] == null
+        ? target.folder
+        : library.folders.find(f => same(f.name, names[0])));
+      const topic = child(folder.children, names[1] ?? '', () => names[1] == null
+        ? target.topic
+        : folder.id && library.topics.find(t => t.folderId === folder.id && same(t.name, names[1])));
+      const lesson = child(topic.children, names[2] ?? '', () => names[2] == null
+        ? target.lesson
+        : topic.id && library.lessons.find(l => l.topicId === topic.id && same(l.title, names[2])));
+      lesson.children.push(entry.file);
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name, 'de', { numeric: true, sensitivity: 'base' });
+    const tidy = (nodes, level) => nodes.sort(byName).map(({ key, children, ...node }) => ({
+      ...node,
+      [['topics', 'lessons', 'files'][level]]: level === 2 ? children.sort(byName) : tidy(children, level + 1),
+    }));
+    return { folders: tidy(folders, 0), skipped };
+  }
+
+  static count(tree) {
+    const counts = { folders: 0, topics: 0, lessons: 0, files: 0, size: 0 };
+    for (const folder of tree.folders) {
+      if (folder.id == null) counts.folders++;
+      for (const topic of folder.topics) {
+        if (topic.id == null) counts.topics++;
+        for (const lesson of topic.lessons) {
+          if (lesson.id == null) counts.lessons++;
+          counts.files += lesson.files.length;
+          counts.size += lesson.files.reduce((sum, f) => sum + f.size, 0);
+        }
+      }
+    }
+    return counts;
+  }
+}
+
+DirectoryImport.LEVELS = ['root', 'folder', 'topic', 'lesson', 'files'];
+DirectoryImport.GENERAL = 'Allgemein';
+DirectoryImport.SYSTEM_FILES = ['thumbs.db', 'desktop.ini'];
+DirectoryImport.BATCH_BYTES = 50 * 1024 * 1024; // read and stored together
+
+/* ===== Search Query ===== */
+// Parses queries like  ser estar type:pdf folder:"Klasse 10a" tag:A2
+// date:2026-09..2026-10 has:links -prueba  and scores entities against them.
+// Matching is case- and accent-insensitive ("leccion" finds "Lección").
+class SearchQuery {
+  static normalize(str) {
+    return (str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // Like normalize(), but also returns the original index of every folded
+  // character so matches can be highlighted in the unmodified text.
+  static fold(str) {
+    let text = '';
+    const map = [];
+    for (let i = 0; i < str.length; i++) {
+      const n = SearchQuery.normalize(str[i]);
+      for (let k = 0; k < n.length; k++) { text += n[k]; map.push(i); }
+    }
+    map.push(str.length);
+    return { text, map };
+  }
+
+  static parse(input) {
+    const q = new SearchQuery();
+    const re = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let m;
+    while ((m = re.exec(input)) !== null) {
+      if (!m[0]) { re.lastIndex++; continue; }
+      const negate = !!m[1];
+      const key = m[2] && m[2].toLowerCase();
+      const value = m[3] ?? m[4] ?? '';
+      if (key && SearchQuery.FILTERS.includes(key)) {
+        if (value) q.filters.push({ key, value: SearchQuery.normalize(value.trim()), negate });
+        continue;
+      }
+      const term = SearchQuery.normalize(((m[2] ? `${m[2]}:` : '') + value).trim());
+      if (!term) continue;
+      (negate ? q.excluded : q.terms).push(term);
+    }
+    return q;
+  }
+
+  constructor() {
+    this.terms = [];
+    this.excluded = [];
+    this.filters = [];
+  }
+
+  get isEmpty() {
+    return !this.terms.length && !this.excluded.length && !this.filters.length;
+  }
+
+  // ctx: { kind, folder, topic, lesson, file, fileCount, hasText }
+  matches(ctx) {
+    return this.filters.every(f => this._filter(f, ctx) !== f.negate);
+  }
+
+  _filter({ key, value }, ctx) {
+    const norm = SearchQuery.normalize;
+    switch (key) {
+      case 'type': {
+        const kinds = SearchQuery.TYPES[value];
+        if (!kinds) return false;
+        return kinds.includes(ctx.kind) || (ctx.kind === 'file' && kinds.includes(FileTypes.kind(ctx.file)));
+      }
+      case 'folder':
+      case 'ordner':
+        return !!ctx.folder && norm(ctx.folder.name).includes(value);
+      case 'topic':
+      case 'thema':
+        return !!ctx.topic && norm(ctx.topic.name).includes(value);
+      case 'tag':
+        return (ctx[ctx.kind]?.tags || []).some(t => norm(t) === value);
+      case 'date':
+      case 'datum': {
+        const date = ctx.lesson?.date;
+        if (!date) return false;
+        const [from, to = from] = value.includes('..') ? value.split('..') : [value];
+        return (!from || date >= from) && (!to || date <= `${to}\uffff`);
+      }
+      case 'has':
+      case 'hat':
+        switch (value) {
+          case 'links': return !!ctx.lesson?.links?.length && ctx.kind === 'lesson';
+          case 'files': case 'dateien': return ctx.kind === 'lesson' && ctx.fileCount > 0;
+          case 'date': case 'datum': return ctx.kind === 'lesson' && !!ctx.lesson.date;
+          case 'description': case 'beschreibung': return ctx.kind === 'lesson' && !!ctx.lesson.description;
+          case 'plan': case 'planung': return ctx.kind === 'lesson' && !LessonPlan.isEmpty(ctx.lesson.plan);
+          case 'vocab': case 'vokabeln': return ctx.kind === 'lesson' && !!ctx.lesson.vocab?.length;
+          case 'text': return ctx.kind === 'file' && !!ctx.hasText;
+          default: return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  // fields: [{ text (normalized), weight }]. Returns 0 when a term is missing
+  // or an excluded term is present, otherwise a relevance score.
+  score(fields) {
+    if (this.excluded.some(term => fields.some(f => f.text && f.text.includes(term)))) return 0;
+    let total = 0;
+    for (const term of this.terms) {
+      let best = 0;
+      for (const f of fields) {
+        const i = f.text ? f.text.indexOf(term) : -1;
+        if (i < 0) continue;
+        let s = f.weight;
+        if (i === 0 || !/[a-z0-9]/.test(f.text[i - 1])) s *= 1.5; // word start
+        if (f.text === term) s *= 2;                               // whole field
+        best = Math.max(best, s);
+      }
+      if (!best) return 0;
+      total += best;
+    }
+    return this.terms.length ? total : 1;
+  }
+}
+
+SearchQuery.FILTERS = ['type', 'folder', 'ordner', 'topic', 'thema', 'tag', 'date', 'datum', 'has', 'hat'];
+SearchQuery.TYPES = {
+  pdf: ['pdf'],
+  docx: ['docx'],
+  doc: ['doc'],
+  word: ['doc', 'docx'],
+  image: ['image'], bild: ['image'],
+  audio: ['audio'],
+  video: ['video'],
+  slides: ['slides'], folien: ['slides'],
+  text: ['text'],
+  folder: ['folder'], ordner: ['folder'],
+  topic: ['topic'], thema: ['topic'],
+  lesson: ['lesson'], stunde: ['lesson'],
+  file: ['file'], datei: ['file'],
+};
+
+/* ===== Lesson Plan ===== */
+// The lesson plan lives in lesson.plan as { [section]: html }. Everything is
+// sanitized on the way in and again on render, since plans also arrive
+// through imported archives.
+class LessonPlan {
+  // Keeps the formatting the editor toolbar can produce. Unknown elements
+  // are unwrapped so their text survives; script-like ones are dropped.
+  static sanitize(html) {
+    const tpl = document.createElement('template');
+    tpl.innerHTML = html || '';
+    const clean = (parent) => {
+      for (const node of [...parent.childNodes]) {
+        if (node.nodeType === Node.TEXT_NODE) continue;
+        if (node.nodeType !== Node.ELEMENT_NODE) { node.remove(); continue; }
+        const tag = node.tagName.toLowerCase();
+        if (LessonPlan.DROP.includes(tag)) { node.remove(); continue; }
+        clean(node);
+        if (!LessonPlan.TAGS.includes(tag)) { node.replaceWith(...node.childNodes); continue; }
+        for (const attr of [...node.attributes]) {
+          const keep = (attr.name === 'colspan' || attr.name === 'rowspan') && /^\d{1,2}$/.test(attr.value);
+          if (!keep) node.removeAttribute(attr.name);
+        }
+      }
+    };
+    clean(tpl.content);
+    return tpl.innerHTML.trim();
+  }
+
+  // Plain text of all sections, e.g. for the search index.
+  static toText(plan) {
+    return Object.values(plan || {}).map(html => html
+      .replace(/<\/?(p|div|br|li|h\d|td|th|tr|table|ul|ol|blockquote)\b[^>]*>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+    ).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  static isEmpty(plan) {
+    return !Object.values(plan || {}).some(html => /<table/i.test(html) || LessonPlan.toText({ html }));
+  }
+
+  // Unterrichtsverlauf table for the "Tabelle" button
+  static tableHTML() {
+    const head = LessonPlan.TABLE_HEAD.map(h => `<th>${h}</th>`).join('');
+    const row = `<tr>${LessonPlan.TABLE_HEAD.map(() => '<td><br></td>').join('')}</tr>`;
+    return `<table><thead><tr>${head}</tr></thead><tbody>${row}${row}${row}</tbody></table><p><br></p>`;
+  }
+}
+
+LessonPlan.SECTIONS = [
+  { key: 'ziele', label: 'Ziele', placeholder: 'Was können die Schülerinnen und Schüler am Ende der Stunde?' },
+  { key: 'ablauf', label: 'Ablauf', placeholder: 'Einstieg, Erarbeitung, Sicherung … (Tabelle über die Werkzeugleiste)' },
+  { key: 'hausaufgaben', label: 'Hausaufgaben', placeholder: 'Aufgaben bis zur nächsten Stunde' },
+  { key: 'reflexion', label: 'Reflexion', placeholder: 'Was lief gut, was ändere ich beim nächsten Mal?' },
+];
+LessonPlan.TAGS = ['p', 'div', 'br', 'h3', 'h4', 'strong', 'b', 'em', 'i', 'u', 's', 'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'blockquote'];
+LessonPlan.DROP = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'svg', 'math', 'img', 'video', 'audio', 'head', 'title', 'meta', 'link'];
+LessonPlan.TABLE_HEAD = ['Zeit', 'Phase', 'Inhalt', 'Sozialform', 'Medien'];
+LessonPlan.CHARS = ['ñ', 'á', 'é', 'í', 'ó', 'ú', 'ü', '¿', '¡', 'Ñ', 'Á', 'É'];
+
+/* ===== Vocabulary ===== */
+// Vocabulary lives in lesson.vocab as [{ id, es, de, type, gender, example }].
+// The Leitner state of a card ({ box, due, reviews, lapses, last }) is kept
+// apart in lesson.srs, keyed by vocab id, so undoing a change to the list
+// never rolls back practice progress. It stays unset until the card has been
+// practised; older lessons kept it on the entry itself.
+class Vocab {
+  // Reads pasted CSV/TSV (Excel, Word tables, Quizlet exports) with the
+  // columns Spanisch, Deutsch, Wortart, Genus, Beispielsatz.
+  static parse(text) {
+    text = (text || '').replace(/\r\n?/g, '\n').trim();
+    const firstLine = text.split('\n')[0];
+    const sep = ['\t', ';', ','].find(s => firstLine.includes(s)) || '\t';
+    const rows = Vocab._rows(text, sep);
+    if (rows.length && Vocab.HEADER.includes(SearchQuery.normalize(rows[0][0].trim()))) rows.shift();
+    return rows
+      .map(([es, de, type, gender, example]) => Vocab.normalize({ es, de, type, gender, example }))
+      .filter(v => v.es || v.de);
+  }
+
+  // Quoted cells may contain the separator, line breaks and doubled quotes.
+  static _rows(text, sep) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"' && !cell) quoted = true;
+      else if (c === sep) { row.push(cell); cell = ''; }
+      else if (c === '\n') { row.push(cell); rows.push(row); row = []; cell = ''; }
+      else cell += c;
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(r => r.some(c => c.trim()));
+  }
+
+  static normalize({ es, de, type, gender, example }) {
+    const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+    const v = {
+      es: clean(es),
+      de: clean(de),
+      type: Vocab._lookup(Vocab.TYPES, type),
+      gender: Vocab._lookup(Vocab.GENDERS, gender),
+      example: clean(example),
+    };
+    // "la casa", "los deberes": the article gives away noun and gender
+    const article = /^(el|la|los|las)\s/i.exec(v.es)?.[1].toLowerCase();
+    if (article) {
+      if (!v.type) v.type = 'nomen';
+      if (!v.gender) v.gender = article.startsWith('la') ? 'f' : 'm';
+    }
+    return v;
+  }
+
+  // Maps "Adj.", "sust", "m./f." … onto the keys of TYPES or GENDERS
+  static _lookup(options, value) {
+    const key = SearchQuery.normalize((value || '').trim()).replace(/[.\s]/g, '');
+    if (!key) return '';
+    return options.find(o => o.key === key || o.aliases.includes(key))?.key || '';
+  }
+
+  static label(options, key) {
+    return options.find(o => o.key === key)?.label || '';
+  }
+
+  // Leitner: a known card moves up one box, a missed one drops back to
+  // box 0 and stays due. Box n comes back after INTERVALS[n - 1] days.
+  static review(srs, known, today) {
+    const box = known ? Math.min((srs?.box || 0) + 1, Vocab.INTERVALS.length) : 0;
+    return {
+      box,
+      due: box ? DB.shiftDate(today, Vocab.INTERVALS[box - 1]) : today,
+      reviews: (srs?.reviews || 0) + 1,
+      lapses: (srs?.lapses || 0) + (known ? 0 : 1),
+      last: today,
+    };
+  }
+
+  static srsOf(lesson, entry) {
+    return lesson.srs?.[entry.id] || entry.srs || null;
+  }
+
+  static isDue(srs, today) {
+    return !srs || srs.due <= today;
+  }
+
+  static shuffle(list) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+}
+
+Vocab.TYPES = [
+  { key: 'nomen', label: 'Nomen', aliases: ['n', 'nom', 'substantiv', 'subst', 's', 'sust', 'sustantivo', 'noun'] },
+  { key: 'verb', label: 'Verb', aliases: ['v', 'vb', 'verbo'] },
+  { key: 'adjektiv', label: 'Adjektiv', aliases: ['adj', 'adjetivo', 'adjective'] },
+  { key: 'adverb', label: 'Adverb', aliases: ['adv', 'adverbio'] },
+  { key: 'praeposition', label: 'Präposition', aliases: ['prap', 'prep', 'praposition', 'preposicion'] },
+  { key: 'pronomen', label: 'Pronomen', aliases: ['pron', 'pronombre'] },
+  { key: 'konjunktion', label: 'Konjunktion', aliases: ['konj', 'conj', 'conjuncion'] },
+  { key: 'wendung', label: 'Wendung', aliases: ['redewendung', 'ausdruck', 'expresion', 'loc', 'phrase'] },
+];
+Vocab.GENDERS = [
+  { key: 'm', label: 'm.', aliases: ['masc', 'maskulin', 'masculino', 'mannlich', 'el', 'der'] },
+  { key: 'f', label: 'f.', aliases: ['fem', 'feminin', 'femenino', 'weiblich', 'la', 'die'] },
+  { key: 'mf', label: 'm./f.', aliases: ['m/f', 'f/m', 'el/la'] },
+];
+Vocab.HEADER = ['spanisch', 'espanol', 'es', 'palabra', 'vokabel', 'wort', 'termino'];
+Vocab.INTERVALS = [1, 3, 7, 14, 30]; // days until a card in box 1…5 is due again
+Vocab.SESSION = 20;                  // cards per practice round
+
+/* ===== Conjugation ===== */
+// Spanish conjugation for drills and worksheets: regular -ar/-er/-ir
+// endings with their spelling and stem changes, plus Conjugator.VERBS for
+// verbs whose forms cannot be derived. Forms come per person (yo, tú, él,
+// nosotros, vosotros, ellos); the imperative has no yo form (null).
+class Conjugator {
+  // null when the input is no Spanish infinitive
+  static conjugate(infinitive, tense) {
+    const m = /^([a-zñáéíóúü]*?(?:ar|er|ir|ír))(se)?$/.exec((infinitive || '').trim().toLowerCase());
+    if (!m || !Conjugator.TENSES.some(t => t.key === tense)) return null;
+    const [, verb, reflexive] = m;
+    const forms = Conjugator._forms(verb, tense);
+    if (!reflexive) return forms;
+    return forms.map((f, p) => f && (tense === 'imperativo'
+      ? Conjugator._enclitic(f, Conjugator.REFLEXIVE[p], p)
+      : `${Conjugator.REFLEXIVE[p]} ${f}`));
+  }
+
+  static isVerb(infinitive) {
+    return !!Conjugator.conjugate(infinitive, 'presente');
+  }
+
+  static _forms(verb, tense) {
+    const irr = Conjugator._entry(verb);
+    if (tense in irr) return irr[tense] && [...irr[tense]];
+    const cls = verb.slice(-2).replace('í', 'i');
+    const stem = verb.slice(0, -2);
+    const join = (s, ending) => Conjugator._join(s, ending, cls);
+    const endings = (table) => Conjugator.ENDINGS[table][cls === 'ar' ? 'ar' : table === 'presente' ? cls : 'er'];
+    const strong = irr.stem ? Conjugator._change(stem, irr.stem) : stem;
+    const weak = irr.stem && cls === 'ir' ? Conjugator._change(stem, irr.stem, true) : stem;
+
+    switch (tense) {
+      case 'presente':
+        return endings('presente').map((e, p) => (p === 0 && irr.yo) || join(Conjugator.STRESSED.includes(p) ? strong : stem, e));
+      case 'indefinido': {
+        if (irr.pret) {
+          const list = ['e', 'iste', 'o', 'imos', 'isteis', irr.pret.endsWith('j') ? 'eron' : 'ieron'];
+          return list.map((e, p) => (p === 2 && irr.pret.endsWith('c') ? `${irr.pret.slice(0, -1)}zo` : irr.pret + e));
+        }
+        return endings('indefinido').map((e, p) => {
+          const s = p === 2 || p === 5 ? weak : stem;
+          // leer, oír, construir: i between vowels turns into y, leíste keeps the hiatus
+          if (cls !== 'ar' && /[aeou]$/.test(s) && !/[gq]u$/.test(s)) {
+            if (p === 2 || p === 5) return s + e.replace(/^i/, 'y');
+            if (/[aeo]$/.test(s)) return s + e.replace(/^i/, 'í');
+          }
+          return join(s, e);
+        });
+      }
+      case 'imperfecto':
+        return endings('imperfecto').map(e => stem + e);
+      case 'futuro':
+      case 'condicional': {
+        const base = irr.fut || verb.replace('í', 'i');
+        return Conjugator.ENDINGS[tense].map(e => base + e);
+      }
+      case 'perfecto':
+      case 'pluscuamperfecto': {
+        const pp = irr.pp || (cls === 'ar' ? `${stem}ado` : `${stem}${/[aeo]$/.test(stem) ? 'í' : 'i'}do`);
+        return Conjugator._forms('haber', tense === 'perfecto' ? 'presente' : 'imperfecto').map(h => `${h} ${pp}`);
+      }
+      case 'subjuntivo': {
+        const list = Conjugator.ENDINGS.subjuntivo[cls === 'ar' ? 'ar' : 'er'];
+        // tengo → tenga for every person; otherwise the stem of the present
+        // tense, with -ir verbs weakening it in nosotros/vosotros (durmamos)
+        const yo = irr.subj || irr.yo?.replace(/o$/, '');
+        if (yo) return list.map(e => yo + e);
+        return list.map((e, p) => join(Conjugator.STRESSED.includes(p) ? strong : weak, e));
+      }
+      case 'subjImperfecto': {
+        const base = Conjugator._forms(verb, 'indefinido')[5].replace(/ron$/, '');
+        const accented = base.slice(0, -1) + Conjugator.ACCENTS[base.slice(-1)];
+        return ['ra', 'ras', 'ra', 'ramos', 'rais', 'ran'].map((e, p) => (p === 3 ? accented : base) + e);
+      }
+      case 'imperativo': {
+        const subj = Conjugator._forms(verb, 'subjuntivo');
+        return [null, irr.imp || Conjugator._forms(verb, 'presente')[2], subj[2], subj[3], `${verb.slice(0, -1)}d`, subj[5]];
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Irregular data of a verb; compounds like mantener or traducir borrow
+  // from their base verb (tener, -ducir) with the prefix put in front.
+  static _entry(verb) {
+    if (Conjugator.VERBS[verb]) return Conjugator.VERBS[verb];
+    const base = Object.keys(Conjugator.VERBS)
+      .filter(k => Conjugator.VERBS[k].derive && verb.endsWith(k))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!base) return {};
+    const prefix = verb.slice(0, -base.length);
+    const entry = {};
+    for (const [key, value] of Object.entries(Conjugator.VERBS[base])) {
+      if (key === 'derive' || key === 'stem') entry[key] = value;
+      // mantén, compón: the short imperative gets an accent behind a prefix
+      else if (key === 'imp') entry.imp = prefix + value.replace(/[aeiou](?=[ns]?$)/, v => Conjugator.ACCENTS[v]);
+      else entry[key] = Array.isArray(value) ? value.map(f => f && prefix + f) : prefix + value;
+    }
+    return entry;
+  }
+
+  // Stressed stem change (pienso, duermo, pido, envío); weak is the -ir
+  // change in the preterite and subjunctive (sintió, durmamos)
+  static _change(stem, change, weak = false) {
+    const [from, to] = weak ? ({ ie: ['e', 'i'], i: ['e', 'i'], ue: ['o', 'u'] }[change] || [null]) : {
+      ie: ['e', 'ie'], ue: ['o', 'ue'], i: ['e', 'i'], 'í': ['i', 'í'], 'ú': ['u', 'ú'],
+    }[change];
+    if (!from) return stem;
+    let at = stem.lastIndexOf(from);
+    // jugar is the one u → ue verb
+    if (at < 0 && change === 'ue' && !weak) at = stem.lastIndexOf('u');
+    return at < 0 ? stem : stem.slice(0, at) + to + stem.slice(at + 1);
+  }
+
+  // Spelling rules where stem and ending meet: busqué, llegué, empecé,
+  // cojo, sigo, conozco, venzo, construyo
+  static _join(stem, ending, cls) {
+    if (cls === 'ar') {
+      if (/^[eé]/.test(ending)) {
+        if (stem.endsWith('c')) return `${stem.slice(0, -1)}qu${ending}`;
+        if (stem.endsWith('g')) return `${stem}u${ending}`;
+        if (stem.endsWith('z')) return `${stem.slice(0, -1)}c${ending}`;
+      }
+      return stem + ending;
+    }
+    if (/^[aoáó]/.test(ending)) {
+      if (stem.endsWith('gu')) return stem.slice(0, -1) + ending;
+      if (stem.endsWith('g')) return `${stem.slice(0, -1)}j${ending}`;
+      if (/[aeiou]c$/.test(stem)) return `${stem.slice(0, -1)}zc${ending}`;
+      if (stem.endsWith('c')) return `${stem.slice(0, -1)}z${ending}`;
+    }
+    if (cls === 'ir' && /[^gq]u$/.test(stem) && !/^[ií]/.test(ending)) return `${stem}y${ending}`;
+    return stem + ending;
+  }
+
+  // levanta + te → levántate, levantemos + nos → levantémonos
+  static _enclitic(form, pronoun, person) {
+    let base = form;
+    if (person === 3) base = base.slice(0, -1);
+    if (person === 4 && base !== 'id') base = base.slice(0, -1);
+    const word = base + pronoun;
+    const at = Conjugator._stress(form);
+    if (/[áéíóú]/.test(word) || Conjugator._stress(word) === at) return word;
+    return word.slice(0, at) + Conjugator.ACCENTS[word[at]] + word.slice(at + 1);
+  }
+
+  // Index of the stressed vowel: the written accent, otherwise the last
+  // syllable for words ending in a consonant other than n/s, else the one before
+  static _stress(word) {
+    const accented = word.search(/[áéíóú]/);
+    if (accented >= 0) return accented;
+    const plain = word.replace(/([qg])u(?=[ei])/g, '$1_'); // silent u in que, gui
+    const nuclei = [];
+    let prev = null;
+    for (let i = 0; i < plain.length; i++) {
+      const c = plain[i];
+      if (!'aeiouü'.includes(c)) { prev = null; continue; }
+      const strong = 'aeo'.includes(c);
+      if (prev && !(prev.strong && strong)) {
+        if (strong) prev.at = i; // the strong vowel carries the stress
+        prev.strong = prev.strong || strong;
+        if (!prev.strong) prev.at = i; // ui, iu: the second one
+        continue;
+      }
+      prev = { at: i, strong };
+      nuclei.push(prev);
+    }
+    if (!nuclei.length) return -1;
+    const last = /[aeiouns]$/.test(word) && nuclei.length > 1 ? nuclei.length - 2 : nuclei.length - 1;
+    return nuclei[last].at;
+  }
+
+  // Random prompts for a drill: [{ verb, tense, person, form }]
+  static items({ verbs, tenses, persons }, count) {
+    const all = [];
+    for (const verb of verbs) {
+      for (const tense of tenses) {
+        const forms = Conjugator.conjugate(verb, tense);
+        for (const person of persons) {
+          if (forms?.[person]) all.push({ verb, tense, person, form: forms[person] });
+        }
+      }
+    }
+    return Vocab.shuffle(all).slice(0, count);
+  }
+
+  static personLabel(tense, person) {
+    return (tense === 'imperativo' ? Conjugator.IMPERATIVE_PERSONS : Conjugator.PERSONS)[person];
+  }
+
+  static tenseLabel(tense) {
+    return Conjugator.TENSES.find(t => t.key === tense)?.label || tense;
+  }
+
+  // Accepted answers for a form; the -se subjunctive counts as well
+  static answers(form, tense) {
+    if (tense !== 'subjImperfecto') return [form];
+    return [form, form.replace(/ra(s|mos|is|n)?$/, 'se$1')];
+  }
+}
+
+Conjugator.TENSES = [
+  { key: 'presente', label: 'Presente' },
+  { key: 'indefinido', label: 'Pretérito indefinido' },
+  { key: 'imperfecto', label: 'Pretérito imperfecto' },
+  { key: 'perfecto', label: 'Pretérito perfecto' },
+  { key: 'pluscuamperfecto', label: 'Pluscuamperfecto' },
+  { key: 'futuro', label: 'Futuro simple' },
+  { key: 'condicional', label: 'Condicional' },
+  { key: 'subjuntivo', label: 'Presente de subjuntivo' },
+  { key: 'subjImperfecto', label: 'Imperfecto de subjuntivo' },
+  { key: 'imperativo', label: 'Imperativo afirmativo' },
+];
+Conjugator.PERSONS = ['yo', 'tú', 'él/ella/usted', 'nosotros/-as', 'vosotros/-as', 'ellos/ellas/ustedes'];
+Conjugator.IMPERATIVE_PERSONS = [null, 'tú', 'usted', 'nosotros/-as', 'vosotros/-as', 'ustedes'];
+Conjugator.REFLEXIVE = ['me', 'te', 'se', 'nos', 'os', 'se'];
+Conjugator.STRESSED = [0, 1, 2, 5];
+Conjugator.ACCENTS = { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú' };
+Conjugator.CHARS = ['á', 'é', 'í', 'ó', 'ú', 'ñ', 'ü'];
+Conjugator.COUNT = 20; // items per drill round and worksheet by default
+Conjugator.ENDINGS = {
+  presente: {
+    ar: ['o', 'as', 'a', 'amos', 'áis', 'an'],
+    er: ['o', 'es', 'e', 'emos', 'éis', 'en'],
+    ir: ['o', 'es', 'e', 'imos', 'ís', 'en'],
+  },
+  indefinido: {
+    ar: ['é', 'aste', 'ó', 'amos', 'asteis', 'aron'],
+    er: ['í', 'iste', 'ió', 'imos', 'isteis', 'ieron'],
+  },
+  imperfecto: {
+    ar: ['aba', 'abas', 'aba', 'ábamos', 'abais', 'aban'],
+    er: ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían'],
+  },
+  subjuntivo: {
+    ar: ['e', 'es', 'e', 'emos', 'éis', 'en'],
+    er: ['a', 'as', 'a', 'amos', 'áis', 'an'],
+  },
+  futuro: ['é', 'ás', 'á', 'emos', 'éis', 'án'],
+  condicional: ['ía', 'ías', 'ía', 'íamos', 'íais', 'ían'],
+};
+// stem: ie/ue/i/í/ú stem change, yo: irregular first person present (its
+// stem carries the subjunctive), pret/fut: irregular stems, pp: participle,
+// imp: tú imperative, derive: prefixed verbs (mantener, componer) follow.
+// Whole tenses can be given as arrays of six forms.
+Conjugator.VERBS = {
+  ser: {
+    presente: ['soy', 'eres', 'es', 'somos', 'sois', 'son'],
+    indefinido: ['fui', 'fuiste', 'fue', 'fuimos', 'fuisteis', 'fueron'],
+    imperfecto: ['era', 'eras', 'era', 'éramos', 'erais', 'eran'],
+    subj: 'se', imp: 'sé',
+  },
+  estar: {
+    presente: ['estoy', 'estás', 'está', 'estamos', 'estáis', 'están'],
+    subjuntivo: ['esté', 'estés', 'esté', 'estemos', 'estéis', 'estén'],
+    pret: 'estuv', imp: 'está',
+  },
+  ir: {
+    presente: ['voy', 'vas', 'va', 'vamos', 'vais', 'van'],
+    indefinido: ['fui', 'fuiste', 'fue', 'fuimos', 'fuisteis', 'fueron'],
+    imperfecto: ['iba', 'ibas', 'iba', 'íbamos', 'ibais', 'iban'],
+    imperativo: [null, 've', 'vaya', 'vamos', 'id', 'vayan'],
+    subj: 'vay',
+  },
+  haber: {
+    presente: ['he', 'has', 'ha', 'hemos', 'habéis', 'han'],
+    imperativo: null,
+    subj: 'hay', pret: 'hub', fut: 'habr',
+  },
+  dar: {
+    presente: ['doy', 'das', 'da', 'damos', 'dais', 'dan'],
+    indefinido: ['di', 'diste', 'dio', 'dimos', 'disteis', 'dieron'],
+    subjuntivo: ['dé', 'des', 'dé', 'demos', 'deis', 'den'],
+  },
+  ver: {
+    presente: ['veo', 'ves', 've', 'vemos', 'veis', 'ven'],
+    indefinido: ['vi', 'viste', 'vio', 'vimos', 'visteis', 'vieron'],
+    imperfecto: ['veía', 'veías', 'veía', 'veíamos', 'veíais', 'veían'],
+    subj: 've', pp: 'visto',
+  },
+  saber: { yo: 'sé', subj: 'sep', pret: 'sup', fut: 'sabr' },
+  caber: { yo: 'quepo', pret: 'cup', fut: 'cabr' },
+  tener: { stem: 'ie', yo: 'tengo', pret: 'tuv', fut: 'tendr', imp: 'ten', derive: true },
+  venir: { stem: 'ie', yo: 'vengo', pret: 'vin', fut: 'vendr', imp: 'ven', derive: true },
+  poner: { yo: 'pongo', pret: 'pus', fut: 'pondr', pp: 'puesto', imp: 'pon', derive: true },
+  hacer: { yo: 'hago', pret: 'hic', fut: 'har', pp: 'hecho', imp: 'haz', derive: true },
+  decir: { stem: 'i', yo: 'digo', pret: 'dij', fut: 'dir', pp: 'dicho', imp: 'di' },
+  traer: { yo: 'traigo', pret: 'traj', derive: true },
+  ducir: { yo: 'duzco', pret: 'duj', derive: true },
+  satisfacer: { yo: 'satisfago', pret: 'satisfic', fut: 'satisfar', pp: 'satisfecho', imp: 'satisfaz' },
+  salir: { yo: 'salgo', fut: 'saldr', imp: 'sal' },
+  valer: { yo: 'valgo', fut: 'valdr' },
+  caer: { yo: 'caigo' },
+  oír: { presente: ['oigo', 'oyes', 'oye', 'oímos', 'oís', 'oyen'], subj: 'oig', imp: 'oye' },
+  poder: { stem: 'ue', pret: 'pud', fut: 'podr' },
+  querer: { stem: 'ie', pret: 'quis', fut: 'querr' },
+  andar: { pret: 'anduv' },
+  volver: { stem: 'ue', pp: 'vuelto', derive: true },
+  resolver: { stem: 'ue', pp: 'resuelto' },
+  morir: { stem: 'ue', pp: 'muerto' },
+  escribir: { pp: 'escrito', derive: true },
+  abrir: { pp: 'abierto' },
+  cubrir: { pp: 'cubierto', derive: true },
+  romper: { pp: 'roto' },
+  dormir: { stem: 'ue' },
+  jugar: { stem: 'ue' },
+  pensar: { stem: 'ie' },
+  empezar: { stem: 'ie' },
+  comenzar: { stem: 'ie' },
+  cerrar: { stem: 'ie' },
+  despertar: { stem: 'ie' },
+  sentar: { stem: 'ie' },
+  entender: { stem: 'ie' },
+  perder: { stem: 'ie' },
+  preferir: { stem: 'ie' },
+  sentir: { stem: 'ie', derive: true },
+  mentir: { stem: 'ie' },
+  divertir: { stem: 'ie' },
+  convertir: { stem: 'ie' },
+  contar: { stem: 'ue' },
+  costar: { stem: 'ue' },
+  encontrar: { stem: 'ue' },
+  recordar: { stem: 'ue' },
+  acostar: { stem: 'ue' },
+  almorzar: { stem: 'ue' },
+  probar: { stem: 'ue' },
+  mostrar: { stem: 'ue' },
+  soñar: { stem: 'ue' },
+  volar: { stem: 'ue' },
+  mover: { stem: 'ue', derive: true },
+  llover: { stem: 'ue' },
+  doler: { stem: 'ue' },
+  pedir: { stem: 'i', derive: true },
+  servir: { stem: 'i' },
+  repetir: { stem: 'i' },
+  vestir: { stem: 'i' },
+  seguir: { stem: 'i', derive: true },
+  elegir: { stem: 'i' },
+  medir: { stem: 'i' },
+  reír: {
+    presente: ['río', 'ríes', 'ríe', 'reímos', 'reís', 'ríen'],
+    indefinido: ['reí', 'reíste', 'rió', 'reímos', 'reísteis', 'rieron'],
+    subjuntivo: ['ría', 'rías', 'ría', 'riamos', 'riáis', 'rían'],
+    pp: 'reído', derive: true,
+  },
+  enviar: { stem: 'í' },
+  esquiar: { stem: 'í' },
+  confiar: { stem: 'í' },
+  continuar: { stem: 'ú' },
+  actuar: { stem: 'ú' },
+  graduar: { stem: 'ú' },
+};
+// Suggestions in the drill dialog
+Conjugator.SETS = [
+  { label: 'Regelmäßig', verbs: ['hablar', 'trabajar', 'comer', 'beber', 'vivir', 'escribir'] },
+  { label: 'Unregelmäßig', verbs: ['ser', 'estar', 'ir', 'tener', 'hacer', 'poder', 'decir', 'poner', 'venir', 'saber'] },
+  { label: 'Stammwechsel', verbs: ['pensar', 'querer', 'poder', 'dormir', 'jugar', 'pedir', 'sentir', 'volver'] },
+  { label: 'Reflexiv', verbs: ['levantarse', 'ducharse', 'vestirse', 'acostarse', 'despertarse', 'llamarse'] },
+];
+
+/* ===== State Store ===== */
+class Store {
+  constructor() {
+    this.state = {
+      folders: [],
+      topics: [],
+      lessons: [],
+      currentFolderId: null,
+      currentTopicId: null,
+      currentLessonId: null,
+      searchQuery: '',
+      theme: 'light',
+      previewFileId: null,
+      currentView: null,      // 'calendar' | Router.VIEWS for views outside the folder tree
+      calendarMode: 'month',  // 'month' | 'week' | 'agenda'
+      calendarDate: null,     // anchor date (YYYY-MM-DD), null = today
+    };
+    this._listeners = [];
+  }
+
+  get(key) { return this.state[key]; }
+
+  set(key, value) {
+    this.state[key] = value;
+    this._notify();
+  }
+
+  subscribe(fn) {
+    this._listeners.push(fn);
+    return () => { this._listeners = this._listeners.filter(l => l !== fn); };
+  }
+
+  _notify() {
+    this._listeners.forEach(fn => fn(this.state));
+  }
+}
+
+/* ===== Undo History ===== */
+// Stack of change sets for Ctrl+Z / Ctrl+Shift+Z. A change set is
+// { message, changes: [{ store, id, before, after }] } where before/after are
+// record snapshots; before is null for creations.
+class UndoHistory {
+  constructor(limit = UndoHistory.LIMIT) {
+    this.limit = limit;
+    this._undo = [];
+    this._redo = [];
+  }
+
+  push(entry) {
+    this._undo.push(entry);
+    if (this._undo.length > this.limit) this._undo.shift();
+    this._redo = [];
+  }
+
+  canUndo() { return this._undo.length > 0; }
+  canRedo() { return this._redo.length > 0; }
+
+  takeUndo() {
+    const entry = this._undo.pop();
+    if (entry) this._redo.push(entry);
+    return entry;
+  }
+
+  takeRedo() {
+    const entry = this._redo.pop();
+    if (entry) this._undo.push(entry);
+    return entry;
+  }
+
+  clear() {
+    this._undo = [];
+    this._redo = [];
+  }
+}
+
+UndoHistory.LIMIT = 50;
+
+/* ===== Hash Router ===== */
+// Mirrors the navigation state into the URL, e.g.
+// #/folder/3/topic/7/lesson/12?preview=44 or #/search?q=ser
+class Router {
+  static format(state) {
+    const params = new URLSearchParams();
+    let path;
+    if (state.searchQuery) {
+      path = '#/search';
+      params.set('q', state.searchQuery);
+    } else if (Router.VIEWS.includes(state.currentView)) {
+      path = `#/${state.currentView}`;
+    } else if (state.currentView === 'calendar') {
+      path = '#/calendar';
+      params.set('mode', state.calendarMode);
+      if (state.calendarDate) params.set('date', state.calendarDate);
+    } else {
+      const parts = [];
+      if (state.currentFolderId) parts.push('folder', state.currentFolderId);
+      if (state.currentTopicId) parts.push('topic', state.currentTopicId);
+      if (state.currentLessonId) parts.push('lesson', state.currentLessonId);
+      if (state.currentLessonId && state.previewFileId) params.set('preview', state.previewFileId);
+      path = `#/${parts.join('/')}`;
+    }
+    const qs = params.toString();
+    return qs ? `${path}?${qs}` : path;
+  }
+
+  static parse(hash) {
+    const [path, qs = ''] = hash.replace(/^#\/?/, '').split('?');
+    const params = new URLSearchParams(qs);
+    const segments = path.split('/').filter(Boolean);
+    const route = {
+      currentFolderId: null,
+      currentTopicId: null,
+      currentLessonId: null,
+      previewFileId: null,
+      searchQuery: '',
+      currentView: null,
+    };
+
+    if (segments[0] === 'search') {
+      route.searchQuery = (params.get('q') || '').trim();
+      return route;
+    }
+
+    if (Router.VIEWS.includes(segments[0])) {
+      route.currentView = segments[0];
+      return route;
+    }
+
+    if (segments[0] === 'calendar') {
+      route.currentView = 'calendar';
+      const mode = params.get('mode');
+      route.calendarMode = ['month', 'week', 'agenda'].includes(mode) ? mode : 'month';
+      const date = params.get('date');
+      route.calendarDate = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : null;
+      return route;
+    }
+
+    const keys = { folder: 'currentFolderId', topic: 'currentTopicId', lesson: 'currentLessonId' };
+    for (let i = 0; i + 1 < segments.length; i += 2) {
+      const key = keys[segments[i]];
+      const id = Number(segments[i + 1]);
+      if (key && Number.isInteger(id) && id > 0) route[key] = id;
+    }
+    const preview = Number(params.get('preview'));
+    if (route.currentLessonId && Number.isInteger(preview) && preview > 0) route.previewFileId = preview;
+    return route;
+  }
+}
+
+// Views without parameters, routed as #/<view>
+Router.VIEWS = ['library', 'trash', 'storage'];
+
+/* ===== UI Renderer ===== */
+class UI {
+  constructor() {
+    this.mainContent = document.getElementById('mainContent');
+    this.sidebarFolders = document.getElementById('sidebarFolders');
+    this.sidebarTags = document.getElementById('sidebarTags');
+    this.toastContainer = document.getElementById('toastContainer');
+    this._blobUrls = [];
+    this._pendingDocxHtml = undefined;
+  }
+
+  /* ---- Sidebar ---- */
+  renderSidebar(folders, topics, lessonCounts, state) {
+    if (!folders.length) {
+      this.sidebarFolders.innerHTML = `
+        <div class="empty-state" style="padding:1rem 0.5rem">
+          <span style="font-size:1.5rem;opacity:0.5">📂</span>
+          <p style="font-size:0.8rem;margin-top:0.3rem">Noch keine Ordner</p>
+        </div>`;
+      return;
+    }
+
+    this.sidebarFolders.innerHTML = folders.map(f => {
+      const folderTopics = topics.filter(t => t.folderId === f.id);
+      const isActive = f.id === state.currentFolderId && !state.currentTopicId && !state.currentLessonId;
+      const isOpen = state.currentFolderId === f.id;
+      const topicCount = folderTopics.length;
+
+      const topicItems = folderTopics.map(t => {
+        const lCount = lessonCounts[t.id] || 0;
+        const tActive = t.id === state.currentTopicId && !state.currentLessonId;
+        return `<button class="sidebar-topic ${tActive ? 'active' : ''}" data-topic-id="${t.id}" draggable="true" data-drag-kind="topic" data-drag-id="${t.id}" data-drop-kind="topic" data-drop-id="${t.id}">
+          <span class="sidebar-topic-dot"></span>
+          <span class="sidebar-topic-name">${this._esc(t.name)}</span>
+          <span class="sidebar-topic-count">${lCount}</span>
+        </button>`;
+      }).join('');
+
+      return `<div class="sidebar-folder">
+        <button class="sidebar-folder-btn ${isActive ? 'active' : ''}" data-folder-id="${f.id}" draggable="true" data-drag-kind="folder" data-drag-id="${f.id}" data-drop-kind="folder" data-drop-id="${f.id}">
+          <svg class="sidebar-folder-chevron ${isOpen ? 'open' : ''}" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"/></svg>
+          <span class="sidebar-folder-dot" style="background:${f.color}"></span>
+          <span class="sidebar-folder-name">${this._esc(f.name)}</span>
+          <span class="sidebar-folder-count">${topicCount}</span>
+        </button>
+        <div class="sidebar-folder-topics ${isOpen ? 'open' : ''}">${topicItems}</div>
+      </div>`;
+    }).join('');
+  }
+
+  /* ---- Sidebar Tag Cloud ---- */
+  // tags: [{ tag, count }]; chip size grows with the number of uses
+  renderTagCloud(tags, activeTag = null) {
+    if (!tags.length) {
+      this.sidebarTags.innerHTML = '<p class="sidebar-tags-empty">Noch keine Tags</p>';
+      return;
+    }
+    const max = Math.max(...tags.map(t => t.count));
+    const active = activeTag && SearchQuery.normalize(activeTag);
+    this.sidebarTags.innerHTML = tags.map(({ tag, count }) => {
+      const size = 0.72 + (max > 1 ? (count - 1) / (max - 1) : 0) * 0.3;
+      const isActive = SearchQuery.normalize(tag) === active;
+      return `<button class="sidebar-tag ${isActive ? 'active' : ''}" data-tag="${this._escAttr(tag)}" style="font-size:${size.toFixed(2)}rem" title="${count}× verwendet">${this._esc(tag)}</button>`;
+    }).join('');
+  }
+
+  _tagChips(tags) {
+    if (!tags?.length) return '';
+    return `<div class="tag-list">${tags.map(t => `<button class="tag-chip" data-tag="${this._escAttr(t)}">${this._esc(t)}</button>`).join('')}</div>`;
+  }
+
+  // Clickable suggestions below the tag inputs of the edit modals
+  renderTagSuggestions(container, tags, current) {
+    const taken = new Set(current.map(t => SearchQuery.normalize(t)));
+    const open = tags.filter(({ tag }) => !taken.has(SearchQuery.normalize(tag)));
+    container.innerHTML = open.map(({ tag }) =>
+      `<button type="button" class="tag-chip tag-suggestion" data-tag="${this._escAttr(tag)}">+ ${this._esc(tag)}</button>`
+    ).join('');
+  }
+
+  /* ---- Breadcrumb ---- */
+  renderBreadcrumb(parts) {
+    if (!parts.length) return '';
+    const items = parts.map((p, i) => {
+      const isLast = i === parts.length - 1;
+      const sep = i > 0 ? '<span class="breadcrumb-sep">›</span>' : '';
+      if (isLast) {
+        return `${sep}<span class="breadcrumb-item current">${this._esc(p.label)}</span>`;
+      }
+      return `${sep}<button class="breadcrumb-item" data-nav="${p.nav}" data-id="${p.id || ''}">${this._esc(p.label)}</button>`;
+    }).join('');
+    return `<nav class="breadcrumb">${items}</nav>`;
+  }
+
+  /* ---- Dashboard (Folders) ---- */
+  // tasks: open tasks with a due date, [{ task, lesson, path }] sorted by due date
+  renderDashboard(folders, topicCounts, tasks = []) {
+    const cards = folders.map(f => `
+      <div class="topic-card" data-folder-id="${f.id}" style="--card-color:${f.color}" draggable="true" data-drag-kind="folder" data-drag-id="${f.id}" data-drop-kind="folder" data-drop-id="${f.id}">
+        <div class="topic-card-header">
+          <div class="topic-card-name">${this._esc(f.name)}</div>
+          <div class="topic-card-actions">
+            <button class="topic-card-btn duplicate-folder-btn" data-folder-id="${f.id}" title="Duplizieren">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            </button>
+            <button class="topic-card-btn edit-folder-btn" data-folder-id="${f.id}" title="Bearbeiten">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+              </svg>
+            </button>
+            <button class="topic-card-btn danger delete-folder-btn" data-folder-id="${f.id}" title="Löschen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                <path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div class="topic-card-meta">
+          <span>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"/><polyline points="13 2 13 9 20 9"/></svg>
+            ${topicCounts[f.id] || 0} Themen
+          </span>
+          <span>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
+            ${this._formatDate(f.createdAt)}
+          </span>
+        </div>
+        ${this._tagChips(f.tags)}
+      </div>
+    `).join('');
+
+    this.mainContent.innerHTML = `
+      <div class="dashboard-header">
+        <h2 class="dashboard-title">Übersicht</h2>
+        <p class="dashboard-subtitle">${folders.length} Ordner insgesamt</p>
+      </div>
+      ${this._renderTaskWidget(tasks)}
+      <div class="dashboard-grid">
+        ${cards}
+        <div class="add-topic-card" id="addFolderCard">
+          <svg width="36" height="36" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>
+          </svg>
+          <span class="add-topic-label">Neuer Ordner</span>
+        </div>
+      </div>`;
+  }
+
+  _renderTaskWidget(tasks, limit = 8) {
+    if (!tasks.length) return '';
+    const today = this._isoDate(new Date());
+    const overdue = tasks.filter(({ task }) => task.due < today).length;
+    const items = tasks.slice(0, limit).map(({ task, lesson, path }) => `
+      <div class="task-item ${task.due < today ? 'overdue' : ''}">
+        <input type="checkbox" class="task-check" data-lesson-id="${lesson.id}" data-task-id="${task.id}" title="Als erledigt markieren">
+        <div class="task-info">
+          <div class="task-title">${this._esc(task.title)}</div>
+          <div class="task-meta">
+            ${this._dueLabel(task.due, today)}
+            <button class="task-lesson-link" data-lesson-id="${lesson.id}">${this._esc(path)}</button>
+          </div>
+        </div>
+      </div>`).join('');
+    return `
+      <div class="task-widget">
+        <div class="links-section-header">
+          <span class="links-section-title">Aufgaben</span>
+          <span class="task-widget-count">${overdue ? `${overdue} überfällig · ` : ''}${tasks.length - overdue} anstehend</span>
+        </div>
+        <div class="task-list">${items}</div>
+        ${tasks.length > limit ? `<p class="task-widget-more">… und ${tasks.length - limit} weitere</p>` : ''}
+      </div>`;
+  }
+
+  _dueLabel(due, today) {
+    if (!due) return '';
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    let text;
+    let cls = '';
+    if (due < today) { text = `Überfällig seit ${this._formatDateISO(due)}`; cls = 'overdue'; }
+    else if (due === today) { text = 'Heute fällig'; cls = 'soon'; }
+    else if (due === this._isoDate(tomorrow)) { text = 'Morgen fällig'; cls = 'soon'; }
+    else text = `Fällig am ${this._formatDateISO(due)}`;
+    return `<span class="task-due ${cls}">${text}</span>`;
+  }
+
+  // Tasks of a lesson: open ones by due date first, done ones below
+  _renderTasks(lesson, files) {
+    const tasks = lesson.tasks || [];
+    if (!tasks.length) {
+      return `<div class="empty-state" style="padding:1.25rem 1rem">
+        <span style="font-size:1.5rem;opacity:0.5">✅</span>
+        <p style="font-size:0.85rem;margin-top:0.3rem;color:var(--text-muted)">Noch keine Aufgaben vergeben</p>
+      </div>`;
+    }
+    const today = this._isoDate(new Date());
+    const sorted = [...tasks].sort((a, b) => (!!a.done - !!b.done) || (a.due || '\uffff').localeCompare(b.due || '\uffff'));
+    return sorted.map(t => {
+      const taskFiles = files.filter(f => (t.fileIds || []).includes(f.id));
+      return `
+      <div class="task-item ${t.done ? 'done' : ''} ${!t.done && t.due && t.due < today ? 'overdue' : ''}">
+        <input type="checkbox" class="task-check" data-lesson-id="${lesson.id}" data-task-id="${t.id}" ${t.done ? 'checked' : ''} title="${t.done ? 'Wieder öffnen' : 'Als erledigt markieren'}">
+        <div class="task-info">
+          <div class="task-title">${this._esc(t.title)}</div>
+          <div class="task-meta">
+            ${t.done ? `<span class="task-due">Erledigt${t.doneAt ? ` am ${this._formatDate(t.doneAt)}` : ''}</span>` : this._dueLabel(t.due, today)}
+            ${taskFiles.map(f => `<button class="task-file" data-file-id="${f.id}" title="Öffnen">📎 ${this._esc(f.name)}</button>`).join('')}
+          </div>
+        </div>
+        <div class="file-actions">
+          <button class="file-action-btn edit-task-btn" data-task-id="${t.id}" title="Bearbeiten">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+          </button>
+          <button class="file-action-btn danger delete-task-btn" data-task-id="${t.id}" title="Löschen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+          </button>
+        </div>
+      </div>`;
+    }).join('');
+  }
+
+  /* ---- Folder Detail (Topics) ---- */
+  renderFolderDetail(folder, topics, lessonCounts, vocab = []) {
+    const bc = this.renderBreadcrumb([
+      { label: 'Übersicht', nav: 'dashboard' },
+      { label: folder.name, nav: 'folder', id: folder.id },
+    ]);
+
+    const cards = topics.map(t => `
+      <div class="topic-card" data-topic-id="${t.id}" style="--card-color:${folder.color}" draggable="true" data-drag-kind="topic" data-drag-id="${t.id}" data-drop-kind="topic" data-drop-id="${t.id}">
+        <div class="topic-card-header">
+          <div class="topic-card-name">${this._esc(t.name)}</div>
+          <div class="topic-card-actions">
+            <button class="topic-card-btn move-topic-btn" data-topic-id="${t.id}" title="In anderen Ordner verschieben">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+            </button>
+            <button class="topic-card-btn duplicate-topic-btn" data-topic-id="${t.id}" title="Duplizieren">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            </button>
+            <button class="topic-card-btn edit-topic-btn" data-topic-id="${t.id}" title="Bearbeiten">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+              </svg>
+            </button>
+            <button class="topic-card-btn danger delete-topic-btn" data-topic-id="${t.id}" title="Löschen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+                <path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div class="topic-card-meta">
+          <span>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"/><polyline points="13 2 13 9 20 9"/></svg>
+            ${lessonCounts[t.id] || 0} Stunden
+          </span>
+          <span>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
+            ${this._formatDate(t.createdAt)}
+          </span>
+        </div>
+        ${this._tagChips(t.tags)}
+      </div>
+    `).join('');
+
+    this.mainContent.innerHTML = `
+      ${bc}
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <span class="topic-detail-color" style="background:${folder.color}"></span>
+          <h2 class="topic-detail-title">${this._esc(folder.name)}</h2>
+          ${this._tagChips(folder.tags)}
+        </div>
+        <div class="topic-detail-right">
+          <button class="btn btn-secondary btn-sm import-package-btn" data-folder-id="${folder.id}" title="Paket in diesen Ordner importieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>
+            Paket importieren
+          </button>
+          <button class="btn btn-secondary btn-sm duplicate-folder-btn" data-folder-id="${folder.id}" title="Ordner mit allen Themen und Stunden kopieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            Duplizieren
+          </button>
+          <button class="btn btn-secondary btn-sm export-folder-btn" data-folder-id="${folder.id}" title="Ordner als Paket exportieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+            Exportieren
+          </button>
+          <button class="btn btn-primary btn-sm" id="addTopicBtn">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+            Neues Thema
+          </button>
+        </div>
+      </div>
+      <div class="dashboard-grid">
+        ${cards}
+        ${!topics.length ? `
+          <div class="empty-state" style="grid-column:1/-1">
+            <span class="empty-state-icon">📚</span>
+            <div class="empty-state-title">Keine Themen vorhanden</div>
+            <p class="empty-state-text">Erstellen Sie ein neues Thema für diesen Ordner.</p>
+          </div>` : ''}
+      </div>
+
+      ${this._renderVocabOverview(vocab, 'folder', folder.id)}`;
+  }
+
+  /* ---- Topic Detail (Stundenplan-Tabelle) ---- */
+  renderTopicDetail(folder, topic, lessons, fileCounts, vocab = []) {
+    const bc = this.renderBreadcrumb([
+      { label: 'Übersicht', nav: 'dashboard' },
+      { label: folder.name, nav: 'folder', id: folder.id },
+      { label: topic.name, nav: 'topic', id: topic.id },
+    ]);
+
+    let tableBody = '';
+    if (lessons.length) {
+      tableBody = lessons.map((l, i) => `
+        <tr data-lesson-id="${l.id}" draggable="true" data-drag-kind="lesson" data-drag-id="${l.id}" data-drop-kind="lesson" data-drop-id="${l.id}">
+          <td class="col-num">${i + 1}</td>
+          <td class="col-title">${this._esc(l.title)}${this._tagChips(l.tags)}</td>
+          <td class="col-date">${l.date ? this._formatDateISO(l.date) : '—'}</td>
+          <td class="col-files">${fileCounts[l.id] || 0} Dateien</td>
+          <td class="col-actions">
+            <button class="table-action-btn move-lesson-btn" data-lesson-id="${l.id}" title="In anderes Thema verschieben">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+            </button>
+            <button class="table-action-btn duplicate-lesson-btn" data-lesson-id="${l.id}" title="Duplizieren">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            </button>
+            <button class="table-action-btn edit-lesson-btn" data-lesson-id="${l.id}" title="Bearbeiten">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+            </button>
+            <button class="table-action-btn danger delete-lesson-btn" data-lesson-id="${l.id}" title="Löschen">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+            </button>
+          </td>
+        </tr>`).join('');
+    }
+
+    this.mainContent.innerHTML = `
+      ${bc}
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">${this._esc(topic.name)}</h2>
+          ${this._tagChips(topic.tags)}
+        </div>
+        <div class="topic-detail-right">
+          <button class="btn btn-secondary btn-sm handout-btn" data-kind="topic" data-id="${topic.id}" title="Alle Stunden mit Links und PDF-Anhängen drucken">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>
+            Handout
+          </button>
+          <button class="btn btn-secondary btn-sm export-topic-btn" data-topic-id="${topic.id}" title="Thema als Paket exportieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+            Exportieren
+          </button>
+          <button class="btn btn-secondary btn-sm duplicate-topic-btn" data-topic-id="${topic.id}" title="Thema mit allen Stunden kopieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            Duplizieren
+          </button>
+          <button class="btn btn-secondary btn-sm move-topic-btn" data-topic-id="${topic.id}" title="In anderen Ordner verschieben">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+            Verschieben
+          </button>
+          <button class="btn btn-secondary btn-sm edit-topic-btn" data-topic-id="${topic.id}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+            Bearbeiten
+          </button>
+          <button class="btn btn-danger btn-sm delete-topic-btn" data-topic-id="${topic.id}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/></svg>
+            Löschen
+          </button>
+          <button class="btn btn-primary btn-sm" id="addLessonBtn">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+            Neue Stunde
+          </button>
+        </div>
+      </div>
+
+      ${lessons.length ? `
+        <div class="sequence-table-wrap">
+          <table class="sequence-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Titel</th>
+                <th>Datum</th>
+                <th>Dateien</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${tableBody}</tbody>
+          </table>
+        </div>` : `
+        <div class="empty-state">
+          <span class="empty-state-icon">📝</span>
+          <div class="empty-state-title">Keine Unterrichtsstunden</div>
+          <p class="empty-state-text">Erstellen Sie eine neue Stunde für dieses Thema.</p>
+        </div>`}
+
+      ${this._renderVocabOverview(vocab, 'topic', topic.id)}`;
+  }
+
+  /* ---- Lesson Detail (Files + Links + Preview) ---- */
+  // usage: fileId -> { linked, elsewhere: [paths] } for library attachments
+  renderLessonDetail(folder, topic, lesson, files, previewData = null, usage = {}) {
+    const bc = this.renderBreadcrumb([
+      { label: 'Übersicht', nav: 'dashboard' },
+      { label: folder.name, nav: 'folder', id: folder.id },
+      { label: topic.name, nav: 'topic', id: topic.id },
+      { label: lesson.title, nav: 'lesson', id: lesson.id },
+    ]);
+
+    // Lesson info card
+    const infoHTML = `
+      <div class="lesson-info">
+        <div class="lesson-info-row">
+          <span class="lesson-info-label">Titel:</span>
+          <span class="lesson-info-value">${this._esc(lesson.title)}</span>
+        </div>
+        ${lesson.date ? `<div class="lesson-info-row">
+          <span class="lesson-info-label">Datum:</span>
+          <span class="lesson-info-value">${this._formatDateISO(lesson.date)}</span>
+        </div>` : ''}
+        ${lesson.description ? `<div class="lesson-info-row">
+          <span class="lesson-info-label">Beschreibung:</span>
+          <span class="lesson-info-value">${this._esc(lesson.description)}</span>
+        </div>` : ''}
+        ${lesson.tags?.length ? `<div class="lesson-info-row">
+          <span class="lesson-info-label">Tags:</span>
+          <span class="lesson-info-value">${this._tagChips(lesson.tags)}</span>
+        </div>` : ''}
+      </div>`;
+
+    // File list
+    const fileListHTML = files.length ? files.map(f => {
+      const canPreview = FileTypes.canPreview(f);
+      const versions = f.versions?.length || 0;
+      const { linked = false, elsewhere = [] } = usage[f.id] || {};
+      return `
+        <div class="file-item" data-file-id="${f.id}"${linked ? '' : ` draggable="true" data-drag-kind="file" data-drag-id="${f.id}" data-drop-kind="file" data-drop-id="${f.id}"`}>
+          ${this._fileIcon(f)}
+          <div class="file-info">
+            <div class="file-name">${this._esc(f.name)}${versions ? ` <button class="version-badge file-versions-btn" data-file-id="${f.id}" title="Versionen anzeigen">v${versions + 1}</button>` : ''}</div>
+            <div class="file-meta">${this._formatSize(f.size)} · ${this._formatDate(f.uploadedAt)}${f.updatedAt ? ` · aktualisiert ${this._formatDate(f.updatedAt)}` : ''}</div>
+            ${elsewhere.length ? `<div class="file-meta file-used-in">${linked ? '🔗 Aus Materialien · ' : ''}Auch verwendet in: ${elsewhere.map(p => this._esc(p)).join('; ')}</div>` : ''}
+            ${this._tagChips(f.tags)}
+          </div>
+          <div class="file-actions">
+            ${canPreview ? `<button class="file-action-btn preview-file-btn" data-file-id="${f.id}" title="Vorschau">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
+            </button>` : ''}
+            ${linked ? '' : `<button class="file-action-btn move-file-btn" data-file-id="${f.id}" title="In andere Stunde verschieben">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+            </button>`}
+            <button class="file-action-btn tag-file-btn" data-file-id="${f.id}" title="Tags bearbeiten">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>
+            </button>
+            <button class="file-action-btn rename-file-btn" data-file-id="${f.id}" title="Umbenennen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+            </button>
+            <button class="file-action-btn upload-version-btn" data-file-id="${f.id}" title="Neue Version hochladen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>
+            </button>
+            <button class="file-action-btn download-file-btn" data-file-id="${f.id}" title="Herunterladen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+            </button>
+            ${linked ? `<button class="file-action-btn danger unlink-file-btn" data-file-id="${f.id}" title="Aus dieser Stunde entfernen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/><line x1="2" y1="2" x2="22" y2="22"/></svg>
+            </button>` : `<button class="file-action-btn danger delete-file-btn" data-file-id="${f.id}" title="Löschen">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+            </button>`}
+          </div>
+        </div>`;
+    }).join('') : `
+      <div class="empty-state">
+        <span class="empty-state-icon">📄</span>
+        <div class="empty-state-title">Keine Dateien vorhanden</div>
+        <p class="empty-state-text">Ziehen Sie Arbeitsblätter, Bilder, Hörtexte, Videos oder Folien hierher oder klicken Sie auf die Fläche oben.</p>
+      </div>`;
+
+    // Preview
+    let previewHTML = '';
+    if (previewData) {
+      const { type, name, fileId } = previewData;
+      const headerBtns = `
+        <div class="file-preview-actions">
+          <button class="file-action-btn rename-file-btn" data-file-id="${fileId}" title="Umbenennen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+          </button>
+          <button class="file-action-btn danger delete-file-btn" data-file-id="${fileId}" title="Löschen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+          </button>
+          <button class="file-preview-close" id="closePreview" title="Schließen">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+          </button>
+        </div>`;
+      if (type === 'pdf') {
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body"><iframe src="${previewData.url}"></iframe></div>
+          </div>`;
+      } else if (type === 'docx') {
+        this._pendingDocxHtml = previewData.html;
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body"><iframe id="docxPreviewFrame" sandbox="allow-same-origin"></iframe></div>
+          </div>`;
+      } else if (type === 'image') {
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body media-preview"><img src="${previewData.url}" alt="${this._escAttr(name)}"></div>
+          </div>`;
+      } else if (type === 'audio' || type === 'video') {
+        const rates = FileTypes.PLAYBACK_RATES.map(r =>
+          `<button class="segmented-btn playback-rate-btn ${r === previewData.rate ? 'active' : ''}" data-rate="${r}">${String(r).replace('.', ',')}×</button>`).join('');
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body media-preview ${type}-preview">
+              <${type} id="mediaPreview" src="${previewData.url}" controls preload="metadata"></${type}>
+              <div class="playback-rate">
+                <span>Geschwindigkeit</span>
+                <div class="segmented">${rates}</div>
+              </div>
+            </div>
+          </div>`;
+      } else if (type === 'text') {
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body text-preview"><pre>${this._esc(previewData.text)}</pre></div>
+          </div>`;
+      } else if (type === 'error') {
+        previewHTML = `
+          <div class="file-preview">
+            <div class="file-preview-header">
+              <span class="file-preview-title">${this._esc(name)}</span>
+              ${headerBtns}
+            </div>
+            <div class="file-preview-body" style="display:flex;align-items:center;justify-content:center;">
+              <p style="color:var(--text-muted)">Vorschau nicht verfügbar. Bitte herunterladen.</p>
+            </div>
+          </div>`;
+      }
+    }
+
+    this.mainContent.innerHTML = `
+      ${bc}
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">${this._esc(lesson.title)}</h2>
+        </div>
+        <div class="topic-detail-right">
+          <button class="btn btn-primary btn-sm present-lesson-btn" data-lesson-id="${lesson.id}" title="Dateien und Links der Stunde im Vollbild zeigen">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"/><line x1="8" y1="21" x2="16" y2="21"/><line x1="12" y1="17" x2="12" y2="21"/></svg>
+            Präsentieren
+          </button>
+          <button class="btn btn-secondary btn-sm handout-btn" data-kind="lesson" data-id="${lesson.id}" title="Stunde mit Links und PDF-Anhängen drucken">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>
+            Handout
+          </button>
+          <button class="btn btn-secondary btn-sm save-template-btn" data-lesson-id="${lesson.id}" title="Als Vorlage für neue Stunden speichern">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>
+            Als Vorlage
+          </button>
+          <button class="btn btn-secondary btn-sm duplicate-lesson-btn" data-lesson-id="${lesson.id}" title="Stunde mit Dateien und Links kopieren">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+            Duplizieren
+          </button>
+          <button class="btn btn-secondary btn-sm move-lesson-btn" data-lesson-id="${lesson.id}" title="In anderes Thema verschieben">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="5 9 2 12 5 15"/><polyline points="9 5 12 2 15 5"/><polyline points="15 19 12 22 9 19"/><polyline points="19 9 22 12 19 15"/><line x1="2" y1="12" x2="22" y2="12"/><line x1="12" y1="2" x2="12" y2="22"/></svg>
+            Verschieben
+          </button>
+          <button class="btn btn-secondary btn-sm edit-lesson-btn" data-lesson-id="${lesson.id}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+            Bearbeiten
+          </button>
+          <button class="btn btn-danger btn-sm delete-lesson-btn" data-lesson-id="${lesson.id}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/></svg>
+            Löschen
+          </button>
+        </div>
+      </div>
+
+      ${infoHTML}
+
+      ${this._renderPlan(lesson)}
+
+      <div class="drop-zone" id="dropZone">
+        <span class="drop-zone-icon">📁</span>
+        <div class="drop-zone-text">Dateien oder Verzeichnisse hierher ziehen oder <strong>klicken</strong></div>
+        <div class="drop-zone-hint">PDF, Word, Bilder, Audio, Video, Folien und Texte mit Vorschau – alle anderen Dateien zum Herunterladen</div>
+        <input type="file" class="drop-zone-input" id="fileInput" accept="${FileTypes.ACCEPT}" multiple>
+      </div>
+
+      <div class="file-list-toolbar">
+        <button class="btn btn-secondary btn-sm" id="attachLibraryBtn">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>
+          Aus Materialien hinzufügen
+        </button>
+      </div>
+
+      <div class="file-list" id="fileList">${fileListHTML}</div>
+
+      <div class="links-section">
+        <div class="links-section-header">
+          <span class="links-section-title">Aufgaben &amp; Hausaufgaben</span>
+          <button class="btn btn-secondary btn-sm" id="addTaskBtn">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+            Aufgabe hinzufügen
+          </button>
+        </div>
+        <div class="task-list">${this._renderTasks(lesson, files)}</div>
+      </div>
+
+      ${this._renderVocab(lesson)}
+
+      <div class="links-section">
+        <div class="links-section-header">
+          <span class="links-section-title">Konjugation</span>
+          <button class="btn btn-secondary btn-sm" id="addDrillBtn">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+            Übung anlegen
+          </button>
+        </div>
+        <div class="task-list">${this._renderDrills(lesson)}</div>
+      </div>
+
+      <div class="links-section">
+        <div class="links-section-header">
+          <span class="links-section-title">Links</span>
+          <button class="btn btn-secondary btn-sm" id="addLinkBtn">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+            Link hinzufügen
+          </button>
+        </div>
+        <div class="link-list">${this._renderLinks(lesson.links || [])}</div>
+      </div>
+
+      ${previewHTML}`;
+  }
+
+  // Lesson plan editor: one contenteditable block per section, one shared toolbar
+  _renderPlan(lesson) {
+    const plan = lesson.plan || {};
+    const tool = (attrs, label, title) => `<button type="button" class="plan-tool" ${attrs} title="${title}">${label}</button>`;
+    const blocks = LessonPlan.SECTIONS.map(s => `
+      <div class="plan-block">
+        <div class="plan-block-title">${s.label}</div>
+        <div class="plan-editor" contenteditable="true" spellcheck="true" data-section="${s.key}"
+          data-placeholder="${this._esc(s.placeholder)}">${LessonPlan.sanitize(plan[s.key])}</div>
+      </div>`).join('');
+    return `
+      <div class="plan-section" id="lessonPlan" data-lesson-id="${lesson.id}">
+        <div class="links-section-header">
+          <span class="links-section-title">Stundenplanung</span>
+          <span class="plan-status" id="planStatus">${lesson.planUpdatedAt ? `Gespeichert am ${this._formatDate(lesson.planUpdatedAt)}` : ''}</span>
+        </div>
+        <div class="plan-toolbar" role="toolbar" aria-label="Formatierung">
+          ${tool('data-cmd="bold"', '<strong>B</strong>', 'Fett (Strg+B)')}
+          ${tool('data-cmd="italic"', '<em>I</em>', 'Kursiv (Strg+I)')}
+          ${tool('data-cmd="underline"', '<u>U</u>', 'Unterstrichen (Strg+U)')}
+          <span class="plan-tool-sep"></span>
+          ${tool('data-cmd="formatBlock" data-value="h3"', 'H', 'Überschrift')}
+          ${tool('data-cmd="formatBlock" data-value="p"', '¶', 'Absatz')}
+          ${tool('data-cmd="insertUnorderedList"', '•&nbsp;Liste', 'Aufzählung')}
+          ${tool('data-cmd="insertOrderedList"', '1.&nbsp;Liste', 'Nummerierte Liste')}
+          ${tool('data-cmd="table"', 'Tabelle', 'Verlaufstabelle einfügen')}
+          <span class="plan-tool-sep"></span>
+          ${LessonPlan.CHARS.map(c => tool(`data-insert="${c}"`, c, `„${c}" einfügen`)).join('')}
+        </div>
+        ${blocks}
+      </div>`;
+  }
+
+  // Vocabulary of a lesson as an editable table; the last row adds a new entry
+  _renderVocab(lesson) {
+    const vocab = lesson.vocab || [];
+    const today = this._isoDate(new Date());
+    const due = vocab.filter(v => Vocab.isDue(Vocab.srsOf(lesson, v), today)).length;
+    const options = (list, value) => '<option value="">—</option>' +
+      list.map(o => `<option value="${o.key}" ${o.key === value ? 'selected' : ''}>${o.label}</option>`).join('');
+    const cells = ({ id, es = '', de = '', type = '', gender = '', example = '' } = {}) => `
+          <td><input type="text" class="vocab-input" data-field="es" lang="es" value="${this._escAttr(es)}"${id ? '' : ' placeholder="la palabra"'}></td>
+          <td><input type="text" class="vocab-input" data-field="de" lang="de" value="${this._escAttr(de)}"${id ? '' : ' placeholder="das Wort"'}></td>
+          <td><select class="vocab-input" data-field="type">${options(Vocab.TYPES, type)}</select></td>
+          <td><select class="vocab-input" data-field="gender">${options(Vocab.GENDERS, gender)}</select></td>
+          <td><input type="text" class="vocab-input" data-field="example" lang="es" value="${this._escAttr(example)}"${id ? '' : ' placeholder="Beispielsatz"'}></td>`;
+    const rows = vocab.map(v => `
+        <tr data-vocab-id="${v.id}">${cells(v)}
+          <td class="col-box">${this._vocabBox(Vocab.srsOf(lesson, v))}</td>
+          <td class="col-actions">
+            <button class="table-action-btn danger delete-vocab-btn" data-vocab-id="${v.id}" title="Löschen">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+            </button>
+          </td>
+        </tr>`).join('');
+    return `
+      <div class="links-section" id="lessonVocab" data-lesson-id="${lesson.id}">
+        <div class="links-section-header">
+          <span class="links-section-title">Vokabeln${vocab.length ? ` <span class="vocab-count">${vocab.length}</span>` : ''}</span>
+          <div class="vocab-actions">
+            <button class="btn btn-secondary btn-sm" id="importVocabBtn" title="Liste aus Excel, Word oder einer CSV-Datei einfügen">Liste einfügen</button>
+            ${vocab.length ? `<button class="btn btn-primary btn-sm practice-vocab-btn" data-scope="lesson" data-id="${lesson.id}">Üben${due ? ` (${due} fällig)` : ''}</button>` : ''}
+          </div>
+        </div>
+        <div class="vocab-table-wrap">
+          <table class="vocab-table vocab-table-edit">
+            <thead>
+              <tr><th>Spanisch</th><th>Deutsch</th><th>Wortart</th><th>Genus</th><th>Beispielsatz</th><th>Lernstand</th><th></th></tr>
+            </thead>
+            <tbody>${rows}
+              <tr class="vocab-new">${cells()}<td></td><td></td></tr>
+            </tbody>
+          </table>
+        </div>
+        <p class="form-hint">Neue Zeile mit Enter übernehmen. Tabellen aus Excel oder Word lassen sich direkt in ein Feld einfügen.</p>
+      </div>`;
+  }
+
+  // Vocabulary of all lessons below a topic or folder, read-only.
+  // entries: [{ entry, lesson, label }]
+  _renderVocabOverview(entries, scope, id) {
+    if (!entries.length) return '';
+    const today = this._isoDate(new Date());
+    const due = entries.filter(({ entry, lesson }) => Vocab.isDue(Vocab.srsOf(lesson, entry), today)).length;
+    const rows = entries.map(({ entry: v, lesson, label }) => `
+        <tr>
+          <td class="col-title" lang="es">${this._esc(v.es)}${v.gender ? ` <span class="vocab-gender">${Vocab.label(Vocab.GENDERS, v.gender)}</span>` : ''}</td>
+          <td>${this._esc(v.de)}</td>
+          <td class="col-type">${Vocab.label(Vocab.TYPES, v.type)}</td>
+          <td><button class="vocab-lesson-link" data-lesson-id="${lesson.id}">${this._esc(label)}</button></td>
+          <td class="col-box">${this._vocabBox(Vocab.srsOf(lesson, v))}</td>
+        </tr>`).join('');
+    return `
+      <div class="links-section">
+        <div class="links-section-header">
+          <span class="links-section-title">Vokabeln <span class="vocab-count">${entries.length}</span></span>
+          <button class="btn btn-primary btn-sm practice-vocab-btn" data-scope="${scope}" data-id="${id}">Üben${due ? ` (${due} fällig)` : ''}</button>
+        </div>
+        <details class="vocab-details">
+          <summary>Alle Vokabeln anzeigen</summary>
+          <div class="vocab-table-wrap">
+            <table class="vocab-table">
+              <thead>
+                <tr><th>Spanisch</th><th>Deutsch</th><th>Wortart</th><th>Stunde</th><th>Lernstand</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        </details>
+      </div>`;
+  }
+
+  _vocabBox(srs) {
+    if (!srs) return '<span class="vocab-box new" title="Noch nicht geübt">neu</span>';
+    const max = Vocab.INTERVALS.length;
+    const dots = '●'.repeat(srs.box) + '○'.repeat(max - srs.box);
+    return `<span class="vocab-box" title="Box ${srs.box} von ${max} · fällig am ${this._formatDateISO(srs.due)}">${dots}</span>`;
+  }
+
+  // Conjugation drills of a lesson with their last result
+  _renderDrills(lesson) {
+    const drills = lesson.drills || [];
+    if (!drills.length) {
+      return `<div class="empty-state" style="padding:1.25rem 1rem">
+        <span style="font-size:1.5rem;opacity:0.5">🔤</span>
+        <p style="font-size:0.85rem;margin-top:0.3rem;color:var(--text-muted)">Noch keine Konjugationsübungen</p>
+      </div>`;
+    }
+    return drills.map(d => {
+      const result = lesson.drillResults?.[d.id] || d.lastResult;
+      return `
+      <div class="drill-item">
+        <div class="task-info">
+          <div class="task-title">${this._esc(d.title)}</div>
+          <div class="task-meta">
+            <span>${d.tenses.map(t => Conjugator.tenseLabel(t)).join(', ')}</span>
+            <span>·</span>
+            <span lang="es">${this._esc(d.verbs.slice(0, 8).join(', '))}${d.verbs.length > 8 ? ` … (${d.verbs.length} Verben)` : ''}</span>
+            ${result ? `<span>·</span><span>Zuletzt ${result.correct} von ${result.total} richtig</span>` : ''}
+          </div>
+        </div>
+        <div class="file-actions">
+          <button class="btn btn-primary btn-sm practice-drill-btn" data-drill-id="${d.id}">Üben</button>
+          <button class="file-action-btn worksheet-drill-btn" data-drill-id="${d.id}" title="Arbeitsblatt mit Lösungen als PDF in dieser Stunde speichern">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>
+          </button>
+          <button class="file-action-btn edit-drill-btn" data-drill-id="${d.id}" title="Bearbeiten">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+          </button>
+          <button class="file-action-btn danger delete-drill-btn" data-drill-id="${d.id}" title="Löschen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+          </button>
+        </div>
+      </div>`;
+    }).join('');
+  }
+
+  // Checkboxes and verb suggestions of the drill dialog
+  renderDrillOptions({ tenses, persons }) {
+    const option = (value, label, checked) => `
+      <label class="drill-option">
+        <input type="checkbox" value="${value}" ${checked ? 'checked' : ''}>
+        <span>${label}</span>
+      </label>`;
+    document.getElementById('drillTenseList').innerHTML = Conjugator.TENSES
+      .map(t => option(t.key, t.label, tenses.includes(t.key))).join('');
+    document.getElementById('drillPersonList').innerHTML = Conjugator.PERSONS
+      .map((label, p) => option(p, label, persons.includes(p))).join('');
+    document.getElementById('drillPresets').innerHTML = Conjugator.SETS
+      .map((set, i) => `<button type="button" class="tag-chip tag-suggestion drill-preset" data-set="${i}" title="${set.verbs.join(', ')}">+ ${set.label}</button>`).join('');
+  }
+
+  /* ---- Conjugation drill ---- */
+  // session: { item: { verb, tense, person, form } | null, position, total,
+  // answer, result: null | 'correct' | 'accent' | 'wrong', correct, mistakes }
+  renderDrill(session) {
+    const body = document.getElementById('drillPracticeBody');
+    const footer = document.getElementById('drillPracticeFooter');
+    const prompt = (item) => `(${Conjugator.personLabel(item.tense, item.person)}) ${this._esc(item.verb)}`;
+    if (!session.item) {
+      const rows = session.mistakes.map(({ item, answer }) => `
+        <tr>
+          <td lang="es">${prompt(item)}</td>
+          <td class="col-type">${Conjugator.tenseLabel(item.tense)}</td>
+          <td class="drill-wrong" lang="es">${this._esc(answer) || '—'}</td>
+          <td lang="es"><strong>${this._esc(item.form)}</strong></td>
+        </tr>`).join('');
+      body.innerHTML = `
+        <div class="practice-summary">
+          <span class="empty-state-icon">${session.correct === session.total ? '🎉' : '📝'}</span>
+          <div class="empty-state-title">${session.correct} von ${session.total} richtig</div>
+        </div>
+        ${rows ? `
+        <div class="vocab-table-wrap">
+          <table class="vocab-table">
+            <thead><tr><th>Aufgabe</th><th>Zeit</th><th>Antwort</th><th>Richtig</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>` : ''}`;
+      footer.innerHTML = `
+        <button class="btn btn-secondary" data-drill="close">Schließen</button>
+        <button class="btn btn-primary" data-drill="again">Neue Runde</button>`;
+      return;
+    }
+
+    const { item, result } = session;
+    const feedback = {
+      correct: 'Richtig!',
+      accent: `Fast – achte auf die Akzente: <strong lang="es">${this._esc(item.form)}</strong>`,
+      wrong: `Richtig wäre: <strong lang="es">${this._esc(item.form)}</strong>`,
+    }[result];
+    body.innerHTML = `
+      <div class="practice-progress">
+        <span>Aufgabe ${session.position} von ${session.total}</span>
+        <span>${session.correct} richtig</span>
+      </div>
+      <div class="practice-bar"><span style="width:${Math.round((session.position - 1) / session.total * 100)}%"></span></div>
+      <div class="flashcard drill-card">
+        <div class="flashcard-type">${Conjugator.tenseLabel(item.tense)}</div>
+        <div class="flashcard-front" lang="es">${prompt(item)}</div>
+        <input type="text" class="form-input drill-answer ${result || ''}" id="drillAnswer" lang="es" autocomplete="off" autocapitalize="off" spellcheck="false"
+          placeholder="Verbform eingeben" value="${this._escAttr(session.answer)}" ${result ? 'readonly' : ''}>
+        ${result ? `<div class="drill-feedback ${result}">${feedback}</div>` : `
+        <div class="drill-chars">${Conjugator.CHARS.map(c => `<button type="button" class="drill-char" data-char="${c}">${c}</button>`).join('')}</div>`}
+      </div>`;
+    footer.innerHTML = result
+      ? '<button class="btn btn-primary" data-drill="next" title="Enter">Weiter</button>'
+      : '<button class="btn btn-primary" data-drill="check" title="Enter">Prüfen</button>';
+  }
+
+  /* ---- Vocabulary practice (flashcards) ---- */
+  // session: { current: { entry, path } | null, position, total, revealed,
+  // direction: 'es' | 'de', free, rounds, missed, more }
+  renderPractice(session) {
+    const body = document.getElementById('practiceBody');
+    const footer = document.getElementById('practiceFooter');
+    if (!session.current) {
+      const first = session.rounds - session.missed;
+      body.innerHTML = `
+        <div class="practice-summary">
+          <span class="empty-state-icon">🎉</span>
+          <div class="empty-state-title">Runde geschafft</div>
+          <p class="empty-state-text">${first} von ${session.rounds} Vokabeln auf Anhieb gewusst${session.missed ? `, ${session.missed} wiederholt` : ''}.</p>
+          ${session.free ? '<p class="empty-state-text">Freie Runde: Der Lernstand wurde nicht verändert.</p>' : ''}
+        </div>`;
+      footer.innerHTML = `
+        <button class="btn btn-secondary" data-practice="close">Schließen</button>
+        ${session.more ? `<button class="btn btn-primary" data-practice="again">Weiter üben (${session.more} fällig)</button>` : ''}`;
+      return;
+    }
+
+    const { entry: v, path, srs } = session.current;
+    const es = `<span lang="es">${this._esc(v.es)}</span>${v.gender ? ` <span class="vocab-gender">${Vocab.label(Vocab.GENDERS, v.gender)}</span>` : ''}`;
+    const de = this._esc(v.de);
+    const [front, back] = session.direction === 'de' ? [de, es] : [es, de];
+    const type = Vocab.label(Vocab.TYPES, v.type);
+    body.innerHTML = `
+      <div class="practice-progress">
+        <span>Karte ${session.position} von ${session.total}</span>
+        <span>${session.free ? 'Freie Runde' : srs ? `Box ${srs.box} von ${Vocab.INTERVALS.length}` : 'Neu'}</span>
+      </div>
+      <div class="practice-bar"><span style="width:${Math.round((session.position - 1) / session.total * 100)}%"></span></div>
+      <div class="flashcard ${session.revealed ? 'revealed' : ''}">
+        ${type ? `<div class="flashcard-type">${type}</div>` : ''}
+        <div class="flashcard-front">${front || '—'}</div>
+        ${session.revealed ? `
+          <div class="flashcard-back">${back || '—'}</div>
+          ${v.example ? `<div class="flashcard-example" lang="es">${this._esc(v.example)}</div>` : ''}` : ''}
+        <div class="flashcard-path">${this._esc(path)}</div>
+      </div>`;
+    footer.innerHTML = session.revealed ? `
+        <button class="btn btn-danger" data-practice="missed" title="Taste 1">Nicht gewusst</button>
+        <button class="btn btn-primary" data-practice="known" title="Taste 2">Gewusst</button>` : `
+        <button class="btn btn-primary" data-practice="reveal" title="Leertaste">Aufdecken</button>`;
+  }
+
+  /* ---- Trash (Papierkorb) ---- */
+  // entries: [{ kind, item, path, contents }] sorted by deletion time
+  renderTrash(entries, purgeDays) {
+    const icons = { folder: '📁', topic: '📚', lesson: '📝', file: '📄' };
+    const labels = { folder: 'Ordner', topic: 'Thema', lesson: 'Stunde', file: 'Datei' };
+    const items = entries.map(({ kind, item, path, contents }) => `
+      <div class="file-item trash-item">
+        <div class="file-icon trash-icon">${icons[kind]}</div>
+        <div class="file-info">
+          <div class="file-name">${this._esc(item.name || item.title)}</div>
+          <div class="file-meta">${labels[kind]}${path ? ` in ${this._esc(path)}` : ''}${contents ? ` · ${contents}` : ''} · gelöscht am ${this._formatDate(item.deletedAt)}</div>
+        </div>
+        <div class="trash-actions">
+          <button class="btn btn-secondary btn-sm restore-trash-btn" data-kind="${kind}" data-id="${item.id}">Wiederherstellen</button>
+          <button class="file-action-btn danger purge-trash-btn" data-kind="${kind}" data-id="${item.id}" title="Endgültig löschen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+          </button>
+        </div>
+      </div>`).join('');
+
+    const options = [7, 14, 30, 60, 90, 0].map(d =>
+      `<option value="${d}" ${d === purgeDays ? 'selected' : ''}>${d ? `nach ${d} Tagen` : 'nie'}</option>`).join('');
+
+    this.mainContent.innerHTML = `
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">Papierkorb</h2>
+        </div>
+        <div class="topic-detail-right">
+          <label class="trash-setting">
+            Automatisch löschen
+            <select id="trashPurgeDays" class="form-input">${options}</select>
+          </label>
+          ${entries.length ? `<button class="btn btn-danger btn-sm" id="emptyTrashBtn">Papierkorb leeren</button>` : ''}
+        </div>
+      </div>
+      ${entries.length ? `<div class="file-list">${items}</div>` : `
+        <div class="empty-state">
+          <span class="empty-state-icon">🗑️</span>
+          <div class="empty-state-title">Der Papierkorb ist leer</div>
+          <p class="empty-state-text">Gelöschte Ordner, Themen, Stunden und Dateien landen hier und können wiederhergestellt werden.</p>
+        </div>`}`;
+  }
+
+  /* ---- Library (Materialien) ---- */
+  // entries: [{ file, usedIn: [{ lessonId, path }] }]
+  renderLibrary(entries, tags) {
+    const kinds = { pdf: 'PDF', word: 'Word', image: 'Bilder', audio: 'Audio', video: 'Video', slides: 'Folien', text: 'Texte', other: 'Sonstige' };
+    const rows = entries.map(({ file: f, usedIn }) => {
+      const kind = FileTypes.icon(f).cls;
+      return `
+      <div class="file-item library-item" data-file-id="${f.id}" data-lesson-id="${f.lessonId}"
+        data-kind="${kind}" data-tags="${this._escAttr((f.tags || []).join('\n'))}" data-text="${this._escAttr(f.name.toLowerCase())}">
+        ${this._fileIcon(f)}
+        <div class="file-info">
+          <div class="file-name">${this._esc(f.name)}</div>
+          <div class="file-meta">${this._formatSize(f.size)} · ${this._formatDate(f.uploadedAt)}</div>
+          ${this._tagChips(f.tags)}
+          <div class="library-used-in">
+            Verwendet in:
+            ${usedIn.map(u => `<button class="library-lesson-link" data-lesson-id="${u.lessonId}" data-file-id="${f.id}">${this._esc(u.path)}</button>`).join('')}
+          </div>
+        </div>
+        <div class="file-actions">
+          <button class="file-action-btn tag-file-btn" data-file-id="${f.id}" title="Tags bearbeiten">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>
+          </button>
+          <button class="file-action-btn download-file-btn" data-file-id="${f.id}" title="Herunterladen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+          </button>
+        </div>
+      </div>`;
+    }).join('');
+
+    this.mainContent.innerHTML = `
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">Materialien</h2>
+          <span class="library-count">${entries.length} Datei${entries.length === 1 ? '' : 'en'}</span>
+        </div>
+      </div>
+      <div class="library-filters">
+        <input type="text" class="form-input" id="libraryFilterText" placeholder="Dateiname filtern …" autocomplete="off">
+        <select class="form-input" id="libraryFilterKind">
+          <option value="">Alle Typen</option>
+          ${Object.entries(kinds).map(([k, l]) => `<option value="${k}">${l}</option>`).join('')}
+        </select>
+        ${tags.length ? `<select class="form-input" id="libraryFilterTag">
+          <option value="">Alle Tags</option>
+          ${tags.map(t => `<option value="${this._escAttr(t)}">${this._esc(t)}</option>`).join('')}
+        </select>` : ''}
+      </div>
+      ${entries.length ? `<div class="file-list" id="libraryList">${rows}</div>
+        <p class="modal-text hidden" id="libraryEmpty">Keine Datei passt zu den Filtern.</p>` : `
+        <div class="empty-state">
+          <span class="empty-state-icon">🗂️</span>
+          <div class="empty-state-title">Noch keine Materialien</div>
+          <p class="empty-state-text">Dateien, die Sie in Stunden hochladen, erscheinen hier und können in weitere Stunden übernommen werden.</p>
+        </div>`}`;
+  }
+
+  // Checkbox list for the "Aus Materialien hinzufügen" modal
+  renderAttachList(entries) {
+    document.getElementById('attachList').innerHTML = entries.length ? entries.map(({ file: f, path }) => `
+      <label class="attach-item" data-text="${this._escAttr(`${f.name} ${path}`.toLowerCase())}">
+        <input type="checkbox" value="${f.id}">
+        ${this._fileIcon(f)}
+        <span class="file-info">
+          <span class="file-name">${this._esc(f.name)}</span>
+          <span class="file-meta">${this._esc(path)}</span>
+        </span>
+      </label>`).join('') : '<p class="modal-text">Alle Materialien sind bereits in dieser Stunde.</p>';
+  }
+
+  // Checkbox list of a lesson's files ("Als Vorlage", tasks); all checked
+  // unless checkedIds is given
+  renderFileChecklist(listId, files, checkedIds = null) {
+    document.getElementById(listId).innerHTML = files.length ? files.map(f => `
+      <label class="attach-item">
+        <input type="checkbox" value="${f.id}" ${!checkedIds || checkedIds.includes(f.id) ? 'checked' : ''}>
+        ${this._fileIcon(f)}
+        <span class="file-info">
+          <span class="file-name">${this._esc(f.name)}</span>
+          <span class="file-meta">${this._formatSize(f.size)}</span>
+        </span>
+      </label>`).join('') : '<p class="modal-text">Diese Stunde hat keine Dateien.</p>';
+  }
+
+  /* ---- Storage (Speicher) ---- */
+  // info: { estimate, persisted, total, stored, trashSize, tree, largest, duplicates }
+  renderStorage(info) {
+    const { estimate, persisted, total, stored, trashSize, tree, largest, duplicates } = info;
+    const size = (b) => this._formatSize(b);
+    const bar = (part, whole) => `<div class="storage-bar"><span style="width:${whole ? Math.max(1, Math.round(part / whole * 100)) : 0}%"></span></div>`;
+
+    const quotaHTML = estimate ? `
+      <div class="storage-quota">
+        <div class="storage-quota-text">
+          <strong>${size(estimate.usage)}</strong> von ${size(estimate.quota)} belegt
+          · ${size(Math.max(0, estimate.quota - estimate.usage))} frei
+        </div>
+        ${bar(estimate.usage, estimate.quota)}
+      </div>` : `<p class="modal-text">Dieser Browser gibt keine Auskunft über das Speicherkontingent.</p>`;
+
+    const persistHTML = persisted === null ? '' : persisted
+      ? `<span class="storage-persist ok">✓ Dauerhafter Speicher aktiv – der Browser löscht die Daten nicht bei Platzmangel.</span>`
+      : `<span class="storage-persist">Der Browser darf die Daten bei Platzmangel löschen.</span>
+         <button class="btn btn-secondary btn-sm" id="persistStorageBtn">Dauerhaft speichern</button>`;
+
+    const node = (n, depth) => {
+      const label = `
+        <span class="storage-node-name">${this._esc(n.name)}</span>
+        <span class="storage-node-size">${size(n.size)}</span>
+        ${bar(n.size, total)}`;
+      if (!n.children?.length) return `<div class="storage-node storage-leaf depth-${depth}">${label}</div>`;
+      return `<details class="storage-node depth-${depth}">
+        <summary>${label}</summary>
+        ${n.children.map(c => node(c, depth + 1)).join('')}
+      </details>`;
+    };
+
+    const fileRow = (f, path, extra = '') => `
+      <div class="file-item storage-file-item" data-file-id="${f.id}" data-lesson-id="${f.lessonId}">
+        ${this._fileIcon(f)}
+        <div class="file-info">
+          <div class="file-name">${this._esc(f.name)}</div>
+          <div class="file-meta">${this._esc(path)}${extra}</div>
+        </div>
+        <div class="storage-node-size">${size(f.size)}</div>
+      </div>`;
+
+    const dupHTML = duplicates.map(g => `
+      <div class="storage-dup-group">
+        <div class="storage-dup-header">${g.files.length}× verwendet, einmal gespeichert · ${size(g.saved)} eingespart</div>
+        ${g.files.map(({ file, path }) => fileRow(file, path)).join('')}
+      </div>`).join('');
+
+    this.mainContent.innerHTML = `
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">Speicher</h2>
+        </div>
+      </div>
+
+      <div class="lesson-info storage-summary">
+        ${quotaHTML}
+        <div class="storage-summary-row">
+          Materialien: <strong>${size(total)}</strong>
+          ${stored < total ? ` · tatsächlich gespeichert: <strong>${size(stored)}</strong>` : ''}
+          ${trashSize ? ` · Papierkorb: <strong>${size(trashSize)}</strong>` : ''}
+        </div>
+        <div class="storage-summary-row">${persistHTML}</div>
+      </div>
+
+      <div class="storage-section-title">Belegung nach Ordner</div>
+      <div class="storage-tree">
+        ${tree.length ? tree.map(n => node(n, 0)).join('') : '<p class="modal-text">Noch keine Dateien gespeichert.</p>'}
+      </div>
+
+      <div class="storage-section-title">Größte Dateien</div>
+      <div class="file-list">${largest.map(({ file, path }) => fileRow(file, path)).join('') || '<p class="modal-text">Keine Dateien.</p>'}</div>
+
+      <div class="storage-section-title">Mehrfach verwendete Dateien</div>
+      <div class="file-list">${dupHTML || '<p class="modal-text">Keine Datei wird mehrfach verwendet.</p>'}</div>`;
+  }
+
+  /* ---- File versions ---- */
+  renderVersions(file) {
+    const current = `
+      <div class="version-item current">
+        <span class="version-badge">v${(file.versions?.length || 0) + 1}</span>
+        <div class="file-info">
+          <div class="file-name">Aktuelle Version</div>
+          <div class="file-meta">${this._esc(file.originalName || file.name)} · ${this._formatSize(file.size)} · ${this._formatDate(file.updatedAt || file.uploadedAt)}</div>
+        </div>
+      </div>`;
+    const older = (file.versions || []).map((v, i) => ({ v, i })).reverse().map(({ v, i }) => `
+      <div class="version-item">
+        <span class="version-badge">v${i + 1}</span>
+        <div class="file-info">
+          <div class="file-name">${this._esc(v.name)}</div>
+          <div class="file-meta">${this._formatSize(v.size)} · ${this._formatDate(v.uploadedAt)}</div>
+        </div>
+        <div class="version-actions">
+          ${FileTypes.canPreview(v) ? `<button class="btn btn-secondary btn-sm version-preview-btn" data-index="${i}">Ansehen</button>` : ''}
+          <button class="btn btn-secondary btn-sm version-download-btn" data-index="${i}">Herunterladen</button>
+          <button class="btn btn-primary btn-sm version-restore-btn" data-index="${i}">Wiederherstellen</button>
+        </div>
+      </div>`).join('');
+    document.getElementById('versionModalFile').textContent = `„${file.name}"`;
+    document.getElementById('versionList').innerHTML = current + (older || '<p class="modal-text">Noch keine früheren Versionen.</p>');
+  }
+
+  updateTrashBadge(count) {
+    const badge = document.getElementById('trashCount');
+    if (!badge) return;
+    badge.textContent = count;
+    badge.classList.toggle('hidden', !count);
+  }
+
+  updateSyncBadge({ configured, conflicts, error, lastSync }) {
+    const btn = document.getElementById('syncBtn');
+    const badge = document.getElementById('syncBadge');
+    if (!btn) return;
+    badge.textContent = conflicts || '!';
+    badge.classList.toggle('hidden', !conflicts && !error);
+    btn.title = !configured ? 'Nicht eingerichtet'
+      : error ? `Letzte Synchronisierung fehlgeschlagen: ${error}`
+        : lastSync ? `Zuletzt synchronisiert: ${this._formatDateTime(lastSync)}` : 'Noch nicht synchronisiert';
+  }
+
+  setSyncRunning(running) {
+    document.getElementById('syncBtn')?.classList.toggle('syncing', running);
+  }
+
+  renderSyncInfo({ configured, lastSync, pending, conflicts, error }) {
+    const lines = configured ? [
+      lastSync ? `Zuletzt synchronisiert: ${this._formatDateTime(lastSync)}` : 'Noch nicht synchronisiert',
+      pending ? `${pending} ${pending === 1 ? 'Änderung wartet' : 'Änderungen warten'} auf die nächste Synchronisierung` : null,
+      error ? `Fehler: ${error}` : null,
+    ] : ['Dieses Gerät wird noch nicht synchronisiert.'];
+    document.getElementById('syncModalInfo').innerHTML = lines.filter(Boolean).map(l => this._esc(l)).join('<br>');
+    const btn = document.getElementById('syncConflictsBtn');
+    btn.textContent = `${conflicts} ${conflicts === 1 ? 'Konflikt' : 'Konflikte'} lösen`;
+    btn.classList.toggle('hidden', !conflicts);
+  }
+
+  // conflicts: [{ key, local, remote, path }]; local/remote are changes as
+  // sent by Sync (record missing when deleted). The newer one is preselected.
+  renderConflicts(conflicts) {
+    const version = (change, i, value, label, checked) => {
+      const rec = change.record;
+      const details = rec ? [
+        rec.date ? this._formatDateISO(rec.date) : null,
+        rec.tasks?.length ? `${rec.tasks.length} Aufgaben` : null,
+        rec.vocab?.length ? `${rec.vocab.length} Vokabeln` : null,
+        rec.links?.length ? `${rec.links.length} Links` : null,
+        rec.deletedAt ? 'im Papierkorb' : null,
+      ].filter(Boolean).join(' · ') : '';
+      const plan = rec ? LessonPlan.toText(rec.plan) : '';
+      return `
+        <label class="radio-option">
+          <input type="radio" name="conflict-${i}" value="${value}" ${checked ? 'checked' : ''}>
+          <span>
+            <strong>${this._esc(label)}</strong>
+            <small>Geändert am ${this._formatDateTime(change.at)}</small>
+            <small>${rec ? `„${this._esc(rec.title)}"${details ? ` · ${details}` : ''}` : 'Gelöscht'}</small>
+            ${plan ? `<small class="conflict-plan">${this._esc(plan.slice(0, 160))}${plan.length > 160 ? ' …' : ''}</small>` : ''}
+          </span>
+        </label>`;
+    };
+    document.getElementById('conflictList').innerHTML = conflicts.map((c, i) => `
+      <div class="form-group" data-key="${this._escAttr(c.key)}">
+        <label>${this._esc(c.path || c.local.record?.title || c.remote.record?.title || 'Stunde')}</label>
+        <div class="conflict-options">
+          ${version(c.local, i, 'local', 'Dieses Gerät', c.local.at >= c.remote.at)}
+          ${version(c.remote, i, 'remote', c.remote.deviceName || 'Anderes Gerät', c.local.at < c.remote.at)}
+        </div>
+      </div>`).join('');
+  }
+
+  // tree/skipped as returned by DirectoryImport.plan
+  renderDirImport(tree, skipped) {
+    const counts = DirectoryImport.count(tree);
+    const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const created = [
+      counts.folders ? plural(counts.folders, 'Ordner', 'Ordner') : '',
+      counts.topics ? plural(counts.topics, 'Thema', 'Themen') : '',
+      counts.lessons ? plural(counts.lessons, 'Stunde', 'Stunden') : '',
+    ].filter(Boolean).join(', ');
+    document.getElementById('dirImportSummary').textContent = counts.files
+      ? `${plural(counts.files, 'Datei', 'Dateien')} (${this._formatSize(counts.size)}) werden importiert. ${created ? `Neu angelegt: ${created}.` : 'Alle Ziele sind bereits vorhanden.'}`
+      : 'Das Verzeichnis enthält keine unterstützten Dateien.';
+
+    const badge = node => node.id == null
+      ? '<span class="dir-import-badge new">neu</span>'
+      : '<span class="dir-import-badge">vorhanden</span>';
+    const files = list => {
+      const names = list.slice(0, 4).map(f => this._esc(f.name)).join(', ');
+      return `<small>${names}${list.length > 4 ? ` und ${list.length - 4} weitere` : ''}</small>`;
+    };
+    document.getElementById('dirImportTree').innerHTML = tree.folders.map(folder => `
+      <li>📁 ${this._esc(folder.name)} ${badge(folder)}
+        <ul>${folder.topics.map(topic => `
+          <li>📂 ${this._esc(topic.name)} ${badge(topic)}
+            <ul>${topic.lessons.map(lesson => `
+              <li>📄 ${this._esc(lesson.name)} ${badge(lesson)} · ${plural(lesson.files.length, 'Datei', 'Dateien')}
+                ${files(lesson.files)}
+              </li>`).join('')}
+            </ul>
+          </li>`).join('')}
+        </ul>
+      </li>`).join('');
+
+    document.getElementById('dirImportSkipped').classList.toggle('hidden', !skipped.length);
+    document.getElementById('dirImportSkippedTitle').textContent = `${plural(skipped.length, 'Datei wird', 'Dateien werden')} übersprungen`;
+    document.getElementById('dirImportSkippedList').innerHTML = skipped.map(s =>
+      `<li>${this._esc(s.path)} <small>${this._esc(s.reason)}</small></li>`).join('');
+    document.getElementById('dirImportConfirm').disabled = !counts.files;
+  }
+
+  // Standalone page for the print window (see App._handoutData); pages are
+  // the rasterized PDF attachments per lesson
+  renderHandout(handout, stylesheet) {
+    const sections = handout.sections.map(({ lesson, links, pages }) => `
+      <section class="handout-lesson">
+        <h${handout.topic ? 2 : 1}>${this._esc(lesson.title)}</h${handout.topic ? 2 : 1}>
+        <p class="handout-meta">${[handout.topic ? '' : this._esc(handout.path), lesson.date ? this._formatDateISO(lesson.date) : ''].filter(Boolean).join(' · ')}</p>
+        ${lesson.description ? `<p class="handout-description">${this._esc(lesson.description)}</p>` : ''}
+        ${links.length ? `
+          <h3>Links</h3>
+          <ul class="handout-links">
+            ${links.map(link => `
+              <li>
+                <div class="handout-qr">${link.qr ? QrCode.toSvg(link.qr) : ''}</div>
+                <div>
+                  <strong>${this._esc(link.title)}</strong>
+                  <a href="${this._escAttr(link.url)}">${this._esc(link.url)}</a>
+                </div>
+              </li>`).join('')}
+          </ul>` : ''}
+      </section>
+      ${pages.map(page => `
+        <figure class="handout-page${page.width > page.height ? ' landscape' : ''}"><img src="${page.src}" alt=""></figure>`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <title>Handout: ${this._esc(handout.title)}</title>
+  <link rel="stylesheet" href="${this._escAttr(stylesheet)}">
+</head>
+<body>
+  <div class="handout-toolbar">
+    <button onclick="print()">Drucken</button>
+    <span>Für eine PDF-Datei im Druckdialog „Als PDF speichern" wählen.</span>
+  </div>
+  ${handout.topic ? `<header class="handout-cover"><h1>${this._esc(handout.title)}</h1><p class="handout-meta">${this._esc(handout.path)}</p></header>` : ''}
+  ${sections}
+</body>
+</html>`;
+  }
+
+  /* ---- Presentation ---- */
+  // The controls exist on the main screen and in the presenter window; both
+  // share the ids and data-presentation-action buttons
+  _presentationControls(actions) {
+    const labels = {
+      presenter: ['Referentenansicht', 'Referentenansicht in neuem Fenster (P)'],
+      blackout: ['Schwarz', 'Bildschirm schwarz schalten (B)'],
+      fullscreen: ['Vollbild', 'Vollbild an/aus (F)'],
+      close: ['Beenden', 'Präsentation beenden (Esc)'],
+    };
+    const limits = [1, 2, 3, 5, 10, 15, 20, 30].map(m => `<option value="${m}">${m} Min.</option>`).join('');
+    return `
+      <button class="presentation-btn" data-presentation-action="prev" title="Zurück (←)">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="15 18 9 12 15 6"/></svg>
+      </button>
+      <span class="presentation-counter" id="presentationCounter"></span>
+      <button class="presentation-btn" data-presentation-action="next" title="Weiter (→, Leertaste)">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 18 15 12 9 6"/></svg>
+      </button>
+      <span class="presentation-sep"></span>
+      <select class="presentation-select" id="presentationTimerLimit" title="Stoppuhr oder Countdown">
+        <option value="0">Stoppuhr</option>${limits}
+      </select>
+      <button class="presentation-btn" id="presentationTimerToggle" data-presentation-action="timer" title="Timer starten/anhalten (T)"></button>
+      <button class="presentation-btn" data-presentation-action="timer-reset" title="Timer zurücksetzen">↺</button>
+      <span class="presentation-sep"></span>
+      ${actions.map(a => `<button class="presentation-btn" data-presentation-action="${a}" title="${labels[a][1]}">${labels[a][0]}</button>`).join('')}`;
+  }
+
+  renderPresentationBar() {
+    document.getElementById('presentationBar').innerHTML = this._presentationControls(['presenter', 'blackout', 'fullscreen', 'close']);
+  }
+
+  _slideLabel(slide) {
+    if (!slide) return 'Ende';
+    if (slide.kind === 'title') return 'Titel';
+    if (slide.kind === 'link') return `Link: ${slide.link.title}`;
+    if (slide.kind === 'pdf') return `${slide.file.name} · Seite ${slide.page} von ${slide.pages}`;
+    return slide.file.name;
+  }
+
+  // info: { title, date, path }; content depends on the slide kind: a
+  // rendered page for PDFs, an object URL, DOCX HTML or plain text
+  renderSlide(slide, content, info) {
+    const stage = document.getElementById('presentationStage');
+    const name = slide.file ? this._esc(slide.file.name) : '';
+    if (slide.kind === 'title') {
+      stage.innerHTML = `
+        <div class="slide-title">
+          <h1>${this._esc(info.title)}</h1>
+          <p>${[this._esc(info.path), info.date ? this._formatDateISO(info.date) : ''].filter(Boolean).join(' · ')}</p>
+        </div>`;
+    } else if (slide.kind === 'link') {
+      stage.innerHTML = `
+        <div class="slide-link">
+          ${slide.qr ? `<div class="slide-qr">${QrCode.toSvg(slide.qr)}</div>` : ''}
+          <div>
+            <h2>${this._esc(slide.link.title)}</h2>
+            <a href="${this._escAttr(slide.link.url)}" target="_blank" rel="noopener">${this._esc(slide.link.url)}</a>
+          </div>
+        </div>`;
+    } else if (!content) {
+      stage.innerHTML = `<div class="slide-error">„${name}" kann nicht angezeigt werden</div>`;
+    } else if (slide.kind === 'pdf') {
+      const ratio = window.devicePixelRatio || 1;
+      content.canvas.className = 'slide-page';
+      content.canvas.style.width = `${content.canvas.width / ratio}px`;
+      content.canvas.style.height = `${content.canvas.height / ratio}px`;
+      stage.replaceChildren(content.canvas);
+    } else if (slide.kind === 'image') {
+      stage.innerHTML = `<img class="slide-media" src="${content}" alt="${this._escAttr(slide.file.name)}">`;
+    } else if (slide.kind === 'video') {
+      stage.innerHTML = `<video class="slide-media" src="${content}" controls></video>`;
+    } else if (slide.kind === 'audio') {
+      stage.innerHTML = `<div class="slide-audio"><h2>${name}</h2><audio src="${content}" controls></audio></div>`;
+    } else if (slide.kind === 'docx') {
+      const doc = `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
+        body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;font-size:1.5rem;padding:2rem 3rem;background:#fff;color:#1a1a2e;line-height:1.6;max-width:1100px;margin:0 auto}
+        *{max-width:100%;box-sizing:border-box}
+        table{border-collapse:collapse;width:100%} td,th{border:1px solid #dee2e6;padding:0.5rem 0.75rem}
+        img{max-width:100%;height:auto}
+      </style></head><body>${content}</body></html>`;
+      stage.innerHTML = `<iframe class="slide-doc" sandbox="allow-same-origin" srcdoc="${this._escAttr(doc)}"></iframe>`;
+    } else {
+      stage.innerHTML = `<pre class="slide-text">${this._esc(content)}</pre>`;
+    }
+  }
+
+  // timer: { elapsed, limit, running } in ms; a countdown turns red at zero
+  _formatTimer({ elapsed, limit }) {
+    const ms = limit ? limit - elapsed : elapsed;
+    const secs = Math.floor(Math.abs(ms) / 1000) + (limit && ms > 0 && ms % 1000 ? 1 : 0);
+    return `${ms < 0 && secs ? '−' : ''}${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  }
+
+  // Works on the main document and on the presenter window's
+  renderPresentationState(doc, { index, count, blackout, timer }) {
+    doc.getElementById('presentationCounter').textContent = `${index + 1} / ${count}`;
+    const display = doc.getElementById('presentationTimer');
+    display.textContent = this._formatTimer(timer);
+    display.classList.toggle('idle', !timer.running && !timer.elapsed);
+    display.classList.toggle('expired', !!timer.limit && timer.elapsed >= timer.limit);
+    doc.getElementById('presentationTimerToggle').textContent = timer.running ? '❚❚' : '▶';
+    doc.getElementById('presentationTimerLimit').value = String(timer.limit / 60000);
+    doc.querySelector('[data-presentation-action="blackout"]')?.classList.toggle('active', blackout);
+    const clock = doc.getElementById('presenterClock');
+    if (clock) clock.textContent = new Date().toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // Standalone page for the second window: slide previews, notes from the
+  // lesson description and plan, the same controls as the main screen
+  renderPresenter(lesson, stylesheet, theme) {
+    const plan = LessonPlan.SECTIONS
+      .filter(s => !LessonPlan.isEmpty({ [s.key]: lesson.plan?.[s.key] || '' }))
+      .map(s => `<h3>${s.label}</h3><div class="presenter-plan">${LessonPlan.sanitize(lesson.plan[s.key])}</div>`).join('');
+    return `<!DOCTYPE html>
+<html lang="de" data-theme="${this._escAttr(theme)}">
+<head>
+  <meta charset="UTF-8">
+  <title>Referentenansicht: ${this._esc(lesson.title)}</title>
+  <link rel="stylesheet" href="${this._escAttr(stylesheet)}">
+</head>
+<body class="presenter">
+  <header class="presenter-header">
+    <h1>${this._esc(lesson.title)}</h1>
+    <span class="presenter-clock" id="presenterClock"></span>
+  </header>
+  <div class="presenter-main">
+    <section class="presenter-slides">
+      <div class="presenter-label">Aktuell: <span id="presenterCurrent"></span></div>
+      <div class="presenter-preview" id="presenterPreview"></div>
+      <div class="presenter-label">Als Nächstes: <span id="presenterNext"></span></div>
+    </section>
+    <section class="presenter-notes">
+      <div class="presentation-timer" id="presentationTimer"></div>
+      ${lesson.description ? `<p class="presenter-description">${this._esc(lesson.description)}</p>` : ''}
+      ${plan}
+      ${lesson.description || plan ? '' : '<p class="presenter-empty">Keine Notizen – die Beschreibung und die Stundenplanung der Stunde erscheinen hier.</p>'}
+    </section>
+  </div>
+  <div class="presentation-bar">${this._presentationControls(['blackout', 'close'])}</div>
+</body>
+</html>`;
+  }
+
+  // preview: the content shown on the main screen (see renderSlide)
+  renderPresenterSlides(doc, slide, next, preview) {
+    doc.getElementById('presenterCurrent').textContent = this._slideLabel(slide);
+    doc.getElementById('presenterNext').textContent = this._slideLabel(next);
+    const box = doc.getElementById('presenterPreview');
+    if (slide.kind === 'pdf' && preview) {
+      const copy = doc.createElement('canvas');
+      copy.width = preview.canvas.width;
+      copy.height = preview.canvas.height;
+      copy.getContext('2d').drawImage(preview.canvas, 0, 0);
+      box.replaceChildren(copy);
+    } else if (slide.kind === 'image' && preview) {
+      box.innerHTML = `<img src="${preview}" alt="">`;
+    } else if (slide.kind === 'link' && slide.qr) {
+      box.innerHTML = `<div class="presenter-qr">${QrCode.toSvg(slide.qr)}</div>`;
+    } else {
+      box.innerHTML = `<div class="presenter-placeholder">${this._esc(this._slideLabel(slide))}</div>`;
+    }
+  }
+
+  /* ---- Calendar (all lessons by date) ---- */
+  // entries: [{ lesson, topic, folder }] with a date, sorted by date;
+  // undated: the same shape for lessons without a date.
+  renderCalendar(mode, anchor, entries, undated) {
+    const today = this._isoDate(new Date());
+    const byDate = new Map();
+    for (const e of entries) {
+      if (!byDate.has(e.lesson.date)) byDate.set(e.lesson.date, []);
+      byDate.get(e.lesson.date).push(e);
+    }
+
+    const anchorDate = this._parseISODate(anchor);
+    let label = '';
+    let body = '';
+
+    if (mode === 'agenda') {
+      label = `${entries.length} Stunden mit Datum`;
+      const days = [...byDate.keys()];
+      body = days.length ? `<div class="agenda">${days.map(date => `
+        <div class="agenda-day ${date === today ? 'today' : ''} ${date < today ? 'past' : ''}" data-date="${date}">
+          <div class="agenda-date">
+            <span class="agenda-weekday">${this._parseISODate(date).toLocaleDateString('de-DE', { weekday: 'short' })}</span>
+            <span>${this._formatDateISO(date)}</span>
+          </div>
+          <div class="agenda-entries">${byDate.get(date).map(e => this._calendarEntry(e, true)).join('')}</div>
+        </div>`).join('')}</div>` : `
+        <div class="empty-state">
+          <span class="empty-state-icon">📅</span>
+          <div class="empty-state-title">Keine Stunden mit Datum</div>
+          <p class="empty-state-text">Vergeben Sie im Stunden-Dialog ein Datum, um Stunden hier zu sehen.</p>
+        </div>`;
+    } else {
+      const start = new Date(anchorDate);
+      if (mode === 'month') start.setDate(1);
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // back to Monday
+      const count = mode === 'month' ? 42 : 7;
+      const cells = [];
+      for (let i = 0; i < count; i++) {
+        const d = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        const iso = this._isoDate(d);
+        const outside = mode === 'month' && d.getMonth() !== anchorDate.getMonth();
+        cells.push(`
+          <div class="calendar-day ${outside ? 'outside' : ''} ${iso === today ? 'today' : ''}" data-date="${iso}">
+            <div class="calendar-day-num">${mode === 'week' ? d.toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit' }) : d.getDate()}</div>
+            <div class="calendar-day-entries">${(byDate.get(iso) || []).map(e => this._calendarEntry(e, mode === 'week')).join('')}</div>
+          </div>`);
+      }
+      const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+      label = mode === 'month'
+        ? anchorDate.toLocaleDateString('de-DE', { month: 'long', year: 'numeric' })
+        : `KW ${this._isoWeek(start)} · ${this._formatDate(start)} – ${this._formatDate(end)}`;
+      const weekdays = mode === 'month'
+        ? `<div class="calendar-weekdays">${['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'].map(w => `<span>${w}</span>`).join('')}</div>`
+        : '';
+      body = `${weekdays}<div class="calendar-grid ${mode}">${cells.join('')}</div>`;
+    }
+
+    const undatedHTML = mode !== 'agenda' ? `
+      <div class="calendar-undated" data-date="">
+        <div class="links-section-title">Stunden ohne Datum (${undated.length})</div>
+        <p class="calendar-hint">Ziehen Sie eine Stunde auf einen Tag, um ihr Datum zu setzen – oder hierher, um es zu entfernen.</p>
+        <div class="calendar-undated-list">${undated.map(e => this._calendarEntry(e, false)).join('')}</div>
+      </div>` : '';
+
+    const modes = { month: 'Monat', week: 'Woche', agenda: 'Agenda' };
+    this.mainContent.innerHTML = `
+      <div class="topic-detail-header">
+        <div class="topic-detail-left">
+          <h2 class="topic-detail-title">Kalender</h2>
+          <span class="calendar-label">${this._esc(label)}</span>
+        </div>
+        <div class="topic-detail-right">
+          ${mode !== 'agenda' ? `
+            <button class="btn btn-secondary btn-sm calendar-step-btn" data-step="-1" title="Zurück">‹</button>
+            <button class="btn btn-secondary btn-sm calendar-step-btn" data-step="0">Heute</button>
+            <button class="btn btn-secondary btn-sm calendar-step-btn" data-step="1" title="Weiter">›</button>` : ''}
+          <div class="segmented">
+            ${Object.entries(modes).map(([m, l]) => `<button class="segmented-btn calendar-mode-btn ${m === mode ? 'active' : ''}" data-mode="${m}">${l}</button>`).join('')}
+          </div>
+        </div>
+      </div>
+      ${body}
+      ${undatedHTML}`;
+  }
+
+  _calendarEntry({ lesson, topic, folder }, detailed) {
+    return `<div class="calendar-entry" draggable="true" data-lesson-id="${lesson.id}" style="--entry-color:${folder.color}" title="${this._escAttr(`${folder.name} › ${topic.name}`)}">
+      <span class="calendar-entry-title">${this._esc(lesson.title)}</span>
+      ${detailed ? `<span class="calendar-entry-meta">${this._esc(folder.name)} › ${this._esc(topic.name)}</span>` : ''}
+    </div>`;
+  }
+
+  /* ---- Search Results ---- */
+  // results: { folders, topics, lessons, files } of { item, score, snippet? },
+  // each sorted by score; groups are ordered by their best hit.
+  renderSearchResults(query, results, terms, allFolders, allTopics) {
+    const hl = (text) => this._highlight(text, terms);
+    const total = results.folders.length + results.topics.length + results.lessons.length + results.files.length;
+
+    const folderCards = results.folders.map(({ item: f }) => `
+      <div class="topic-card" data-folder-id="${f.id}" style="--card-color:${f.color}">
+        <div class="topic-card-header"><div class="topic-card-name">${hl(f.name)}</div></div>
+        <div class="topic-card-meta"><span style="font-size:0.8rem;color:var(--text-muted)">Ordner</span></div>
+      </div>`).join('');
+
+    const topicCards = results.topics.map(({ item: t }) => {
+      const folder = allFolders.find(f => f.id === t.folderId);
+      return `<div class="topic-card search-topic-card" data-topic-id="${t.id}" data-folder-id="${t.folderId}" style="--card-color:${folder?.color || '#868e96'}">
+        <div class="topic-card-header"><div class="topic-card-name">${hl(t.name)}</div></div>
+        <div class="topic-card-meta"><span style="font-size:0.8rem;color:var(--text-muted)">${folder ? this._esc(folder.name) : ''} › Thema</span></div>
+      </div>`;
+    }).join('');
+
+    const lessonItems = results.lessons.map(({ item: l }) => {
+      const topic = allTopics.find(t => t.id === l.topicId);
+      const folder = topic ? allFolders.find(f => f.id === topic.folderId) : null;
+      return `<div class="file-item search-lesson-item" data-lesson-id="${l.id}" data-topic-id="${l.topicId}" data-folder-id="${folder?.id || ''}">
+        <div class="file-icon" style="background:var(--gold-light);color:var(--gold);font-size:0.9rem">📝</div>
+        <div class="file-info">
+          <div class="file-name">${hl(l.title)}</div>
+          <div class="file-meta">${folder ? this._esc(folder.name) + ' › ' : ''}${topic ? this._esc(topic.name) : ''} · ${l.date ? this._formatDateISO(l.date) : '—'}</div>
+          ${l.description ? `<div class="search-snippet">${hl(l.description)}</div>` : ''}
+        </div>
+      </div>`;
+    }).join('');
+
+    const fileItems = results.files.map(({ item: f, snippet }) => {
+      return `<div class="file-item search-file-item" data-file-id="${f.id}" data-lesson-id="${f.lessonId}">
+        ${this._fileIcon(f)}
+        <div class="file-info">
+          <div class="file-name">${hl(f.name)}</div>
+          <div class="file-meta">${this._formatSize(f.size)} · ${this._formatDate(f.uploadedAt)}</div>
+          ${snippet ? `<div class="search-snippet">${hl(snippet)}</div>` : ''}
+        </div>
+      </div>`;
+    }).join('');
+
+    const groups = [
+      { hits: results.folders, html: `<h3 style="margin-bottom:0.75rem;font-size:1rem">Ordner</h3><div class="dashboard-grid" style="margin-bottom:1.5rem">${folderCards}</div>` },
+      { hits: results.topics, html: `<h3 style="margin-bottom:0.75rem;font-size:1rem">Themen</h3><div class="dashboard-grid" style="margin-bottom:1.5rem">${topicCards}</div>` },
+      { hits: results.lessons, html: `<h3 style="margin-bottom:0.75rem;font-size:1rem">Stunden</h3><div class="file-list" style="margin-bottom:1.5rem">${lessonItems}</div>` },
+      { hits: results.files, html: `<h3 style="margin-bottom:0.75rem;font-size:1rem">Dateien</h3><div class="file-list" style="margin-bottom:1.5rem">${fileItems}</div>` },
+    ].filter(g => g.hits.length).sort((a, b) => b.hits[0].score - a.hits[0].score);
+
+    this.mainContent.innerHTML = `
+      <div class="dashboard-header">
+        <h2 class="dashboard-title">Suchergebnisse für „${this._esc(query)}"</h2>
+        <p class="dashboard-subtitle">${total} Treffer</p>
+      </div>
+      ${!total ? `<div class="empty-state">
+        <span class="empty-state-icon">🔍</span>
+        <div class="empty-state-title">Keine Ergebnisse</div>
+        <p class="empty-state-text">Versuchen Sie es mit einem anderen Suchbegriff.</p>
+        <p class="search-help">Filter: <code>type:pdf</code> <code>folder:"Klasse 10a"</code> <code>tag:A2</code> <code>date:2026-09..2026-10</code> <code>has:links</code> <code>has:plan</code> <code>has:vocab</code> <code>-wort</code></p>
+      </div>` : ''}
+      ${groups.map(g => g.html).join('')}
+    `;
+  }
+
+  _highlight(text, terms) {
+    if (!text) return '';
+    if (!terms.length) return this._esc(text);
+    const { text: folded, map } = SearchQuery.fold(text);
+    const ranges = [];
+    for (const term of terms) {
+      for (let i = folded.indexOf(term); i >= 0; i = folded.indexOf(term, i + term.length)) {
+        ranges.push([map[i], map[i + term.length - 1] + 1]);
+      }
+    }
+    if (!ranges.length) return this._esc(text);
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let html = '';
+    let pos = 0;
+    for (const [start, end] of ranges) {
+      if (end <= pos) continue;
+      const from = Math.max(start, pos);
+      html += this._esc(text.slice(pos, from)) + `<mark>${this._esc(text.slice(from, end))}</mark>`;
+      pos = end;
+    }
+    return html + this._esc(text.slice(pos));
+  }
+
+  /* ---- Links ---- */
+  _renderLinks(links) {
+    if (!links.length) {
+      return `<div class="empty-state" style="padding:1.25rem 1rem">
+        <span style="font-size:1.5rem;opacity:0.5">🔗</span>
+        <p style="font-size:0.85rem;margin-top:0.3rem;color:var(--text-muted)">Noch keine Links hinzugefügt</p>
+      </div>`;
+    }
+    return links.map(l => `
+      <div class="link-item">
+        <div class="link-icon">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>
+        </div>
+        <div class="link-info">
+          <div class="link-title">${this._esc(l.title || l.url)}</div>
+          <div class="link-url">${this._esc(l.url)}</div>
+        </div>
+        <div class="link-actions">
+          <a class="link-action-btn" href="${this._esc(l.url)}" target="_blank" rel="noopener noreferrer" title="Öffnen" onclick="event.stopPropagation()">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>
+          </a>
+          <button class="link-action-btn danger delete-link-btn" data-link-id="${l.id}" title="Löschen">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
+          </button>
+        </div>
+      </div>`).join('');
+  }
+
+  /* ---- Toast ---- */
+  // action: optional { label, onClick } rendered as an inline button. Only the
+  // newest toast keeps its button, older ones refer to stale history entries.
+  showToast(message, type = 'success', action = null) {
+    const icons = { success: '✓', error: '✕', info: 'ℹ' };
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = `<span class="toast-icon">${icons[type] || icons.info}</span><span>${message}</span>`;
+    if (action) {
+      this.toastContainer.querySelectorAll('.toast:not(.toast-update) .toast-action').forEach(btn => btn.remove());
+      const btn = document.createElement('button');
+      btn.className = 'toast-action';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => { btn.remove(); action.onClick(); });
+      toast.appendChild(btn);
+    }
+    this.toastContainer.appendChild(toast);
+    setTimeout(() => {
+      toast.classList.add('fade-out');
+      toast.addEventListener('animationend', () => toast.remove());
+    }, action ? 5000 : 2500);
+  }
+
+  // Stays until the user reloads or dismisses it
+  showUpdatePrompt(onReload) {
+    if (this.toastContainer.querySelector('.toast-update')) return;
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-update';
+    toast.innerHTML = `
+      <span class="toast-icon">↻</span><span>Eine neue Version ist verfügbar</span>
+      <button class="toast-action">Neu laden</button>
+      <button class="toast-dismiss" aria-label="Später">✕</button>`;
+    toast.querySelector('.toast-action').addEventListener('click', () => onReload());
+    toast.querySelector('.toast-dismiss').addEventListener('click', () => toast.remove());
+    this.toastContainer.appendChild(toast);
+  }
+
+  /* ---- Helpers ---- */
+  _fileIcon(file) {
+    const { cls, label } = FileTypes.icon(file);
+    return `<div class="file-icon ${cls}">${this._esc(label)}</div>`;
+  }
+
+  _esc(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // For free text inside attribute values (value="…")
+  _escAttr(str) {
+    return this._esc(str).replace(/"/g, '&quot;');
+  }
+
+  _formatDate(ts) {
+    if (!ts) return '—';
+    return new Date(ts).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  }
+
+  _formatDateTime(ts) {
+    return new Date(ts).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  _isoDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  _parseISODate(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+
+  _isoWeek(d) {
+    const t = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+    t.setUTCDate(t.getUTCDate() + 4 - (t.getUTCDay() || 7));
+    return Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  }
+
+  _formatDateISO(dateStr) {
+    if (!dateStr) return '—';
+    const [y, m, d] = dateStr.split('-');
+    return `${d}.${m}.${y}`;
+  }
+
+  _formatSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0, size = bytes;
+    while (size >= 1024 && i < units.length - 1) { size /= 1024; i++; }
+    return `${size.toFixed(i > 0 ? 1 : 0)} ${units[i]}`;
+  }
+
+  _revokeBlobUrls() {
+    this._blobUrls.forEach(url => URL.revokeObjectURL(url));
+    this._blobUrls = [];
+  }
+}
+
+/* ===== App Controller ===== */
+class App {
+  constructor() {
+    this.db = new DB();
+    this.store = new Store();
+    this.history = new UndoHistory();
+    this._replaying = false;  // true while an undo/redo is written
+    this.ui = new UI();
+    this._editingFolderId = null;
+    this._editingTopicId = null;
+    this._editingLessonId = null;
+    this._confirmCallback = null;
+    this._linkLessonId = null;
+    this._editingTask = null;
+    this._renamingFileId = null;
+    this._taggingFileId = null;
+    this._templateLessonId = null;
+    this._pendingBackup = null;
+    this._pendingPackage = null;
+    this._packageTargetId = null;
+    this._dragItem = null;   // { kind, id } while a folder/topic/lesson/file is dragged
+    this._moving = null;     // { kind, id } while the move modal is open
+    this._duplicating = null; // { kind, id } while the duplicate modal is open
+    this._planTimer = null;   // pending lesson plan autosave
+    this._practice = null;    // running flashcard round
+    this._editingDrill = null; // { lessonId, drillId } while the drill modal is open
+    this._drill = null;       // running conjugation drill
+    this._presentation = null; // running presentation (see _startPresentation)
+    this.sync = null;         // Sync while a server is configured
+    this._syncing = false;
+    this._syncError = null;
+    this._syncConflicts = 0;
+    // Caches
+    this._topicCounts = {};   // folderId -> topic count
+    this._lessonCounts = {};  // topicId -> lesson count
+    this._fileCounts = {};    // lessonId -> file count
+    this._allFolders = [];
+    this._allTopics = [];
+    this._allLessons = [];
+    this._allFiles = [];
+    this._templates = [];
+    this._trash = [];           // [{ kind, item }] trashed records whose parents are live
+    this._trashRecords = { folders: [], topics: [], lessons: [], files: [] };
+    this._fileTexts = new Map(); // fileId -> extracted text
+    this._normalizedTexts = new Map(); // fileId -> folded text for matching
+    this._indexing = false;
+    this._indexAgain = false;
+    this._restoringRoute = false; // true while back/forward applies a hash
+  }
+
+  async init() {
+    await this.db.open();
+    try {
+      await this.db.migrateBlobs();
+    } catch (err) {
+      console.error('Blob migration failed:', err);
+    }
+    this._initTheme();
+    await this._loadAll();
+    await this._autoPurgeTrash();
+    this._applyRoute(Router.parse(location.hash));
+    this.store.subscribe(() => this._syncRoute());
+    this.store.subscribe(() => this._render());
+    this._bindEvents();
+    this._render();
+    this._indexPendingFiles({ announce: true });
+    this._requestPersistence();
+    this._registerServiceWorker();
+    this._initSync();
+    this._runSync({ quiet: true });
+  }
+
+  /* ===== Offline / Updates ===== */
+  // sw.js precaches the app. A new deployment installs a waiting worker;
+  // it only takes over once the user accepts the prompt, so a half-updated
+  // page never runs old app.js against new files.
+  async _registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    // Only the tab whose prompt was accepted reloads: the first install
+    // also changes the controller (clients.claim), as does an update
+    // accepted in another tab
+    let accepted = false;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!accepted || reloading) return;
+      reloading = true;
+      location.reload();
+    });
+    try {
+      const reg = await navigator.serviceWorker.register('sw.js');
+      const offer = (worker) => this.ui.showUpdatePrompt(() => {
+        accepted = true;
+        worker.postMessage('skipWaiting');
+      });
+      if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      // The tab often stays open for a whole school day
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') reg.update().catch(() => {});
+      });
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  }
+
+  /* ===== Theme ===== */
+  _initTheme() {
+    const saved = localStorage.getItem('spanischapp-theme');
+    if (saved) {
+      this.store.state.theme = saved;
+    } else {
+      this.store.state.theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    document.documentElement.setAttribute('data-theme', this.store.get('theme'));
+  }
+
+  _toggleTheme() {
+    const next = this.store.get('theme') === 'light' ? 'dark' : 'light';
+    this.store.set('theme', next);
+    document.documentElement.setAttribute('data-theme', next);
+    localStorage.setItem('spanischapp-theme', next);
+  }
+
+  /* ===== Data Loading ===== */
+  async _loadAll() {
+    const [folders, topics, lessons, files, texts, templates] = await Promise.all([
+      this.db.getFolders(),
+      this.db.getTopics(),
+      this.db.getLessons(),
+      this.db.getFiles(),
+      this.db.getTexts(),
+      this.db.getTemplates(),
+    ]);
+
+    folders.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
+    topics.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
+    lessons.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
+
+    // Trashed records and everything below them are kept out of the caches;
+    // the Papierkorb lists each trashed record whose parent is still live.
+    const live = (list, parentIds, key) => list.filter(x => !x.deletedAt && (!key || parentIds.has(x[key])));
+    const trashed = (list, parentIds, key) => list.filter(x => x.deletedAt && (!key || parentIds.has(x[key])));
+    const liveFolders = live(folders);
+    const folderIds = new Set(liveFolders.map(f => f.id));
+    const liveTopics = live(topics, folderIds, 'folderId');
+    const topicIds = new Set(liveTopics.map(t => t.id));
+    const liveLessons = live(lessons, topicIds, 'topicId');
+    const lessonIds = new Set(liveLessons.map(l => l.id));
+    const liveFiles = files.filter(f => !f.deletedAt &&
+      (lessonIds.has(f.lessonId) || (f.linkedLessonIds || []).some(id => lessonIds.has(id))));
+
+    this._trash = [
+      ...trashed(folders).map(item => ({ kind: 'folder', item })),
+      ...trashed(topics, folderIds, 'folderId').map(item => ({ kind: 'topic', item })),
+      ...trashed(lessons, topicIds, 'topicId').map(item => ({ kind: 'lesson', item })),
+      ...trashed(files, lessonIds, 'lessonId').map(item => ({ kind: 'file', item })),
+    ].sort((a, b) => b.item.deletedAt - a.item.deletedAt);
+    this._trashRecords = { folders, topics, lessons, files };
+
+    this._allFolders = liveFolders;
+    this._allTopics = liveTopics;
+    this._allLessons = liveLessons;
+    this._allFiles = liveFiles;
+    this._templates = templates.sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    // Failed and outdated entries stay out so the next index pass retries them
+    const current = texts.filter(t => !t.failed && (t.version || 1) === TextExtractor.VERSION);
+    this._fileTexts = new Map(current.map(t => [t.fileId, t.text]));
+    this._normalizedTexts.clear();
+
+    this.store.state.folders = liveFolders;
+    this.store.state.topics = liveTopics;
+    this.store.state.lessons = liveLessons;
+
+    // Counts
+    this._topicCounts = {};
+    for (const t of liveTopics) {
+      this._topicCounts[t.folderId] = (this._topicCounts[t.folderId] || 0) + 1;
+    }
+
+    this._lessonCounts = {};
+    for (const l of liveLessons) {
+      this._lessonCounts[l.topicId] = (this._lessonCounts[l.topicId] || 0) + 1;
+    }
+
+    this._fileCounts = {};
+    for (const f of liveFiles) {
+      for (const id of [f.lessonId, ...(f.linkedLessonIds || [])]) {
+        this._fileCounts[id] = (this._fileCounts[id] || 0) + 1;
+      }
+    }
+  }
+
+  /* ===== Rendering ===== */
+  async _render() {
+    const s = this.store.state;
+    // The plan editor is about to be replaced; keep what was typed
+    if (this._planTimer) await this._savePlan();
+
+    // Sidebar
+    this.ui.renderSidebar(this._allFolders, this._allTopics, this._lessonCounts, s);
+    this.ui.renderTagCloud(this._allTags(), this._activeTag(s.searchQuery));
+    this.ui.updateTrashBadge(this._trash.length);
+    this._updateNavActive();
+
+    // Main content
+    if (s.searchQuery) {
+      await this._renderSearch(s.searchQuery);
+    } else if (s.currentView === 'trash') {
+      this._renderTrashView();
+    } else if (s.currentView === 'storage') {
+      await this._renderStorageView();
+    } else if (s.currentView === 'library') {
+      this._renderLibraryView();
+    } else if (s.currentView === 'calendar') {
+      this._renderCalendarView();
+    } else if (s.currentLessonId) {
+      await this._renderLessonView();
+    } else if (s.currentTopicId) {
+      this._renderTopicView();
+    } else if (s.currentFolderId) {
+      this._renderFolderView();
+    } else {
+      this.ui.renderDashboard(this._allFolders, this._topicCounts, this._openTasks());
+    }
+
+    this._bindDynamicEvents();
+  }
+
+  _renderFolderView() {
+    const folder = this._allFolders.find(f => f.id === this.store.get('currentFolderId'));
+    if (!folder) { this._navigateDashboard(); return; }
+    const topics = this._allTopics.filter(t => t.folderId === folder.id);
+    this.ui.renderFolderDetail(folder, topics, this._lessonCounts, this._vocabEntries('folder', folder.id));
+  }
+
+  _renderTopicView() {
+    const topic = this._allTopics.find(t => t.id === this.store.get('currentTopicId'));
+    if (!topic) { this._navigateDashboard(); return; }
+    const folder = this._allFolders.find(f => f.id === topic.folderId);
+    if (!folder) { this._navigateDashboard(); return; }
+    const lessons = this._allLessons.filter(l => l.topicId === topic.id);
+    this.ui.renderTopicDetail(folder, topic, lessons, this._fileCounts, this._vocabEntries('topic', topic.id));
+  }
+
+  async _renderLessonView() {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson) { this._navigateDashboard(); return; }
+    const topic = this._allTopics.find(t => t.id === lesson.topicId);
+    if (!topic) { this._navigateDashboard(); return; }
+    const folder = this._allFolders.find(f => f.id === topic.folderId);
+    if (!folder) { this._navigateDashboard(); return; }
+    const files = this._lessonFiles(lesson.id);
+    files.sort((a, b) => this._compareFiles(a, b));
+    const usage = {};
+    for (const f of files) {
+      usage[f.id] = {
+        linked: f.lessonId !== lesson.id,
+        elsewhere: this._fileLessons(f).filter(id => id !== lesson.id).map(id => this._lessonPath(id)),
+      };
+    }
+
+    // Prepare preview data (async for DOCX conversion)
+    let previewData = null;
+    const previewFileId = this.store.get('previewFileId');
+    if (previewFileId) {
+      const pf = files.find(f => f.id === previewFileId) || await this.db.getFile(previewFileId);
+      if (pf && !pf.deletedAt) {
+        this.ui._revokeBlobUrls();
+        const kind = FileTypes.kind(pf);
+        const blob = FileTypes.canPreview(pf) ? await this.db.getBlob(pf.hash) : null;
+        if (!blob) {
+          previewData = { type: 'error', name: pf.name, fileId: pf.id };
+        } else if (['pdf', 'image', 'audio', 'video'].includes(kind)) {
+          const url = URL.createObjectURL(blob);
+          this.ui._blobUrls.push(url);
+          previewData = { type: kind, url, name: pf.name, fileId: pf.id, rate: this._playbackRate() };
+        } else if (kind === 'text') {
+          previewData = { type: 'text', text: await blob.text(), name: pf.name, fileId: pf.id };
+        } else if (kind === 'docx') {
+          try {
+            const arrayBuffer = await blob.arrayBuffer();
+            const result = await mammoth.convertToHtml({ arrayBuffer });
+            previewData = { type: 'docx', html: result.value, name: pf.name, fileId: pf.id };
+          } catch (err) {
+            console.error('DOCX preview failed:', err);
+            previewData = { type: 'error', name: pf.name, fileId: pf.id };
+          }
+        }
+      }
+    }
+
+    this.ui.renderLessonDetail(folder, topic, lesson, files, previewData, usage);
+    this._bindDropZone();
+  }
+
+  async _renderSearch(query) {
+    const sq = SearchQuery.parse(query);
+    const norm = SearchQuery.normalize;
+    const folderById = new Map(this._allFolders.map(f => [f.id, f]));
+    const topicById = new Map(this._allTopics.map(t => [t.id, t]));
+    const lessonById = new Map(this._allLessons.map(l => [l.id, l]));
+    const results = { folders: [], topics: [], lessons: [], files: [] };
+
+    // tag: filters (and clicks in the tag cloud) take their candidates from
+    // the by-tag index; terms and the other filters still apply to them
+    const candidates = { folders: this._allFolders, topics: this._allTopics, lessons: this._allLessons, files: this._allFiles };
+    const tags = sq.filters.filter(f => f.key === 'tag' && !f.negate);
+    if (tags.length) {
+      const tagged = await Promise.all(tags.map(f => this.db.getTagged(f.value)));
+      if (this.store.get('searchQuery') !== query) return;
+      for (const name of DB.STORES) {
+        const ids = tagged.map(t => new Set(t[name].map(r => r.id)));
+        candidates[name] = candidates[name].filter(r => ids.every(set => set.has(r.id)));
+      }
+      sq.filters = sq.filters.filter(f => !tags.includes(f));
+    }
+
+    for (const folder of candidates.folders) {
+      if (!sq.matches({ kind: 'folder', folder })) continue;
+      const score = sq.score([
+        { text: norm(folder.name), weight: 10 },
+        { text: norm((folder.tags || []).join(' ')), weight: 6 },
+      ]);
+      if (score) results.folders.push({ item: folder, score });
+    }
+
+    for (const topic of candidates.topics) {
+      const folder = folderById.get(topic.folderId);
+      if (!sq.matches({ kind: 'topic', folder, topic })) continue;
+      const score = sq.score([
+        { text: norm(topic.name), weight: 10 },
+        { text: norm((topic.tags || []).join(' ')), weight: 6 },
+      ]);
+      if (score) results.topics.push({ item: topic, score });
+    }
+
+    for (const lesson of candidates.lessons) {
+      const topic = topicById.get(lesson.topicId);
+      const folder = topic && folderById.get(topic.folderId);
+      if (!sq.matches({ kind: 'lesson', folder, topic, lesson, fileCount: this._fileCounts[lesson.id] || 0 })) continue;
+      const links = (lesson.links || []).map(l => `${l.title} ${l.url}`).join(' ');
+      const score = sq.score([
+        { text: norm(lesson.title), weight: 10 },
+        { text: norm((lesson.tags || []).join(' ')), weight: 6 },
+        { text: norm(lesson.description), weight: 4 },
+        { text: norm(LessonPlan.toText(lesson.plan)), weight: 3 },
+        { text: norm((lesson.tasks || []).map(t => t.title).join(' ')), weight: 3 },
+        { text: norm((lesson.vocab || []).map(v => `${v.es} ${v.de}`).join(' ')), weight: 3 },
+        { text: norm(links), weight: 2 },
+      ]);
+      if (score) results.lessons.push({ item: lesson, score });
+    }
+
+    for (const file of candidates.files) {
+      const lesson = lessonById.get(file.lessonId);
+      const topic = lesson && topicById.get(lesson.topicId);
+      const folder = topic && folderById.get(topic.folderId);
+      const text = this._normalizedText(file.id);
+      if (!sq.matches({ kind: 'file', folder, topic, lesson, file, hasText: !!text })) continue;
+      const score = sq.score([
+        { text: norm(file.name), weight: 8 },
+        { text: norm((file.tags || []).join(' ')), weight: 6 },
+        { text, weight: 1 },
+      ]);
+      if (score) results.files.push({ item: file, score, snippet: this._snippet(file.id, sq.terms) });
+    }
+
+    for (const list of Object.values(results)) list.sort((a, b) => b.score - a.score);
+    this.ui.renderSearchResults(query, results, sq.terms, this._allFolders, this._allTopics);
+  }
+
+  _normalizedText(fileId) {
+    if (!this._normalizedTexts.has(fileId)) {
+      this._normalizedTexts.set(fileId, SearchQuery.normalize(this._fileTexts.get(fileId)));
+    }
+    return this._normalizedTexts.get(fileId);
+  }
+
+  // Cuts a window around the first term found in a file's extracted text.
+  _snippet(fileId, terms, radius = 60) {
+    const text = this._fileTexts.get(fileId);
+    if (!text || !terms.length) return null;
+    // Folding changes the length of decomposed text (NFD input), so the
+    // match is mapped back to the original through the index map
+    const { text: folded, map } = SearchQuery.fold(text);
+    const hits = terms.map(t => ({ i: folded.indexOf(t), len: t.length })).filter(h => h.i >= 0);
+    if (!hits.length) return null;
+    const { i, len } = hits.reduce((a, b) => (b.i < a.i ? b : a));
+    const start = Math.max(0, map[i] - radius);
+    const end = Math.min(text.length, map[i + len] + radius);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+  }
+
+  _renderCalendarView() {
+    const s = this.store.state;
+    const folderById = new Map(this._allFolders.map(f => [f.id, f]));
+    const topicById = new Map(this._allTopics.map(t => [t.id, t]));
+    const entries = [];
+    const undated = [];
+    for (const lesson of this._allLessons) {
+      const topic = topicById.get(lesson.topicId);
+      const folder = topic && folderById.get(topic.folderId);
+      if (!folder) continue;
+      (lesson.date ? entries : undated).push({ lesson, topic, folder });
+    }
+    entries.sort((a, b) => a.lesson.date.localeCompare(b.lesson.date));
+    this.ui.renderCalendar(s.calendarMode, s.calendarDate || this._todayISO(), entries, undated);
+  }
+
+  _updateNavActive() {
+    const s = this.store.state;
+    const nav = document.getElementById('navDashboard');
+    if (nav) {
+      nav.classList.toggle('active', !s.currentFolderId && !s.currentTopicId && !s.currentLessonId && !s.searchQuery && !s.currentView);
+    }
+    const cal = document.getElementById('navCalendar');
+    if (cal) cal.classList.toggle('active', s.currentView === 'calendar' && !s.searchQuery);
+    const trash = document.getElementById('navTrash');
+    if (trash) trash.classList.toggle('active', s.currentView === 'trash' && !s.searchQuery);
+    const library = document.getElementById('navLibrary');
+    if (library) library.classList.toggle('active', s.currentView === 'library' && !s.searchQuery);
+    const storage = document.getElementById('navStorage');
+    if (storage) storage.classList.toggle('active', s.currentView === 'storage' && !s.searchQuery);
+  }
+
+  /* ===== Routing ===== */
+  _applyRoute(route) {
+    // Derive parents from the deepest id so stale or hand-edited URLs stay consistent
+    this._deriveParents(route);
+    Object.assign(this.store.state, route);
+
+    const input = document.getElementById('searchInput');
+    const clear = document.getElementById('searchClear');
+    if (input) input.value = route.searchQuery;
+    if (clear) clear.classList.toggle('hidden', !route.searchQuery);
+  }
+
+  _deriveParents(state) {
+    const lesson = state.currentLessonId && this._allLessons.find(l => l.id === state.currentLessonId);
+    if (lesson) state.currentTopicId = lesson.topicId;
+    const topic = state.currentTopicId && this._allTopics.find(t => t.id === state.currentTopicId);
+    if (topic) state.currentFolderId = topic.folderId;
+  }
+
+  _syncRoute() {
+    const hash = Router.format(this.store.state);
+    const current = location.hash || '#/';
+    if (hash === current) return;
+    // Typing refines one search instead of adding a history entry per
+    // keystroke; after back/forward the normalized hash replaces the entry
+    // so the forward history stays intact
+    const refine = current.startsWith('#/search') && hash.startsWith('#/search');
+    history[refine || this._restoringRoute ? 'replaceState' : 'pushState'](null, '', hash);
+  }
+
+  /* ===== Navigation Helpers ===== */
+  _navigateDashboard() {
+    this.store.state.currentView = null;
+    this.store.state.currentFolderId = null;
+    this.store.state.currentTopicId = null;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  _navigateFolder(folderId) {
+    this.store.state.currentView = null;
+    this.store.state.currentFolderId = folderId;
+    this.store.state.currentTopicId = null;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  _navigateTopic(topicId) {
+    const topic = this._allTopics.find(t => t.id === topicId);
+    if (!topic) return;
+    this.store.state.currentView = null;
+    this.store.state.currentFolderId = topic.folderId;
+    this.store.state.currentTopicId = topicId;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  _navigateLesson(lessonId, previewFileId = null) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson) return;
+    const topic = this._allTopics.find(t => t.id === lesson.topicId);
+    if (!topic) return;
+    this.store.state.currentView = null;
+    this.store.state.currentFolderId = topic.folderId;
+    this.store.state.currentTopicId = topic.id;
+    this.store.state.currentLessonId = lessonId;
+    this.store.state.previewFileId = previewFileId;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  // Views outside the folder tree without parameters ('trash', 'storage')
+  _navigateView(view) {
+    this.store.state.currentView = view;
+    this.store.state.currentFolderId = null;
+    this.store.state.currentTopicId = null;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  _navigateCalendar(mode = this.store.get('calendarMode'), date = this.store.get('calendarDate')) {
+    this.store.state.currentView = 'calendar';
+    this.store.state.calendarMode = mode;
+    this.store.state.calendarDate = date;
+    this.store.state.currentFolderId = null;
+    this.store.state.currentTopicId = null;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.state.searchQuery = '';
+    this._clearSearch();
+    this.store._notify();
+  }
+
+  _clearSearch() {
+    const input = document.getElementById('searchInput');
+    const clear = document.getElementById('searchClear');
+    if (input) input.value = '';
+    if (clear) clear.classList.add('hidden');
+  }
+
+  /* ===== Static Event Bindings ===== */
+  _bindEvents() {
+    // Save a pending lesson plan when the tab is closed or hidden
+    window.addEventListener('pagehide', () => { if (this._planTimer) this._savePlan(); });
+
+    // Browser back/forward
+    window.addEventListener('popstate', () => {
+      this._applyRoute(Router.parse(location.hash));
+      this._restoringRoute = true;
+      this.store._notify();
+      this._restoringRoute = false;
+    });
+
+    // Theme
+    document.getElementById('themeToggle').addEventListener('click', () => this._toggleTheme());
+
+    // Sidebar toggle
+    document.getElementById('sidebarToggle').addEventListener('click', () => {
+      document.getElementById('sidebar').classList.toggle('collapsed');
+    });
+
+    // Dashboard / calendar nav
+    document.getElementById('navDashboard').addEventListener('click', () => this._navigateDashboard());
+    document.getElementById('navCalendar').addEventListener('click', () => this._navigateCalendar());
+    document.getElementById('navTrash').addEventListener('click', () => this._navigateView('trash'));
+    document.getElementById('navStorage').addEventListener('click', () => this._navigateView('storage'));
+    document.getElementById('navLibrary').addEventListener('click', () => this._navigateView('library'));
+
+    // Sidebar add folder
+    document.getElementById('addFolderBtnSidebar').addEventListener('click', () => this._openFolderModal());
+
+    // Folder modal
+    document.getElementById('folderModalClose').addEventListener('click', () => this._closeFolderModal());
+    document.getElementById('folderModalCancel').addEventListener('click', () => this._closeFolderModal());
+    document.getElementById('folderModalSave').addEventListener('click', () => this._saveFolder());
+    document.getElementById('folderNameInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveFolder();
+    });
+
+    // Folder color picker
+    document.getElementById('folderColorPicker').addEventListener('click', (e) => {
+      const swatch = e.target.closest('.color-swatch');
+      if (!swatch) return;
+      document.querySelectorAll('#folderColorPicker .color-swatch').forEach(s => s.classList.remove('selected'));
+      swatch.classList.add('selected');
+    });
+
+    // Topic modal
+    document.getElementById('topicModalClose').addEventListener('click', () => this._closeTopicModal());
+    document.getElementById('topicModalCancel').addEventListener('click', () => this._closeTopicModal());
+    document.getElementById('topicModalSave').addEventListener('click', () => this._saveTopic());
+    document.getElementById('topicNameInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveTopic();
+    });
+
+    // Lesson modal
+    document.getElementById('lessonModalClose').addEventListener('click', () => this._closeLessonModal());
+    document.getElementById('lessonModalCancel').addEventListener('click', () => this._closeLessonModal());
+    document.getElementById('lessonModalSave').addEventListener('click', () => this._saveLesson());
+    document.getElementById('lessonTitleInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveLesson();
+    });
+
+    // File rename modal
+    document.getElementById('fileRenameModalClose').addEventListener('click', () => this._closeFileRenameModal());
+    document.getElementById('fileRenameModalCancel').addEventListener('click', () => this._closeFileRenameModal());
+    document.getElementById('fileRenameModalSave').addEventListener('click', () => this._saveFileRename());
+
+    // Task modal
+    document.getElementById('taskModalClose').addEventListener('click', () => this._closeTaskModal());
+    document.getElementById('taskModalCancel').addEventListener('click', () => this._closeTaskModal());
+    document.getElementById('taskModalSave').addEventListener('click', () => this._saveTask());
+    document.getElementById('taskTitleInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveTask();
+    });
+
+    // Vocabulary import and practice
+    document.getElementById('vocabImportModalClose').addEventListener('click', () => this._closeVocabImportModal());
+    document.getElementById('vocabImportModalCancel').addEventListener('click', () => this._closeVocabImportModal());
+    document.getElementById('vocabImportModalSave').addEventListener('click', () => this._saveVocabImport());
+    document.getElementById('vocabImportInput').addEventListener('input', () => this._updateVocabImportInfo());
+    document.getElementById('practiceModalClose').addEventListener('click', () => this._closePractice());
+    document.getElementById('practiceFooter').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-practice]');
+      if (btn) this._practiceAction(btn.dataset.practice);
+    });
+    document.getElementById('practiceDirection').addEventListener('change', (e) => {
+      localStorage.setItem('spanischapp-practice-direction', e.target.value);
+      e.target.blur(); // hand the keys back to the flashcards
+      if (!this._practice) return;
+      this._practice.direction = e.target.value;
+      this._practice.revealed = false;
+      this._renderPractice();
+    });
+
+    // Conjugation drills
+    document.getElementById('drillModalClose').addEventListener('click', () => this._closeDrillModal());
+    document.getElementById('drillModalCancel').addEventListener('click', () => this._closeDrillModal());
+    document.getElementById('drillModalSave').addEventListener('click', () => this._saveDrill());
+    document.getElementById('drillVerbsInput').addEventListener('input', () => this._updateDrillVerbsInfo());
+    document.getElementById('drillPresets').addEventListener('click', (e) => {
+      const btn = e.target.closest('.drill-preset');
+      if (!btn) return;
+      const input = document.getElementById('drillVerbsInput');
+      const { verbs } = this._parseVerbs(input.value);
+      const added = Conjugator.SETS[btn.dataset.set].verbs.filter(v => !verbs.includes(v));
+      input.value = [...verbs, ...added].join(', ');
+      this._updateDrillVerbsInfo();
+    });
+    document.getElementById('drillPracticeModalClose').addEventListener('click', () => this._closeDrill());
+    document.getElementById('drillPracticeFooter').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-drill]');
+      if (btn) this._drillAction(btn.dataset.drill);
+    });
+    document.getElementById('drillPracticeBody').addEventListener('click', (e) => {
+      const btn = e.target.closest('.drill-char');
+      const input = document.getElementById('drillAnswer');
+      if (!btn || !input || input.readOnly) return;
+      input.setRangeText(btn.dataset.char, input.selectionStart, input.selectionEnd, 'end');
+      input.focus();
+    });
+
+    // Duplicate modal
+    document.getElementById('duplicateModalClose').addEventListener('click', () => this._closeDuplicateModal());
+    document.getElementById('duplicateModalCancel').addEventListener('click', () => this._closeDuplicateModal());
+    document.getElementById('duplicateModalSave').addEventListener('click', () => this._saveDuplicate());
+
+    // Lesson templates
+    document.getElementById('templateModalClose').addEventListener('click', () => this._closeTemplateModal());
+    document.getElementById('templateModalCancel').addEventListener('click', () => this._closeTemplateModal());
+    document.getElementById('templateModalSave').addEventListener('click', () => this._saveTemplate());
+    document.getElementById('lessonTemplateSelect').addEventListener('change', () => this._applyTemplate(this._selectedTemplate()));
+    document.getElementById('lessonTemplateDelete').addEventListener('click', () => this._deleteTemplate());
+
+    // File tags modal
+    document.getElementById('fileTagsModalClose').addEventListener('click', () => this._closeFileTagsModal());
+    document.getElementById('fileTagsModalCancel').addEventListener('click', () => this._closeFileTagsModal());
+    document.getElementById('fileTagsModalSave').addEventListener('click', () => this._saveFileTags());
+    document.getElementById('fileTagsInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveFileTags();
+    });
+
+    // Tag suggestions in the edit modals
+    ['folder', 'topic', 'lesson', 'file'].forEach(prefix => {
+      document.getElementById(`${prefix}TagSuggestions`).addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-suggestion');
+        if (chip) this._addTagToInput(prefix, chip.dataset.tag);
+      });
+    });
+
+    // Attach from library
+    document.getElementById('attachModalClose').addEventListener('click', () => this._closeAttachModal());
+    document.getElementById('attachModalCancel').addEventListener('click', () => this._closeAttachModal());
+    document.getElementById('attachModalSave').addEventListener('click', () => this._saveAttach());
+    document.getElementById('attachSearchInput').addEventListener('input', (e) => {
+      const q = e.target.value.trim().toLowerCase();
+      document.querySelectorAll('#attachList .attach-item').forEach(item => {
+        item.classList.toggle('hidden', !!q && !item.dataset.text.includes(q));
+      });
+    });
+
+    // File versions
+    document.getElementById('versionModalClose').addEventListener('click', () => this._closeVersionModal());
+    document.getElementById('versionModalCancel').addEventListener('click', () => this._closeVersionModal());
+    document.getElementById('versionModalUpload').addEventListener('click', () => this._pickVersionFile(this._versionFileId));
+    document.getElementById('versionFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file && this._versionFileId) this._uploadVersion(this._versionFileId, file);
+    });
+    document.getElementById('versionList').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-index]');
+      if (!btn) return;
+      const index = Number(btn.dataset.index);
+      if (btn.classList.contains('version-preview-btn')) this._openVersion(index, 'view');
+      else if (btn.classList.contains('version-download-btn')) this._openVersion(index, 'download');
+      else if (btn.classList.contains('version-restore-btn')) this._restoreVersion(index);
+    });
+    document.getElementById('fileRenameInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveFileRename();
+    });
+
+    // Link modal
+    document.getElementById('linkModalClose').addEventListener('click', () => this._closeLinkModal());
+    document.getElementById('linkModalCancel').addEventListener('click', () => this._closeLinkModal());
+    document.getElementById('linkModalSave').addEventListener('click', () => this._saveLink());
+    document.getElementById('linkUrlInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveLink();
+    });
+
+    // Confirm modal
+    document.getElementById('confirmModalClose').addEventListener('click', () => this._closeConfirmModal());
+    document.getElementById('confirmModalCancel').addEventListener('click', () => this._closeConfirmModal());
+    document.getElementById('confirmModalConfirm').addEventListener('click', () => {
+      if (this._confirmCallback) this._confirmCallback();
+      this._closeConfirmModal();
+    });
+
+    // Backup export/import
+    document.getElementById('exportBackupBtn').addEventListener('click', () => this._exportBackup());
+    const backupFileInput = document.getElementById('backupFileInput');
+    document.getElementById('importBackupBtn').addEventListener('click', () => backupFileInput.click());
+    backupFileInput.addEventListener('change', () => {
+      const file = backupFileInput.files[0];
+      backupFileInput.value = '';
+      if (file) this._openBackupModal(file);
+    });
+    document.getElementById('backupModalClose').addEventListener('click', () => this._closeBackupModal());
+    document.getElementById('backupModalCancel').addEventListener('click', () => this._closeBackupModal());
+    document.getElementById('backupModalConfirm').addEventListener('click', () => this._importBackup());
+
+    // Sync between devices
+    document.getElementById('syncBtn').addEventListener('click', () => this._openSyncModal());
+    document.getElementById('syncModalClose').addEventListener('click', () => this._closeSyncModal());
+    document.getElementById('syncModalCancel').addEventListener('click', () => this._closeSyncModal());
+    document.getElementById('syncModalSave').addEventListener('click', () => this._saveSyncSettings());
+    document.getElementById('syncModalDisconnect').addEventListener('click', () => this._disconnectSync());
+    document.getElementById('syncConflictsBtn').addEventListener('click', () => {
+      this._closeSyncModal();
+      this._openConflictModal();
+    });
+    document.getElementById('conflictModalClose').addEventListener('click', () => this._closeConflictModal());
+    document.getElementById('conflictModalCancel').addEventListener('click', () => this._closeConflictModal());
+    document.getElementById('conflictModalSave').addEventListener('click', () => this._saveConflicts());
+    setInterval(() => this._runSync({ quiet: true }), Sync.INTERVAL);
+    window.addEventListener('online', () => this._runSync({ quiet: true }));
+
+    // Move modal
+    document.getElementById('moveModalClose').addEventListener('click', () => this._closeMoveModal());
+    document.getElementById('moveModalCancel').addEventListener('click', () => this._closeMoveModal());
+    document.getElementById('moveModalSave').addEventListener('click', () => this._saveMove());
+
+    // Package import
+    const packageFileInput = document.getElementById('packageFileInput');
+    document.getElementById('importPackageBtn').addEventListener('click', () => {
+      this._packageTargetId = null;
+      packageFileInput.click();
+    });
+    packageFileInput.addEventListener('change', () => {
+      const file = packageFileInput.files[0];
+      packageFileInput.value = '';
+      if (file) this._openPackageModal(file, this._packageTargetId);
+    });
+    document.getElementById('packageTargetSelect').addEventListener('change', () => this._updatePackageConflicts());
+    document.getElementById('packageModalClose').addEventListener('click', () => this._closePackageModal());
+    document.getElementById('packageModalCancel').addEventListener('click', () => this._closePackageModal());
+    document.getElementById('packageModalConfirm').addEventListener('click', () => this._importPackage());
+
+    // Directory import: sidebar button, or directories dropped anywhere
+    const dirImportInput = document.getElementById('dirImportInput');
+    document.getElementById('importDirectoryBtn').addEventListener('click', () => this._pickDirectory());
+    dirImportInput.addEventListener('change', () => {
+      const entries = DirectoryImport.fromFileList(dirImportInput.files);
+      dirImportInput.value = '';
+      this._openDirImport(entries);
+    });
+    const main = document.getElementById('mainContent');
+    main.addEventListener('dragover', (e) => {
+      if (!e.defaultPrevented && e.dataTransfer.types.includes('Files')) e.preventDefault();
+    });
+    main.addEventListener('drop', (e) => {
+      if (e.defaultPrevented || !e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      this._handleDrop(e.dataTransfer);
+    });
+    document.getElementById('dirImportStart').addEventListener('change', () => this._updateDirImport());
+    document.getElementById('dirImportModalClose').addEventListener('click', () => this._closeDirImportModal());
+    document.getElementById('dirImportCancel').addEventListener('click', () => this._closeDirImportModal());
+    document.getElementById('dirImportConfirm').addEventListener('click', () => this._confirmDirImport());
+
+    // Handout
+    document.getElementById('handoutModalClose').addEventListener('click', () => this._closeHandoutModal());
+    document.getElementById('handoutModalCancel').addEventListener('click', () => this._closeHandoutModal());
+    document.getElementById('handoutModalConfirm').addEventListener('click', () => this._createHandout());
+
+    // Search
+    const searchInput = document.getElementById('searchInput');
+    const searchClear = document.getElementById('searchClear');
+    let searchTimer;
+    searchInput.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      const val = searchInput.value.trim();
+      searchClear.classList.toggle('hidden', !val);
+      searchTimer = setTimeout(() => {
+        this.store.state.currentView = null;
+        this.store.state.currentFolderId = null;
+        this.store.state.currentTopicId = null;
+        this.store.state.currentLessonId = null;
+        this.store.state.previewFileId = null;
+        this.store.set('searchQuery', val);
+      }, 250);
+    });
+    searchClear.addEventListener('click', () => {
+      searchInput.value = '';
+      searchClear.classList.add('hidden');
+      this._navigateDashboard();
+    });
+
+    // Close modals on overlay
+    ['folderModal', 'topicModal', 'lessonModal', 'linkModal', 'fileRenameModal', 'fileTagsModal', 'taskModal', 'vocabImportModal', 'practiceModal', 'drillModal', 'drillPracticeModal', 'versionModal', 'attachModal', 'moveModal', 'duplicateModal', 'templateModal', 'backupModal', 'packageModal', 'dirImportModal', 'handoutModal', 'syncModal', 'conflictModal', 'confirmModal'].forEach(id => {
+      document.getElementById(id).addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) {
+          if (id === 'folderModal') this._closeFolderModal();
+          else if (id === 'topicModal') this._closeTopicModal();
+          else if (id === 'lessonModal') this._closeLessonModal();
+          else if (id === 'linkModal') this._closeLinkModal();
+          else if (id === 'fileRenameModal') this._closeFileRenameModal();
+          else if (id === 'fileTagsModal') this._closeFileTagsModal();
+          else if (id === 'taskModal') this._closeTaskModal();
+          else if (id === 'vocabImportModal') this._closeVocabImportModal();
+          else if (id === 'practiceModal') this._closePractice();
+          else if (id === 'drillModal') this._closeDrillModal();
+          else if (id === 'drillPracticeModal') this._closeDrill();
+          else if (id === 'versionModal') this._closeVersionModal();
+          else if (id === 'attachModal') this._closeAttachModal();
+          else if (id === 'moveModal') this._closeMoveModal();
+          else if (id === 'duplicateModal') this._closeDuplicateModal();
+          else if (id === 'templateModal') this._closeTemplateModal();
+          else if (id === 'backupModal') this._closeBackupModal();
+          else if (id === 'packageModal') this._closePackageModal();
+          else if (id === 'dirImportModal') this._closeDirImportModal();
+          else if (id === 'handoutModal') this._closeHandoutModal();
+          else if (id === 'syncModal') this._closeSyncModal();
+          else if (id === 'conflictModal') this._closeConflictModal();
+          else this._closeConfirmModal();
+        }
+      });
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) outside of text fields and modals
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      const el = e.target;
+      if (el.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      if (document.querySelector('.modal-overlay:not(.hidden), .presentation:not(.hidden)')) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) this._redo();
+      else this._undo();
+    });
+
+    // Flashcards: Leertaste deckt auf, 1 = nicht gewusst, 2 = gewusst
+    document.addEventListener('keydown', (e) => {
+      if (!this._practice || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, button')) return;
+      const action = { ' ': 'reveal', Enter: 'reveal', 1: 'missed', ArrowLeft: 'missed', 2: 'known', ArrowRight: 'known' }[e.key];
+      if (!action) return;
+      e.preventDefault();
+      this._practiceAction(action);
+    });
+
+    // Conjugation drill: Enter checks the answer, then moves on
+    document.addEventListener('keydown', (e) => {
+      if (!this._drill || e.key !== 'Enter' || e.target.closest?.('button')) return;
+      e.preventDefault();
+      this._drillAction(this._drill.result ? 'next' : 'check');
+    });
+
+    // Presentation: arrow keys, Space, Page Up/Down, B (black screen),
+    // T (timer), F (fullscreen), P (presenter view)
+    const presentation = document.getElementById('presentation');
+    this._bindPresentationControls(presentation);
+    document.addEventListener('keydown', (e) => this._presentationKey(e));
+    // The controls fade out while the mouse rests
+    let hideControls = null;
+    presentation.addEventListener('mousemove', () => {
+      presentation.classList.remove('controls-hidden');
+      clearTimeout(hideControls);
+      hideControls = setTimeout(() => presentation.classList.add('controls-hidden'), 2500);
+    });
+    // PDF pages are rendered for the stage size
+    let resizeTimer = null;
+    const rerender = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => this._showSlide(), 200);
+    };
+    window.addEventListener('resize', rerender);
+    document.addEventListener('fullscreenchange', rerender);
+
+    // Escape closes modals
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this._closeFolderModal();
+        this._closeTopicModal();
+        this._closeLessonModal();
+        this._closeLinkModal();
+        this._closeFileRenameModal();
+        this._closeFileTagsModal();
+        this._closeTaskModal();
+        this._closeVocabImportModal();
+        this._closePractice();
+        this._closeDrillModal();
+        this._closeDrill();
+        this._closePresentation();
+        this._closeVersionModal();
+        this._closeAttachModal();
+        this._closeMoveModal();
+        this._closeDuplicateModal();
+        this._closeTemplateModal();
+        this._closeBackupModal();
+        this._closePackageModal();
+        this._closeDirImportModal();
+        this._closeHandoutModal();
+        this._closeSyncModal();
+        this._closeConflictModal();
+        this._closeConfirmModal();
+      }
+    });
+  }
+
+  /* ===== Dynamic Event Bindings ===== */
+  _bindDynamicEvents() {
+    const main = this.ui.mainContent;
+
+    // Breadcrumb navigation
+    main.querySelectorAll('.breadcrumb-item[data-nav]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const nav = btn.dataset.nav;
+        const id = btn.dataset.id ? Number(btn.dataset.id) : null;
+        if (nav === 'dashboard') this._navigateDashboard();
+        else if (nav === 'folder' && id) this._navigateFolder(id);
+        else if (nav === 'topic' && id) this._navigateTopic(id);
+      });
+    });
+
+    // Dashboard: folder card click
+    main.querySelectorAll('.topic-card[data-folder-id]').forEach(card => {
+      card.addEventListener('click', (e) => {
+        if (e.target.closest('.topic-card-btn')) return;
+        this._navigateFolder(Number(card.dataset.folderId));
+      });
+    });
+
+    // Dashboard: add folder card
+    const addFolderCard = document.getElementById('addFolderCard');
+    if (addFolderCard) addFolderCard.addEventListener('click', () => this._openFolderModal());
+
+    // Edit/delete folder buttons
+    main.querySelectorAll('.edit-folder-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openFolderModal(Number(btn.dataset.folderId));
+      });
+    });
+    main.querySelectorAll('.delete-folder-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = Number(btn.dataset.folderId);
+        const folder = this._allFolders.find(f => f.id === id);
+        this._openConfirmModal(
+          'Ordner löschen',
+          `Möchten Sie „${folder?.name}" mit allen Themen, Stunden und Dateien in den Papierkorb verschieben?`,
+          async () => {
+            const trashed = await this.db.trashItem('folders', id);
+            await this._loadAll();
+            if (this.store.get('currentFolderId') === id) this._navigateDashboard();
+            else this.store._notify();
+            if (trashed) this._record([this._trashChange('folders', trashed)], 'Ordner in den Papierkorb verschoben');
+          },
+          'In den Papierkorb'
+        );
+      });
+    });
+
+    // Folder detail: topic cards
+    main.querySelectorAll('.topic-card[data-topic-id]').forEach(card => {
+      card.addEventListener('click', (e) => {
+        if (e.target.closest('.topic-card-btn')) return;
+        this._navigateTopic(Number(card.dataset.topicId));
+      });
+    });
+
+    // Add topic button (in folder detail)
+    const addTopicBtn = document.getElementById('addTopicBtn');
+    if (addTopicBtn) addTopicBtn.addEventListener('click', () => this._openTopicModal());
+
+    // Package export / import (folder and topic detail)
+    main.querySelectorAll('.export-folder-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._exportPackage('folder', Number(btn.dataset.folderId)));
+    });
+    main.querySelectorAll('.export-topic-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._exportPackage('topic', Number(btn.dataset.topicId)));
+    });
+    main.querySelectorAll('.handout-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openHandoutModal(btn.dataset.kind, Number(btn.dataset.id)));
+    });
+    main.querySelectorAll('.present-lesson-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._startPresentation(Number(btn.dataset.lessonId)));
+    });
+    main.querySelectorAll('.import-package-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._packageTargetId = Number(btn.dataset.folderId);
+        document.getElementById('packageFileInput').click();
+      });
+    });
+
+    // Edit/delete topic buttons
+    main.querySelectorAll('.edit-topic-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openTopicModal(Number(btn.dataset.topicId));
+      });
+    });
+    main.querySelectorAll('.delete-topic-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = Number(btn.dataset.topicId);
+        const topic = this._allTopics.find(t => t.id === id);
+        this._openConfirmModal(
+          'Thema löschen',
+          `Möchten Sie „${topic?.name}" mit allen Stunden und Dateien in den Papierkorb verschieben?`,
+          async () => {
+            const trashed = await this.db.trashItem('topics', id);
+            await this._loadAll();
+            if (this.store.get('currentTopicId') === id) {
+              this.store.state.currentTopicId = null;
+              this.store.state.currentLessonId = null;
+            }
+            this.store._notify();
+            if (trashed) this._record([this._trashChange('topics', trashed)], 'Thema in den Papierkorb verschoben');
+          },
+          'In den Papierkorb'
+        );
+      });
+    });
+
+    // Stundenplan table: row click -> lesson detail
+    main.querySelectorAll('.sequence-table tbody tr[data-lesson-id]').forEach(row => {
+      row.addEventListener('click', (e) => {
+        if (e.target.closest('.table-action-btn')) return;
+        this._navigateLesson(Number(row.dataset.lessonId));
+      });
+    });
+
+    // Add lesson button
+    const addLessonBtn = document.getElementById('addLessonBtn');
+    if (addLessonBtn) addLessonBtn.addEventListener('click', () => this._openLessonModal());
+
+    // Lesson plan editor
+    main.querySelectorAll('.plan-tool').forEach(btn => {
+      // Keep the caret in the editor while the toolbar is clicked
+      btn.addEventListener('mousedown', (e) => e.preventDefault());
+      btn.addEventListener('click', () => this._planCommand(btn.dataset));
+    });
+    main.querySelectorAll('.plan-editor').forEach(editor => {
+      editor.addEventListener('input', () => this._schedulePlanSave());
+      editor.addEventListener('blur', () => { if (this._planTimer) this._savePlan(); });
+      editor.addEventListener('paste', (e) => {
+        e.preventDefault();
+        const html = e.clipboardData.getData('text/html');
+        if (html) document.execCommand('insertHTML', false, LessonPlan.sanitize(html));
+        else document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+      });
+    });
+
+    // Duplicate buttons (cards, table rows and detail headers)
+    for (const kind of ['folder', 'topic', 'lesson']) {
+      main.querySelectorAll(`.duplicate-${kind}-btn`).forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._openDuplicateModal(kind, Number(btn.dataset[`${kind}Id`]));
+        });
+      });
+    }
+    main.querySelectorAll('.save-template-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openTemplateModal(Number(btn.dataset.lessonId)));
+    });
+
+    // Edit/delete lesson buttons (table and detail view)
+    main.querySelectorAll('.edit-lesson-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openLessonModal(Number(btn.dataset.lessonId));
+      });
+    });
+    main.querySelectorAll('.delete-lesson-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = Number(btn.dataset.lessonId);
+        const lesson = this._allLessons.find(l => l.id === id);
+        this._openConfirmModal(
+          'Stunde löschen',
+          `Möchten Sie „${lesson?.title}" mit allen Dateien in den Papierkorb verschieben?`,
+          async () => {
+            const trashed = await this.db.trashItem('lessons', id);
+            await this._loadAll();
+            if (this.store.get('currentLessonId') === id) {
+              this.store.state.currentLessonId = null;
+            }
+            this.store._notify();
+            if (trashed) this._record([this._trashChange('lessons', trashed)], 'Stunde in den Papierkorb verschoben');
+          },
+          'In den Papierkorb'
+        );
+      });
+    });
+
+    // File actions
+    main.querySelectorAll('.preview-file-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.store.set('previewFileId', Number(btn.dataset.fileId));
+      });
+    });
+
+    main.querySelectorAll('.download-file-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const file = await this.db.getFile(Number(btn.dataset.fileId));
+        if (!file) return;
+        this._downloadFile(file);
+      });
+    });
+
+    main.querySelectorAll('.delete-file-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = Number(btn.dataset.fileId);
+        const file = this._allFiles.find(f => f.id === id);
+        const others = file ? this._fileLessons(file).length - 1 : 0;
+        this._openConfirmModal(
+          'Datei löschen',
+          `Möchten Sie „${file?.name}" in den Papierkorb verschieben?${others ? ` Sie verschwindet damit auch aus ${others} weiteren Stunde${others > 1 ? 'n' : ''}.` : ''}`,
+          async () => {
+            const trashed = await this.db.trashItem('files', id);
+            if (this.store.get('previewFileId') === id) this.store.state.previewFileId = null;
+            await this._loadAll();
+            this.store._notify();
+            if (trashed) this._record([this._trashChange('files', trashed)], 'Datei in den Papierkorb verschoben');
+          },
+          'In den Papierkorb'
+        );
+      });
+    });
+
+    // Library attachments
+    main.querySelectorAll('.unlink-file-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._unlinkFile(Number(btn.dataset.fileId), this.store.get('currentLessonId'));
+      });
+    });
+    const attachLibraryBtn = document.getElementById('attachLibraryBtn');
+    if (attachLibraryBtn) attachLibraryBtn.addEventListener('click', () => this._openAttachModal());
+    main.querySelectorAll('.library-lesson-link').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._navigateLesson(Number(btn.dataset.lessonId), Number(btn.dataset.fileId));
+      });
+    });
+    main.querySelectorAll('.library-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('.file-action-btn, .library-lesson-link')) return;
+        const file = this._allFiles.find(f => f.id === Number(item.dataset.fileId));
+        if (file && FileTypes.canPreview(file)) this._navigateLesson(file.lessonId, file.id);
+        else if (file) this._downloadFile(file);
+      });
+    });
+    ['libraryFilterText', 'libraryFilterKind', 'libraryFilterTag'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener(id === 'libraryFilterText' ? 'input' : 'change', () => this._filterLibrary());
+    });
+
+    // File versions
+    main.querySelectorAll('.upload-version-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._pickVersionFile(Number(btn.dataset.fileId));
+      });
+    });
+    main.querySelectorAll('.file-versions-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openVersionModal(Number(btn.dataset.fileId));
+      });
+    });
+
+    // Playback speed for audio/video previews
+    main.querySelectorAll('.playback-rate-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const media = document.getElementById('mediaPreview');
+        if (media) media.playbackRate = Number(btn.dataset.rate);
+        localStorage.setItem('spanischapp-playback-rate', btn.dataset.rate);
+        main.querySelectorAll('.playback-rate-btn').forEach(b => b.classList.toggle('active', b === btn));
+      });
+    });
+    const mediaPreview = document.getElementById('mediaPreview');
+    if (mediaPreview) mediaPreview.playbackRate = this._playbackRate();
+
+    // File item click (preview or download)
+    main.querySelectorAll('.file-item[data-file-id]').forEach(item => {
+      item.addEventListener('click', async (e) => {
+        if (e.target.closest('.file-action-btn, .file-versions-btn')) return;
+        if (item.classList.contains('library-item')) return;
+        const id = Number(item.dataset.fileId);
+        const file = this._allFiles.find(f => f.id === id) || await this.db.getFile(id);
+        if (!file) return;
+
+        if (FileTypes.canPreview(file)) {
+          this.store.set('previewFileId', id);
+        } else {
+          this._downloadFile(file);
+        }
+      });
+    });
+
+    // Close preview
+    const closePreview = document.getElementById('closePreview');
+    if (closePreview) closePreview.addEventListener('click', () => this.store.set('previewFileId', null));
+
+    // Inject DOCX preview content
+    const docxFrame = document.getElementById('docxPreviewFrame');
+    if (docxFrame && this.ui._pendingDocxHtml !== undefined) {
+      const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+      const bg = isDark ? '#1a1a2e' : '#ffffff';
+      const fg = isDark ? '#e2e8f0' : '#1a1a2e';
+      const bdr = isDark ? '#2d2d44' : '#dee2e6';
+      const tbl = isDark ? '#252540' : '#f8f9fa';
+      docxFrame.srcdoc = `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
+        body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;padding:2rem 3rem;background:${bg};color:${fg};line-height:1.7;max-width:860px;margin:0 auto}
+        *{max-width:100%;box-sizing:border-box}
+        h1,h2,h3,h4,h5,h6{margin:1.25rem 0 0.5rem;font-weight:600}
+        p{margin:0.5rem 0} ul,ol{padding-left:1.5rem;margin:0.5rem 0}
+        table{border-collapse:collapse;width:100%;margin:1rem 0}
+        td,th{border:1px solid ${bdr};padding:0.5rem 0.75rem}
+        th{background:${tbl};font-weight:600}
+        img{max-width:100%;height:auto} strong{font-weight:600}
+      </style></head><body>${this.ui._pendingDocxHtml}</body></html>`;
+      this.ui._pendingDocxHtml = undefined;
+    }
+
+    // Rename file buttons
+    main.querySelectorAll('.rename-file-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openFileRenameModal(Number(btn.dataset.fileId));
+      });
+    });
+
+    // Add link button
+    const addLinkBtn = document.getElementById('addLinkBtn');
+    if (addLinkBtn) addLinkBtn.addEventListener('click', () => this._openLinkModal());
+
+    // Delete link buttons
+    main.querySelectorAll('.delete-link-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._deleteLink(Number(btn.dataset.linkId));
+      });
+    });
+
+    // Vocabulary table (lesson detail) and practice buttons (lesson, topic, folder)
+    const vocabSection = document.getElementById('lessonVocab');
+    if (vocabSection) {
+      document.getElementById('importVocabBtn').addEventListener('click', () => this._openVocabImportModal());
+      vocabSection.querySelectorAll('tr[data-vocab-id] .vocab-input').forEach(el => {
+        el.addEventListener('change', () => this._updateVocab(Number(el.closest('tr').dataset.vocabId), el.dataset.field, el.value));
+      });
+      const newRow = vocabSection.querySelector('.vocab-new');
+      newRow.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        this._addVocab(newRow);
+      });
+      newRow.addEventListener('focusout', (e) => {
+        if (!newRow.contains(e.relatedTarget)) this._addVocab(newRow);
+      });
+      // A pasted table (several cells or lines) becomes several entries
+      vocabSection.querySelectorAll('input.vocab-input').forEach(el => {
+        el.addEventListener('paste', (e) => {
+          const text = e.clipboardData.getData('text/plain');
+          if (!/[\t\n]/.test(text.trim())) return;
+          e.preventDefault();
+          this._importVocab(Number(vocabSection.dataset.lessonId), Vocab.parse(text));
+        });
+      });
+      vocabSection.querySelectorAll('.delete-vocab-btn').forEach(btn => {
+        btn.addEventListener('click', () => this._deleteVocab(Number(btn.dataset.vocabId)));
+      });
+    }
+    main.querySelectorAll('.practice-vocab-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openPractice(btn.dataset.scope, Number(btn.dataset.id)));
+    });
 
-    // Lesson info card
-    const infoHTML = `
-      <div class="lesson-info">
-        <div class="lesson-info-row">
-          <span class="lesson-info-label">Titel:</span>
-          <span class="lesson-info-value">${this._esc(lesson.title)}</span>
-        </div>
-        ${lesson.date ? `<div class="lesson-info-row">
-          <span class="lesson-info-label">Datum:</span>
-          <span class="lesson-info-value">${this._formatDateISO(lesson.date)}</span>
-        </div>` : ''}
-        ${lesson.description ? `<div class="lesson-info-row">
-          <span class="lesson-info-label">Beschreibung:</span>
-          <span class="lesson-info-value">${this._esc(lesson.description)}</span>
-        </div>` : ''}
-      </div>`;
+    // Conjugation drills
+    const addDrillBtn = document.getElementById('addDrillBtn');
+    if (addDrillBtn) addDrillBtn.addEventListener('click', () => this._openDrillModal());
+    main.querySelectorAll('.practice-drill-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openDrill(Number(btn.dataset.drillId)));
+    });
+    main.querySelectorAll('.worksheet-drill-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._createWorksheet(Number(btn.dataset.drillId)));
+    });
+    main.querySelectorAll('.edit-drill-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openDrillModal(Number(btn.dataset.drillId)));
+    });
+    main.querySelectorAll('.delete-drill-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._deleteDrill(Number(btn.dataset.drillId)));
+    });
 
-    // File list
-    const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-    const fileListHTML = files.length ? files.map(f => {
-      const isPdf = f.type === 'application/pdf';
-      const isDocx = f.type === DOCX_TYPE;
-      const canPreview = isPdf || isDocx;
-      const ext = isPdf ? 'PDF' : (isDocx ? 'DOCX' : 'DOC');
-      const iconClass = isPdf ? 'pdf' : 'word';
-      return `
-        <div class="file-item" data-file-id="${f.id}">
-          <div class="file-icon ${iconClass}">${ext}</div>
-          <div class="file-info">
-            <div class="file-name">${this._esc(f.name)}</div>
-            <div class="file-meta">${this._formatSize(f.size)} · ${this._formatDate(f.uploadedAt)}</div>
-          </div>
-          <div class="file-actions">
-            ${canPreview ? `<button class="file-action-btn preview-file-btn" data-file-id="${f.id}" title="Vorschau">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
-            </button>` : ''}
-            <button class="file-action-btn rename-file-btn" data-file-id="${f.id}" title="Umbenennen">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
-            </button>
-            <button class="file-action-btn download-file-btn" data-file-id="${f.id}" title="Herunterladen">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
-            </button>
-            <button class="file-action-btn danger delete-file-btn" data-file-id="${f.id}" title="Löschen">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
-            </button>
-          </div>
-        </div>`;
-    }).join('') : `
-      <div class="empty-state">
-        <span class="empty-state-icon">📄</span>
-        <div class="empty-state-title">Keine Dateien vorhanden</div>
-        <p class="empty-state-text">Ziehen Sie PDF- oder Word-Dateien hierher oder klicken Sie auf die Fläche oben.</p>
-      </div>`;
+    // Tasks (lesson detail and dashboard widget)
+    const addTaskBtn = document.getElementById('addTaskBtn');
+    if (addTaskBtn) addTaskBtn.addEventListener('click', () => this._openTaskModal());
+    main.querySelectorAll('.task-check').forEach(cb => {
+      cb.addEventListener('change', () => this._toggleTask(Number(cb.dataset.lessonId), Number(cb.dataset.taskId), cb.checked));
+    });
+    main.querySelectorAll('.edit-task-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._openTaskModal(Number(btn.dataset.taskId)));
+    });
+    main.querySelectorAll('.delete-task-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._deleteTask(Number(btn.dataset.taskId)));
+    });
+    main.querySelectorAll('.task-lesson-link, .vocab-lesson-link').forEach(btn => {
+      btn.addEventListener('click', () => this._navigateLesson(Number(btn.dataset.lessonId)));
+    });
+    main.querySelectorAll('.task-file').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const file = this._allFiles.find(f => f.id === Number(btn.dataset.fileId));
+        if (!file) return;
+        if (FileTypes.canPreview(file)) this.store.set('previewFileId', file.id);
+        else this._downloadFile(file);
+      });
+    });
 
-    // Preview
-    let previewHTML = '';
-    if (previewData) {
-      const { type, name, fileId } = previewData;
-      const headerBtns = `
-        <div class="file-preview-actions">
-          <button class="file-action-btn rename-file-btn" data-file-id="${fileId}" title="Umbenennen">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
-          </button>
-          <button class="file-action-btn danger delete-file-btn" data-file-id="${fileId}" title="Löschen">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
-          </button>
-          <button class="file-preview-close" id="closePreview" title="Schließen">
-            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
-          </button>
-        </div>`;
-      if (type === 'pdf') {
-        previewHTML = `
-          <div class="file-preview">
-            <div class="file-preview-header">
-              <span class="file-preview-title">${this._esc(name)}</span>
-              ${headerBtns}
-            </div>
-            <div class="file-preview-body"><iframe src="${previewData.url}"></iframe></div>
-          </div>`;
-      } else if (type === 'docx') {
-        this._pendingDocxHtml = previewData.html;
-        previewHTML = `
-          <div class="file-preview">
-            <div class="file-preview-header">
-              <span class="file-preview-title">${this._esc(name)}</span>
-              ${headerBtns}
-            </div>
-            <div class="file-preview-body"><iframe id="docxPreviewFrame" sandbox="allow-same-origin"></iframe></div>
-          </div>`;
-      } else if (type === 'error') {
-        previewHTML = `
-          <div class="file-preview">
-            <div class="file-preview-header">
-              <span class="file-preview-title">${this._esc(name)}</span>
-              ${headerBtns}
-            </div>
-            <div class="file-preview-body" style="display:flex;align-items:center;justify-content:center;">
-              <p style="color:var(--text-muted)">Vorschau nicht verfügbar. Bitte herunterladen.</p>
-            </div>
-          </div>`;
-      }
+    // Calendar: paging, modes, entries and drag-to-reschedule
+    main.querySelectorAll('.calendar-step-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._stepCalendar(Number(btn.dataset.step)));
+    });
+    main.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._navigateCalendar(btn.dataset.mode));
+    });
+    main.querySelectorAll('.calendar-entry[data-lesson-id]').forEach(entry => {
+      entry.addEventListener('click', () => this._navigateLesson(Number(entry.dataset.lessonId)));
+      entry.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', entry.dataset.lessonId);
+        e.dataTransfer.effectAllowed = 'move';
+        entry.classList.add('dragging');
+      });
+      entry.addEventListener('dragend', () => entry.classList.remove('dragging'));
+    });
+    main.querySelectorAll('.calendar-day[data-date], .calendar-undated').forEach(cell => {
+      cell.addEventListener('dragover', (e) => { e.preventDefault(); cell.classList.add('dragover'); });
+      cell.addEventListener('dragleave', () => cell.classList.remove('dragover'));
+      cell.addEventListener('drop', (e) => {
+        e.preventDefault();
+        cell.classList.remove('dragover');
+        const lessonId = Number(e.dataTransfer.getData('text/plain'));
+        if (lessonId) this._moveLessonToDate(lessonId, cell.dataset.date || null);
+      });
+    });
+
+    // Papierkorb
+    main.querySelectorAll('.restore-trash-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._restoreTrashItem(btn.dataset.kind, Number(btn.dataset.id)));
+    });
+    main.querySelectorAll('.purge-trash-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._purgeTrashItem(btn.dataset.kind, Number(btn.dataset.id)));
+    });
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (emptyTrashBtn) emptyTrashBtn.addEventListener('click', () => this._emptyTrash());
+    const trashPurgeDays = document.getElementById('trashPurgeDays');
+    if (trashPurgeDays) {
+      trashPurgeDays.addEventListener('change', async () => {
+        localStorage.setItem('spanischapp-trash-days', trashPurgeDays.value);
+        await this._autoPurgeTrash();
+        this.store._notify();
+      });
     }
 
-    this.mainContent.innerHTML = `
-      ${bc}
-      <div class="topic-detail-header">
-        <div class="topic-detail-left">
-          <h2 class="topic-detail-title">${this._esc(lesson.title)}</h2>
-        </div>
-        <div class="topic-detail-right">
-          <button class="btn btn-secondary btn-sm edit-lesson-btn" data-lesson-id="${lesson.id}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
-            Bearbeiten
-          </button>
-          <button class="btn btn-danger btn-sm delete-lesson-btn" data-lesson-id="${lesson.id}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/></svg>
-            Löschen
-          </button>
-        </div>
-      </div>
+    // Move buttons (topics, lessons, files)
+    ['topic', 'lesson', 'file'].forEach(kind => {
+      main.querySelectorAll(`.move-${kind}-btn`).forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._openMoveModal(kind, Number(btn.dataset[`${kind}Id`]));
+        });
+      });
+    });
 
-      ${infoHTML}
+    // Drag & drop: reorder siblings and move items to other parents
+    [main, this.ui.sidebarFolders].forEach(root => {
+      root.querySelectorAll('[data-drag-kind]').forEach(el => {
+        el.addEventListener('dragstart', (e) => {
+          this._dragItem = { kind: el.dataset.dragKind, id: Number(el.dataset.dragId) };
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('application/x-spanischapp', el.dataset.dragKind);
+          el.classList.add('dragging');
+        });
+        el.addEventListener('dragend', () => {
+          el.classList.remove('dragging');
+          this._dragItem = null;
+          document.querySelectorAll('.drop-target').forEach(t => t.classList.remove('drop-target'));
+        });
+      });
+      root.querySelectorAll('[data-drop-kind]').forEach(el => {
+        const target = () => ({ kind: el.dataset.dropKind, id: Number(el.dataset.dropId) });
+        el.addEventListener('dragover', (e) => {
+          if (!this._dragItem || !this._dropPlan(this._dragItem, target())) return;
+          e.preventDefault();
+          e.stopPropagation();
+          el.classList.add('drop-target');
+        });
+        el.addEventListener('dragleave', () => el.classList.remove('drop-target'));
+        el.addEventListener('drop', (e) => {
+          el.classList.remove('drop-target');
+          const drag = this._dragItem;
+          const plan = drag && this._dropPlan(drag, target());
+          if (!plan) return;
+          e.preventDefault();
+          e.stopPropagation();
+          this._moveItem(drag.kind, drag.id, plan);
+        });
+      });
+    });
 
-      <div class="drop-zone" id="dropZone">
-        <span class="drop-zone-icon">📁</span>
-        <div class="drop-zone-text">Dateien hierher ziehen oder <strong>klicken</strong></div>
-        <div class="drop-zone-hint">PDF, DOC und DOCX werden unterstützt</div>
-        <input type="file" class="drop-zone-input" id="fileInput" accept=".pdf,.doc,.docx" multiple>
-      </div>
+    // Sidebar folder clicks
+    this.ui.sidebarFolders.querySelectorAll('.sidebar-folder-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._navigateFolder(Number(btn.dataset.folderId)));
+    });
 
-      <div class="file-list" id="fileList">${fileListHTML}</div>
+    // Sidebar topic clicks
+    this.ui.sidebarFolders.querySelectorAll('.sidebar-topic').forEach(btn => {
+      btn.addEventListener('click', () => this._navigateTopic(Number(btn.dataset.topicId)));
+    });
 
-      <div class="links-section">
-        <div class="links-section-header">
-          <span class="links-section-title">Links</span>
-          <button class="btn btn-secondary btn-sm" id="addLinkBtn">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
-            Link hinzufügen
-          </button>
-        </div>
-        <div class="link-list">${this._renderLinks(lesson.links || [])}</div>
-      </div>
+    // Tag cloud and tag chips: show everything carrying the tag
+    [main, this.ui.sidebarTags].forEach(root => {
+      root.querySelectorAll('.sidebar-tag, .tag-chip:not(.tag-suggestion)').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._searchTag(btn.dataset.tag);
+        });
+      });
+    });
+    main.querySelectorAll('.tag-file-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._openFileTagsModal(Number(btn.dataset.fileId));
+      });
+    });
 
-      ${previewHTML}`;
+    // Search result navigation
+    main.querySelectorAll('.search-topic-card[data-topic-id]').forEach(card => {
+      card.addEventListener('click', () => this._navigateTopic(Number(card.dataset.topicId)));
+    });
+    main.querySelectorAll('.search-lesson-item[data-lesson-id]').forEach(item => {
+      item.addEventListener('click', () => this._navigateLesson(Number(item.dataset.lessonId)));
+    });
+    main.querySelectorAll('.search-file-item[data-lesson-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        const lessonId = Number(item.dataset.lessonId);
+        const fileId = Number(item.dataset.fileId);
+        const file = this._allFiles.find(f => f.id === fileId);
+        this._navigateLesson(lessonId, file && FileTypes.canPreview(file) ? fileId : null);
+      });
+    });
+    main.querySelectorAll('.storage-file-item').forEach(item => {
+      item.addEventListener('click', () => this._navigateLesson(Number(item.dataset.lessonId), Number(item.dataset.fileId)));
+    });
+    const persistStorageBtn = document.getElementById('persistStorageBtn');
+    if (persistStorageBtn) {
+      persistStorageBtn.addEventListener('click', async () => {
+        const granted = await this._requestPersistence();
+        this.ui.showToast(granted ? 'Dauerhafter Speicher aktiviert' : 'Der Browser hat dauerhaften Speicher abgelehnt', granted ? 'success' : 'error');
+        if (granted) this.store._notify();
+      });
+    }
   }
 
-  /* ---- Search Results ---- */
-  renderSearchResults(query, folders, topics, lessons, files, allFolders, allTopics) {
-    const noResults = !folders.length && !topics.length && !lessons.length && !files.length;
+  /* ===== Library (Materialien) ===== */
+  // A file lives in its home lesson (lessonId) and can be attached to more
+  // lessons by reference through linkedLessonIds.
+  _fileLessons(file) {
+    const live = new Set(this._allLessons.map(l => l.id));
+    return [file.lessonId, ...(file.linkedLessonIds || [])].filter(id => live.has(id));
+  }
 
-    const folderCards = folders.map(f => `
-      <div class="topic-card" data-folder-id="${f.id}" style="--card-color:${f.color}">
-        <div class="topic-card-header"><div class="topic-card-name">${this._esc(f.name)}</div></div>
-        <div class="topic-card-meta"><span style="font-size:0.8rem;color:var(--text-muted)">Ordner</span></div>
-      </div>`).join('');
+  _lessonFiles(lessonId) {
+    return this._allFiles.filter(f => f.lessonId === lessonId || f.linkedLessonIds?.includes(lessonId));
+  }
 
-    const topicCards = topics.map(t => {
-      const folder = allFolders.find(f => f.id === t.folderId);
-      return `<div class="topic-card search-topic-card" data-topic-id="${t.id}" data-folder-id="${t.folderId}" style="--card-color:${folder?.color || '#868e96'}">
-        <div class="topic-card-header"><div class="topic-card-name">${this._esc(t.name)}</div></div>
-        <div class="topic-card-meta"><span style="font-size:0.8rem;color:var(--text-muted)">${folder ? this._esc(folder.name) : ''} › Thema</span></div>
-      </div>`;
-    }).join('');
+  _lessonPath(lessonId) {
+    return this._filePath({ lessonId });
+  }
 
-    const lessonItems = lessons.map(l => {
-      const topic = allTopics.find(t => t.id === l.topicId);
-      const folder = topic ? allFolders.find(f => f.id === topic.folderId) : null;
-      return `<div class="file-item search-lesson-item" data-lesson-id="${l.id}" data-topic-id="${l.topicId}" data-folder-id="${folder?.id || ''}">
-        <div class="file-icon" style="background:var(--gold-light);color:var(--gold);font-size:0.9rem">📝</div>
-        <div class="file-info">
-          <div class="file-name">${this._esc(l.title)}</div>
-          <div class="file-meta">${folder ? this._esc(folder.name) + ' › ' : ''}${topic ? this._esc(topic.name) : ''} · ${l.date ? this._formatDateISO(l.date) : '—'}</div>
-        </div>
-      </div>`;
-    }).join('');
+  _renderLibraryView() {
+    const entries = [...this._allFiles]
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+      .map(file => ({ file, usedIn: this._fileLessons(file).map(lessonId => ({ lessonId, path: this._lessonPath(lessonId) })) }));
+    const tags = [...new Set(this._allFiles.flatMap(f => f.tags || []))].sort((a, b) => a.localeCompare(b, 'de'));
+    this.ui.renderLibrary(entries, tags);
+  }
 
-    const fileItems = files.map(f => {
-      const isPdf = f.type === 'application/pdf';
-      return `<div class="file-item search-file-item" data-file-id="${f.id}" data-lesson-id="${f.lessonId}">
-        <div class="file-icon ${isPdf ? 'pdf' : 'word'}">${isPdf ? 'PDF' : 'DOC'}</div>
-        <div class="file-info">
-          <div class="file-name">${this._esc(f.name)}</div>
-          <div class="file-meta">${this._formatSize(f.size)} · ${this._formatDate(f.uploadedAt)}</div>
-        </div>
-      </div>`;
-    }).join('');
+  // Filters the rendered list in place so the text field keeps its focus.
+  _filterLibrary() {
+    const text = document.getElementById('libraryFilterText').value.trim().toLowerCase();
+    const kind = document.getElementById('libraryFilterKind').value;
+    const tag = document.getElementById('libraryFilterTag')?.value || '';
+    let visible = 0;
+    document.querySelectorAll('#libraryList .library-item').forEach(item => {
+      const show = (!text || item.dataset.text.includes(text))
+        && (!kind || item.dataset.kind === kind)
+        && (!tag || item.dataset.tags.split('\n').includes(tag));
+      item.classList.toggle('hidden', !show);
+      if (show) visible++;
+    });
+    document.getElementById('libraryEmpty')?.classList.toggle('hidden', visible > 0);
+  }
 
-    this.mainContent.innerHTML = `
-      <div class="dashboard-header">
-        <h2 class="dashboard-title">Suchergebnisse für „${this._esc(query)}"</h2>
-        <p class="dashboard-subtitle">${folders.length + topics.length + lessons.length + files.length} Treffer</p>
-      </div>
-      ${noResults ? `<div class="empty-state">
-        <span class="empty-state-icon">🔍</span>
-        <div class="empty-state-title">Keine Ergebnisse</div>
-        <p class="empty-state-text">Versuchen Sie es mit einem anderen Suchbegriff.</p>
-      </div>` : ''}
-      ${folders.length ? `<h3 style="margin-bottom:0.75rem;font-size:1rem">Ordner</h3><div class="dashboard-grid" style="margin-bottom:1.5rem">${folderCards}</div>` : ''}
-      ${topics.length ? `<h3 style="margin-bottom:0.75rem;font-size:1rem">Themen</h3><div class="dashboard-grid" style="margin-bottom:1.5rem">${topicCards}</div>` : ''}
-      ${lessons.length ? `<h3 style="margin-bottom:0.75rem;font-size:1rem">Stunden</h3><div class="file-list" style="margin-bottom:1.5rem">${lessonItems}</div>` : ''}
-      ${files.length ? `<h3 style="margin-bottom:0.75rem;font-size:1rem">Dateien</h3><div class="file-list">${fileItems}</div>` : ''}
-    `;
+  _openAttachModal() {
+    const lessonId = this.store.get('currentLessonId');
+    if (!lessonId) return;
+    const entries = this._allFiles
+      .filter(f => !this._fileLessons(f).includes(lessonId))
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+      .map(file => ({ file, path: this._fileLessons(file).map(id => this._lessonPath(id)).join('; ') }));
+    this.ui.renderAttachList(entries);
+    document.getElementById('attachSearchInput').value = '';
+    document.getElementById('attachModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('attachSearchInput').focus(), 100);
   }
 
-  /* ---- Links ---- */
-  _renderLinks(links) {
-    if (!links.length) {
-      return `<div class="empty-state" style="padding:1.25rem 1rem">
-        <span style="font-size:1.5rem;opacity:0.5">🔗</span>
-        <p style="font-size:0.85rem;margin-top:0.3rem;color:var(--text-muted)">Noch keine Links hinzugefügt</p>
-      </div>`;
+  _closeAttachModal() {
+    document.getElementById('attachModal').classList.add('hidden');
+  }
+
+  async _saveAttach() {
+    const lessonId = this.store.get('currentLessonId');
+    const ids = [...document.querySelectorAll('#attachList input:checked')].map(cb => Number(cb.value));
+    this._closeAttachModal();
+    if (!lessonId || !ids.length) return;
+    const changes = [];
+    for (const id of ids) {
+      const file = this._allFiles.find(f => f.id === id);
+      if (!file) continue;
+      const before = structuredClone(file);
+      file.linkedLessonIds = [...(file.linkedLessonIds || []), lessonId];
+      await this.db.updateFile(file);
+      changes.push({ store: 'files', id, before, after: structuredClone(file) });
     }
-    return links.map(l => `
-      <div class="link-item">
-        <div class="link-icon">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>
-        </div>
-        <div class="link-info">
-          <div class="link-title">${this._esc(l.title || l.url)}</div>
-          <div class="link-url">${this._esc(l.url)}</div>
-        </div>
-        <div class="link-actions">
-          <a class="link-action-btn" href="${this._esc(l.url)}" target="_blank" rel="noopener noreferrer" title="Öffnen" onclick="event.stopPropagation()">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>
-          </a>
-          <button class="link-action-btn danger delete-link-btn" data-link-id="${l.id}" title="Löschen">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/></svg>
-          </button>
-        </div>
-      </div>`).join('');
+    await this._loadAll();
+    this.store._notify();
+    this._record(changes, `${changes.length} Datei${changes.length > 1 ? 'en' : ''} aus Materialien hinzugefügt`);
+  }
+
+  async _unlinkFile(fileId, lessonId) {
+    const file = this._allFiles.find(f => f.id === fileId);
+    if (!file || !file.linkedLessonIds?.includes(lessonId)) return;
+    const before = structuredClone(file);
+    file.linkedLessonIds = file.linkedLessonIds.filter(id => id !== lessonId);
+    await this.db.updateFile(file);
+    if (this.store.get('previewFileId') === fileId) this.store.state.previewFileId = null;
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'files', id: fileId, before, after: structuredClone(file) }], 'Datei aus dieser Stunde entfernt');
   }
 
-  /* ---- Toast ---- */
-  showToast(message, type = 'success') {
-    const icons = { success: '✓', error: '✕', info: 'ℹ' };
-    const toast = document.createElement('div');
-    toast.className = 'toast';
-    toast.innerHTML = `<span class="toast-icon">${icons[type] || icons.info}</span><span>${message}</span>`;
-    this.toastContainer.appendChild(toast);
-    setTimeout(() => {
-      toast.classList.add('fade-out');
-      toast.addEventListener('animationend', () => toast.remove());
-    }, 2500);
+  /* ===== Storage ===== */
+  async _renderStorageView() {
+    const pathOf = (f) => this._filePath(f);
+    const bySize = (a, b) => b.size - a.size;
+
+    // Folder › topic › lesson tree with summed file sizes
+    const lessonSize = {};
+    const fileSize = (f) => (f.size || 0) + (f.versions || []).reduce((s, v) => s + (v.size || 0), 0);
+    for (const f of this._allFiles) lessonSize[f.lessonId] = (lessonSize[f.lessonId] || 0) + fileSize(f);
+    const tree = this._allFolders.map(folder => {
+      const children = this._allTopics.filter(t => t.folderId === folder.id).map(topic => {
+        const lessons = this._allLessons.filter(l => l.topicId === topic.id)
+          .map(l => ({ name: l.title, size: lessonSize[l.id] || 0 }))
+          .filter(n => n.size).sort(bySize);
+        return { name: topic.name, size: lessons.reduce((s, n) => s + n.size, 0), children: lessons };
+      }).filter(n => n.size).sort(bySize);
+      return { name: folder.name, size: children.reduce((s, n) => s + n.size, 0), children };
+    }).filter(n => n.size).sort(bySize);
+
+    const total = this._allFiles.reduce((s, f) => s + fileSize(f), 0);
+    const liveIds = new Set(this._allFiles.map(f => f.id));
+    const trashSize = this._trashRecords.files.filter(f => !liveIds.has(f.id)).reduce((s, f) => s + fileSize(f), 0);
+    const stored = (await this.db.getBlobs()).reduce((s, b) => s + (b.size || 0), 0);
+    const largest = [...this._allFiles].sort(bySize).slice(0, 10).map(file => ({ file, path: pathOf(file) }));
+
+    const groups = new Map();
+    for (const f of this._allFiles) {
+      if (!f.hash) continue;
+      if (!groups.has(f.hash)) groups.set(f.hash, []);
+      groups.get(f.hash).push({ file: f, path: pathOf(f) });
+    }
+    const duplicates = [...groups.values()].filter(g => g.length > 1)
+      .map(files => ({ files, saved: (files[0].file.size || 0) * (files.length - 1) }))
+      .sort((a, b) => b.saved - a.saved);
+
+    this.ui.renderStorage({
+      estimate: await this._storageEstimate(),
+      persisted: navigator.storage?.persisted ? await navigator.storage.persisted() : null,
+      total, stored, trashSize, tree, largest, duplicates,
+    });
   }
 
-  /* ---- Helpers ---- */
-  _esc(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  _filePath(file) {
+    const lesson = this._allLessons.find(l => l.id === file.lessonId);
+    const topic = this._allTopics.find(t => t.id === lesson?.topicId);
+    const folder = this._allFolders.find(f => f.id === topic?.folderId);
+    return [folder?.name, topic?.name, lesson?.title].filter(Boolean).join(' › ');
   }
 
-  _formatDate(ts) {
-    if (!ts) return '—';
-    return new Date(ts).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  async _storageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return quota ? { usage, quota } : null;
+    } catch {
+      return null;
+    }
   }
 
-  _formatDateISO(dateStr) {
-    if (!dateStr) return '—';
-    const [y, m, d] = dateStr.split('-');
-    return `${d}.${m}.${y}`;
+  // Asks the browser not to evict our data under storage pressure. Browsers
+  // may grant this silently (installed or frequently used sites) or refuse.
+  async _requestPersistence() {
+    if (!navigator.storage?.persist) return false;
+    try {
+      if (await navigator.storage.persisted()) return true;
+      return await navigator.storage.persist();
+    } catch {
+      return false;
+    }
   }
 
-  _formatSize(bytes) {
-    if (!bytes) return '0 B';
-    const units = ['B', 'KB', 'MB', 'GB'];
-    let i = 0, size = bytes;
-    while (size >= 1024 && i < units.length - 1) { size /= 1024; i++; }
-    return `${size.toFixed(i > 0 ? 1 : 0)} ${units[i]}`;
+  /* ===== Papierkorb ===== */
+  _renderTrashView() {
+    const { folders, topics, lessons, files } = this._trashRecords;
+    const folderById = new Map(folders.map(f => [f.id, f]));
+    const topicById = new Map(topics.map(t => [t.id, t]));
+    const lessonById = new Map(lessons.map(l => [l.id, l]));
+    const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+    const entries = this._trash.map(({ kind, item }) => {
+      const lesson = kind === 'file' ? lessonById.get(item.lessonId) : (kind === 'lesson' ? item : null);
+      const topic = kind === 'topic' ? item : topicById.get(lesson?.topicId);
+      const folder = kind === 'folder' ? item : folderById.get(topic?.folderId);
+      const chain = { folder: [], topic: [folder], lesson: [folder, topic], file: [folder, topic, lesson] }[kind];
+      const path = chain.map(x => x?.name || x?.title).filter(Boolean).join(' › ');
+
+      // Everything that comes back with the item
+      let contents = '';
+      if (kind === 'folder' || kind === 'topic') {
+        const topicIds = new Set(kind === 'folder' ? topics.filter(t => t.folderId === item.id).map(t => t.id) : [item.id]);
+        const lessonIds = new Set(lessons.filter(l => topicIds.has(l.topicId)).map(l => l.id));
+        const fileCount = files.filter(f => lessonIds.has(f.lessonId)).length;
+        contents = [kind === 'folder' ? plural(topicIds.size, 'Thema', 'Themen') : '',
+          plural(lessonIds.size, 'Stunde', 'Stunden'), plural(fileCount, 'Datei', 'Dateien')].filter(Boolean).join(', ');
+      } else if (kind === 'lesson') {
+        contents = plural(files.filter(f => f.lessonId === item.id).length, 'Datei', 'Dateien');
+      }
+      return { kind, item, path, contents };
+    });
+    this.ui.renderTrash(entries, this._trashPurgeDays());
   }
 
-  _revokeBlobUrls() {
-    this._blobUrls.forEach(url => URL.revokeObjectURL(url));
-    this._blobUrls = [];
+  _trashPurgeDays() {
+    const saved = localStorage.getItem('spanischapp-trash-days');
+    return saved === null ? 30 : Number(saved);
   }
-}
 
-/* ===== App Controller ===== */
-class App {
-  constructor() {
-    this.db = new DB();
-    this.store = new Store();
-    this.ui = new UI();
-    this._editingFolderId = null;
-    this._editingTopicId = null;
-    this._editingLessonId = null;
-    this._confirmCallback = null;
-    this._linkLessonId = null;
-    this._renamingFileId = null;
-    // Caches
-    this._topicCounts = {};   // folderId -> topic count
-    this._lessonCounts = {};  // topicId -> lesson count
-    this._fileCounts = {};    // lessonId -> file count
-    this._allFolders = [];
-    this._allTopics = [];
-    this._allLessons = [];
-    this._allFiles = [];
+  _trashStore(kind) {
+    return { folder: 'folders', topic: 'topics', lesson: 'lessons', file: 'files' }[kind];
   }
 
-  async init() {
-    await this.db.open();
-    this._initTheme();
+  async _restoreTrashItem(kind, id) {
+    const entry = this._trash.find(e => e.kind === kind && e.item.id === id);
+    if (!entry) return;
+    await this.db.restoreItem(this._trashStore(kind), id);
     await this._loadAll();
-    this.store.subscribe(() => this._render());
-    this._bindEvents();
-    this._render();
+    this.store._notify();
+    const trashed = this._trashChange(this._trashStore(kind), entry.item);
+    this._record([{ ...trashed, before: trashed.after, after: trashed.before }],
+      `„${this.ui._esc(entry.item.name || entry.item.title)}" wiederhergestellt`);
+    if (kind === 'file') this._indexPendingFiles();
   }
 
-  /* ===== Theme ===== */
-  _initTheme() {
-    const saved = localStorage.getItem('spanischapp-theme');
-    if (saved) {
-      this.store.state.theme = saved;
-    } else {
-      this.store.state.theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  _purgeTrashItem(kind, id) {
+    const entry = this._trash.find(e => e.kind === kind && e.item.id === id);
+    if (!entry) return;
+    this._openConfirmModal(
+      'Endgültig löschen',
+      `„${entry.item.name || entry.item.title}" und alle enthaltenen Elemente werden unwiderruflich gelöscht.`,
+      async () => {
+        await this.db.purgeItem(this._trashStore(kind), id);
+        await this._loadAll();
+        this.store._notify();
+        this.ui.showToast('Endgültig gelöscht', 'success');
+      },
+      'Endgültig löschen'
+    );
+  }
+
+  _emptyTrash() {
+    this._openConfirmModal(
+      'Papierkorb leeren',
+      `Alle ${this._trash.length} Elemente im Papierkorb werden unwiderruflich gelöscht.`,
+      async () => {
+        for (const { kind, item } of this._trash) await this.db.purgeItem(this._trashStore(kind), item.id);
+        await this._loadAll();
+        this.store._notify();
+        this.ui.showToast('Papierkorb geleert', 'success');
+      },
+      'Endgültig löschen'
+    );
+  }
+
+  // Purges trash entries older than the configured number of days (0 = never).
+  async _autoPurgeTrash() {
+    const days = this._trashPurgeDays();
+    if (!days) return;
+    const cutoff = Date.now() - days * 86400000;
+    const expired = this._trash.filter(e => e.item.deletedAt < cutoff);
+    if (!expired.length) return;
+    try {
+      for (const { kind, item } of expired) await this.db.purgeItem(this._trashStore(kind), item.id);
+    } catch (err) {
+      console.error('Trash auto-purge failed:', err);
     }
-    document.documentElement.setAttribute('data-theme', this.store.get('theme'));
+    await this._loadAll();
   }
 
-  _toggleTheme() {
-    const next = this.store.get('theme') === 'light' ? 'dark' : 'light';
-    this.store.set('theme', next);
-    document.documentElement.setAttribute('data-theme', next);
-    localStorage.setItem('spanischapp-theme', next);
+  /* ===== Reorder & Move ===== */
+  _orderConfig(kind) {
+    return {
+      folder: { list: this._allFolders, store: 'folders', parentKey: null },
+      topic: { list: this._allTopics, store: 'topics', parentKey: 'folderId' },
+      lesson: { list: this._allLessons, store: 'lessons', parentKey: 'topicId' },
+      file: { list: this._allFiles, store: 'files', parentKey: 'lessonId' },
+    }[kind];
   }
 
-  /* ===== Data Loading ===== */
-  async _loadAll() {
-    const [folders, topics, lessons, files] = await Promise.all([
-      this.db.getFolders(),
-      this.db.getTopics(),
-      this.db.getLessons(),
-      this.db.getFiles(),
-    ]);
+  // What dropping `drag` on `target` means: same kind = place next to the
+  // target (after it when dragging downwards), parent kind = append there.
+  _dropPlan(drag, target) {
+    if (drag.kind === target.kind) {
+      if (drag.id === target.id) return null;
+      const { list, parentKey } = this._orderConfig(target.kind);
+      const t = list.find(x => x.id === target.id);
+      const d = list.find(x => x.id === drag.id);
+      if (!t || !d) return null;
+      const parentId = parentKey ? t[parentKey] : null;
+      const siblings = this._siblings(target.kind, parentId);
+      const from = siblings.indexOf(d);
+      const to = siblings.indexOf(t);
+      const beforeId = from >= 0 && from < to ? (siblings[to + 1]?.id ?? null) : t.id;
+      return { parentId, beforeId };
+    }
+    const parentKind = { topic: 'folder', lesson: 'topic', file: 'lesson' }[drag.kind];
+    return parentKind === target.kind ? { parentId: target.id, beforeId: null } : null;
+  }
 
-    folders.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
-    topics.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
-    lessons.sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id));
+  // Children of one parent in display order. Folders, topics and lessons
+  // are kept sorted by _loadAll; files are sorted with _compareFiles.
+  _siblings(kind, parentId) {
+    const { list, parentKey } = this._orderConfig(kind);
+    const siblings = list.filter(x => !parentKey || x[parentKey] === parentId);
+    return kind === 'file' ? siblings.sort((a, b) => this._compareFiles(a, b)) : siblings;
+  }
 
-    this._allFolders = folders;
-    this._allTopics = topics;
-    this._allLessons = lessons;
-    this._allFiles = files;
+  // Files arranged by drag & drop keep their `order`; files without one
+  // (new uploads) stay on top, newest first.
+  _compareFiles(a, b) {
+    if ((a.order == null) !== (b.order == null)) return a.order == null ? -1 : 1;
+    return a.order == null ? b.uploadedAt - a.uploadedAt : a.order - b.order;
+  }
 
-    this.store.state.folders = folders;
-    this.store.state.topics = topics;
-    this.store.state.lessons = lessons;
+  // Moves an item before `beforeId` (null = end) under `parentId` and
+  // renumbers `order` in both the old and the new sibling list. A file
+  // moved to another lesson drops its order and shows up there like a new
+  // upload.
+  async _moveItem(kind, id, { parentId = null, beforeId = null } = {}) {
+    const { list, store, parentKey } = this._orderConfig(kind);
+    const item = list.find(x => x.id === id);
+    if (!item) return;
+    const oldParent = parentKey ? item[parentKey] : null;
+    const newParent = parentKey ? (parentId ?? oldParent) : null;
+    const moved = newParent !== oldParent;
+    const before = new Map([[item, structuredClone(item)]]); // changed record -> snapshot
+
+    const renumber = (siblings) => siblings.forEach((x, i) => {
+      if (x.order === i) return;
+      if (!before.has(x)) before.set(x, structuredClone(x));
+      x.order = i;
+    });
 
-    // Counts
-    this._topicCounts = {};
-    for (const t of topics) {
-      this._topicCounts[t.folderId] = (this._topicCounts[t.folderId] || 0) + 1;
+    if (moved) {
+      item[parentKey] = newParent;
+      if (kind === 'file') {
+        delete item.order;
+        // A lesson the file was attached to becomes its home instead
+        if (item.linkedLessonIds?.includes(newParent)) item.linkedLessonIds = item.linkedLessonIds.filter(l => l !== newParent);
+      } else {
+        renumber(this._siblings(kind, oldParent));
+      }
+    }
+    if (kind !== 'file' || !moved) {
+      const siblings = this._siblings(kind, newParent).filter(x => x.id !== id);
+      const at = beforeId != null ? siblings.findIndex(x => x.id === beforeId) : -1;
+      siblings.splice(at < 0 ? siblings.length : at, 0, item);
+      renumber(siblings);
     }
 
-    this._lessonCounts = {};
-    for (const l of lessons) {
-      this._lessonCounts[l.topicId] = (this._lessonCounts[l.topicId] || 0) + 1;
+    const changes = [...before]
+      .map(([x, old]) => ({ store, id: x.id, before: old, after: structuredClone(x) }))
+      .filter(c => JSON.stringify(c.before) !== JSON.stringify(c.after));
+    if (!changes.length) return;
+
+    let failed = false;
+    try {
+      await this.db.putMany(store, [...before.keys()]);
+    } catch (err) {
+      console.error('Move failed:', err);
+      this.ui.showToast('Verschieben fehlgeschlagen', 'error');
+      failed = true;
     }
+    // Reload either way: the cached records were already mutated above
+    await this._loadAll();
+    this._deriveParents(this.store.state);
+    this.store._notify();
+    if (!failed) {
+      const labels = { topic: 'Thema', lesson: 'Stunde', file: 'Datei' };
+      this._record(changes, moved ? `${labels[kind]} verschoben` : 'Reihenfolge geändert');
+    }
+  }
 
-    this._fileCounts = {};
-    for (const f of files) {
-      this._fileCounts[f.lessonId] = (this._fileCounts[f.lessonId] || 0) + 1;
+  _openMoveModal(kind, id) {
+    const { list, parentKey } = this._orderConfig(kind);
+    const item = list.find(x => x.id === id);
+    if (!item) return;
+    this._moving = { kind, id };
+    const { label, html } = this._parentOptions(kind);
+    const select = document.getElementById('moveTargetSelect');
+
+    document.getElementById('moveModalItem').textContent = `„${item.name || item.title}"`;
+    document.getElementById('moveTargetLabel').textContent = label;
+    select.innerHTML = html;
+    select.value = String(item[parentKey]);
+    document.getElementById('moveModal').classList.remove('hidden');
+    setTimeout(() => select.focus(), 100);
+  }
+
+  // Label and <option>s for picking the parent of a topic, lesson or file
+  _parentOptions(kind) {
+    const esc = (str) => this.ui._esc(str);
+    const option = (value, label) => `<option value="${value}">${esc(label)}</option>`;
+    let label;
+    let html = '';
+    if (kind === 'topic') {
+      label = 'Zielordner';
+      html = this._allFolders.map(f => option(f.id, f.name)).join('');
+    } else if (kind === 'lesson') {
+      label = 'Zielthema';
+      html = this._allFolders.map(f => {
+        const topics = this._allTopics.filter(t => t.folderId === f.id);
+        return topics.length ? `<optgroup label="${this.ui._escAttr(f.name)}">${topics.map(t => option(t.id, t.name)).join('')}</optgroup>` : '';
+      }).join('');
+    } else {
+      label = 'Zielstunde';
+      html = this._allTopics.map(t => {
+        const folder = this._allFolders.find(f => f.id === t.folderId);
+        const lessons = this._allLessons.filter(l => l.topicId === t.id);
+        return lessons.length ? `<optgroup label="${this.ui._escAttr(`${folder?.name || ''} › ${t.name}`)}">${lessons.map(l => option(l.id, l.title)).join('')}</optgroup>` : '';
+      }).join('');
     }
+    return { label, html };
   }
 
-  /* ===== Rendering ===== */
-  async _render() {
-    const s = this.store.state;
+  _closeMoveModal() {
+    document.getElementById('moveModal').classList.add('hidden');
+    this._moving = null;
+  }
 
-    // Sidebar
-    this.ui.renderSidebar(this._allFolders, this._allTopics, this._lessonCounts, s);
-    this._updateNavActive();
+  async _saveMove() {
+    if (!this._moving) return;
+    const parentId = Number(document.getElementById('moveTargetSelect').value);
+    const { kind, id } = this._moving;
+    this._closeMoveModal();
+    if (parentId) await this._moveItem(kind, id, { parentId });
+  }
 
-    // Main content
-    if (s.searchQuery) {
-      this._renderSearch(s.searchQuery);
-    } else if (s.currentLessonId) {
-      await this._renderLessonView();
-    } else if (s.currentTopicId) {
-      this._renderTopicView();
-    } else if (s.currentFolderId) {
-      this._renderFolderView();
-    } else {
-      this.ui.renderDashboard(this._allFolders, this._topicCounts);
+  /* ===== Lesson Plan ===== */
+  _planCommand({ cmd, value, insert }) {
+    if (!document.activeElement?.classList.contains('plan-editor')) {
+      document.querySelector('#lessonPlan .plan-editor')?.focus();
     }
+    if (insert) document.execCommand('insertText', false, insert);
+    else if (cmd === 'table') document.execCommand('insertHTML', false, LessonPlan.tableHTML());
+    else if (cmd === 'formatBlock') document.execCommand(cmd, false, `<${value}>`);
+    else document.execCommand(cmd);
+    this._schedulePlanSave();
+  }
 
-    this._bindDynamicEvents();
+  _schedulePlanSave() {
+    clearTimeout(this._planTimer);
+    this._planTimer = setTimeout(() => this._savePlan(), 800);
+    const status = document.getElementById('planStatus');
+    if (status) status.textContent = 'Ungespeicherte Änderungen …';
   }
 
-  _renderFolderView() {
-    const folder = this._allFolders.find(f => f.id === this.store.get('currentFolderId'));
-    if (!folder) { this._navigateDashboard(); return; }
-    const topics = this._allTopics.filter(t => t.folderId === folder.id);
-    this.ui.renderFolderDetail(folder, topics, this._lessonCounts);
+  // Writes the editors back into lesson.plan without re-rendering, so the
+  // caret stays put. Typing has its own undo inside the editor, so autosaves
+  // stay out of the app's undo history.
+  async _savePlan() {
+    clearTimeout(this._planTimer);
+    this._planTimer = null;
+    const root = document.getElementById('lessonPlan');
+    const lesson = root && this._allLessons.find(l => l.id === Number(root.dataset.lessonId));
+    if (!lesson) return;
+    const plan = {};
+    root.querySelectorAll('.plan-editor').forEach(editor => {
+      const html = LessonPlan.sanitize(editor.innerHTML);
+      if (!LessonPlan.isEmpty({ html })) plan[editor.dataset.section] = html;
+    });
+    const status = document.getElementById('planStatus');
+    if (JSON.stringify(plan) === JSON.stringify(lesson.plan || {})) {
+      if (status && lesson.planUpdatedAt) status.textContent = 'Gespeichert';
+      return;
+    }
+    lesson.plan = plan;
+    lesson.planUpdatedAt = Date.now();
+    try {
+      await this.db.updateLesson(lesson);
+      if (status) status.textContent = `Gespeichert um ${new Date(lesson.planUpdatedAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+    } catch (err) {
+      console.error('Saving lesson plan failed:', err);
+      if (status) status.textContent = 'Speichern fehlgeschlagen';
+      this.ui.showToast('Stundenplanung konnte nicht gespeichert werden', 'error');
+    }
   }
 
-  _renderTopicView() {
-    const topic = this._allTopics.find(t => t.id === this.store.get('currentTopicId'));
-    if (!topic) { this._navigateDashboard(); return; }
-    const folder = this._allFolders.find(f => f.id === topic.folderId);
-    if (!folder) { this._navigateDashboard(); return; }
-    const lessons = this._allLessons.filter(l => l.topicId === topic.id);
-    this.ui.renderTopicDetail(folder, topic, lessons, this._fileCounts);
+  /* ===== Duplicate Modal ===== */
+  _openDuplicateModal(kind, id) {
+    const { list, parentKey } = this._orderConfig(kind);
+    const item = list.find(x => x.id === id);
+    if (!item) return;
+    this._duplicating = { kind, id };
+
+    const topics = kind === 'folder' ? this._allTopics.filter(t => t.folderId === id) : [];
+    const lessons = kind === 'lesson' ? [item]
+      : this._allLessons.filter(l => kind === 'topic' ? l.topicId === id : topics.some(t => t.id === l.topicId));
+    const fileCount = lessons.reduce((n, l) => n + (this._fileCounts[l.id] || 0), 0);
+    const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const parts = [];
+    if (kind === 'folder') parts.push(plural(topics.length, 'Thema', 'Themen'));
+    if (kind !== 'lesson') parts.push(plural(lessons.length, 'Stunde', 'Stunden'));
+    parts.push(plural(fileCount, 'Datei', 'Dateien'));
+    const name = item.name || item.title;
+
+    document.getElementById('duplicateModalInfo').textContent = `„${name}" mit ${parts.join(', ')} wird kopiert.`;
+    document.getElementById('duplicateNameInput').value = `${name} (Kopie)`;
+    document.getElementById('duplicateTargetGroup').classList.toggle('hidden', !parentKey);
+    if (parentKey) {
+      const { label, html } = this._parentOptions(kind);
+      const select = document.getElementById('duplicateTargetSelect');
+      document.getElementById('duplicateTargetLabel').textContent = label;
+      select.innerHTML = html;
+      select.value = String(item[parentKey]);
+    }
+    document.getElementById('duplicateShiftGroup').classList.toggle('hidden', !lessons.some(l => l.date));
+    document.getElementById('duplicateShiftInput').value = '0';
+    document.getElementById('duplicateShiftUnit').value = '7';
+    document.getElementById('duplicateModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('duplicateNameInput').select(), 100);
   }
 
-  async _renderLessonView() {
-    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
-    if (!lesson) { this._navigateDashboard(); return; }
-    const topic = this._allTopics.find(t => t.id === lesson.topicId);
-    if (!topic) { this._navigateDashboard(); return; }
-    const folder = this._allFolders.find(f => f.id === topic.folderId);
-    if (!folder) { this._navigateDashboard(); return; }
-    const files = this._allFiles.filter(f => f.lessonId === lesson.id);
-    files.sort((a, b) => b.uploadedAt - a.uploadedAt);
+  _closeDuplicateModal() {
+    document.getElementById('duplicateModal').classList.add('hidden');
+    this._duplicating = null;
+  }
 
-    // Prepare preview data (async for DOCX conversion)
-    let previewData = null;
-    const previewFileId = this.store.get('previewFileId');
-    if (previewFileId) {
-      const pf = files.find(f => f.id === previewFileId) || await this.db.getFile(previewFileId);
-      if (pf) {
-        this.ui._revokeBlobUrls();
-        if (pf.type === 'application/pdf') {
-          const url = URL.createObjectURL(pf.blob);
-          this.ui._blobUrls.push(url);
-          previewData = { type: 'pdf', url, name: pf.name, fileId: pf.id };
-        } else if (pf.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-          try {
-            const arrayBuffer = await pf.blob.arrayBuffer();
-            const result = await mammoth.convertToHtml({ arrayBuffer });
-            previewData = { type: 'docx', html: result.value, name: pf.name, fileId: pf.id };
-          } catch (err) {
-            console.error('DOCX preview failed:', err);
-            previewData = { type: 'error', name: pf.name, fileId: pf.id };
-          }
-        }
+  async _saveDuplicate() {
+    if (!this._duplicating) return;
+    const { kind, id } = this._duplicating;
+    const name = document.getElementById('duplicateNameInput').value.trim();
+    if (!name) { this.ui.showToast('Bitte einen Namen eingeben', 'error'); return; }
+    const { store, parentKey } = this._orderConfig(kind);
+    const parentId = parentKey ? Number(document.getElementById('duplicateTargetSelect').value) || undefined : undefined;
+    const dayOffset = Math.trunc(Number(document.getElementById('duplicateShiftInput').value) || 0)
+      * Number(document.getElementById('duplicateShiftUnit').value);
+    this._closeDuplicateModal();
+
+    try {
+      const changes = await this.db.duplicate(store, id, { parentId, name, dayOffset });
+      if (!changes) return;
+      await this._loadAll();
+      this.store._notify();
+      this._record(changes, `${{ folder: 'Ordner', topic: 'Thema', lesson: 'Stunde' }[kind]} dupliziert`);
+    } catch (err) {
+      console.error('Duplicate failed:', err);
+      this.ui.showToast('Duplizieren fehlgeschlagen', 'error');
+    }
+  }
+
+  /* ===== Lesson Templates ===== */
+  _openTemplateModal(lessonId) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson) return;
+    this._templateLessonId = lessonId;
+    document.getElementById('templateNameInput').value = lesson.title;
+    document.getElementById('templatePatternInput').value = lesson.title.replace(/^(Stunde\s*)\d+/i, '$1{n}');
+    this.ui.renderFileChecklist('templateFileList', this._lessonFiles(lessonId));
+    document.getElementById('templateModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('templateNameInput').select(), 100);
+  }
+
+  _closeTemplateModal() {
+    document.getElementById('templateModal').classList.add('hidden');
+    this._templateLessonId = null;
+  }
+
+  async _saveTemplate() {
+    const lesson = this._allLessons.find(l => l.id === this._templateLessonId);
+    if (!lesson) return;
+    const name = document.getElementById('templateNameInput').value.trim();
+    if (!name) { this.ui.showToast('Bitte einen Namen eingeben', 'error'); return; }
+    const pattern = document.getElementById('templatePatternInput').value.trim();
+    const ids = new Set([...document.querySelectorAll('#templateFileList input:checked')].map(cb => Number(cb.value)));
+    const files = this._lessonFiles(lesson.id).filter(f => ids.has(f.id))
+      .map(({ hash, name: fileName, type, size }) => ({ hash, name: fileName, type, size }));
+
+    await this.db.addTemplate({
+      name,
+      titlePattern: pattern || lesson.title,
+      description: lesson.description || null,
+      plan: structuredClone(lesson.plan || {}),
+      links: structuredClone(lesson.links || []),
+      tags: [...(lesson.tags || [])],
+      files,
+      createdAt: Date.now(),
+    });
+    this._closeTemplateModal();
+    await this._loadAll();
+    this.ui.showToast(`Vorlage „${this.ui._esc(name)}" gespeichert`, 'success');
+  }
+
+  _fillTemplateSelect() {
+    const select = document.getElementById('lessonTemplateSelect');
+    document.getElementById('lessonTemplateGroup').classList.toggle('hidden', !this._templates.length);
+    select.innerHTML = '<option value="">Ohne Vorlage</option>'
+      + this._templates.map(t => `<option value="${t.id}">${this.ui._esc(t.name)}</option>`).join('');
+    this._applyTemplate(null);
+  }
+
+  _selectedTemplate() {
+    const id = Number(document.getElementById('lessonTemplateSelect').value);
+    return this._templates.find(t => t.id === id) || null;
+  }
+
+  // Fills the lesson modal from a template; {n} in the title pattern becomes
+  // the number of the new lesson within its topic.
+  _applyTemplate(template) {
+    const info = document.getElementById('lessonTemplateInfo');
+    document.getElementById('lessonTemplateDelete').disabled = !template;
+    if (!template) { info.textContent = ''; return; }
+    const n = this._allLessons.filter(l => l.topicId === this.store.get('currentTopicId')).length + 1;
+    document.getElementById('lessonTitleInput').value = template.titlePattern.replaceAll('{n}', n);
+    document.getElementById('lessonDescInput').value = template.description || '';
+    this._fillTagInput('lesson', template.tags);
+    const parts = [];
+    if (template.files.length) parts.push(`${template.files.length} Datei${template.files.length === 1 ? '' : 'en'}`);
+    if (template.links.length) parts.push(`${template.links.length} Link${template.links.length === 1 ? '' : 's'}`);
+    info.textContent = parts.length ? `Übernimmt ${parts.join(' und ')} aus der Vorlage.` : '';
+  }
+
+  _deleteTemplate() {
+    const template = this._selectedTemplate();
+    if (!template) return;
+    this._openConfirmModal('Vorlage löschen', `Möchten Sie die Vorlage „${template.name}" löschen?`, async () => {
+      await this.db.deleteTemplate(template.id);
+      await this._loadAll();
+      this._fillTemplateSelect();
+      this.ui.showToast('Vorlage gelöscht', 'success');
+    });
+  }
+
+  /* ===== Calendar ===== */
+  _stepCalendar(step) {
+    if (!step) { this._navigateCalendar(undefined, null); return; }
+    const d = this.ui._parseISODate(this.store.get('calendarDate') || this._todayISO());
+    if (this.store.get('calendarMode') === 'month') d.setMonth(d.getMonth() + step, 1);
+    else d.setDate(d.getDate() + 7 * step);
+    this._navigateCalendar(undefined, this.ui._isoDate(d));
+  }
+
+  async _moveLessonToDate(lessonId, date) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson || (lesson.date || null) === date) return;
+    const before = structuredClone(lesson);
+    lesson.date = date;
+    let failed = false;
+    try {
+      await this.db.updateLesson(lesson);
+    } catch (err) {
+      console.error('Moving lesson date failed:', err);
+      this.ui.showToast('Verschieben fehlgeschlagen', 'error');
+      failed = true;
+    }
+    // Reload either way: the cached lesson was already changed above
+    await this._loadAll();
+    this.store._notify();
+    if (failed) return;
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }],
+      date ? `„${this.ui._esc(lesson.title)}" auf ${this.ui._formatDateISO(date)} verschoben` : 'Datum entfernt');
+  }
+
+  /* ===== Drop Zone ===== */
+  _bindDropZone() {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('fileInput');
+    if (!dropZone || !fileInput) return;
+
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('dragover'); });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('dragover');
+      this._handleDrop(e.dataTransfer);
+    });
+    fileInput.addEventListener('change', () => {
+      this._handleFiles(Array.from(fileInput.files));
+      fileInput.value = '';
+    });
+  }
+
+  // Dropped directories go through the directory import, plain files into
+  // the open lesson
+  _handleDrop(dataTransfer) {
+    const entries = DirectoryImport.entriesOf(dataTransfer);
+    if (entries.some(entry => entry.isDirectory)) this._openDirImport(DirectoryImport.fromEntries(entries));
+    else if (this.store.get('currentLessonId')) this._handleFiles(Array.from(dataTransfer.files));
+    else if (dataTransfer.files.length) this.ui.showToast('Dateien bitte in einer Stunde ablegen – ganze Verzeichnisse lassen sich überall hineinziehen', 'info');
+  }
+
+  // Every file type is stored; FileTypes decides later what can be previewed.
+  async _handleFiles(files) {
+    const lessonId = this.store.get('currentLessonId');
+    if (!lessonId || !files.length) return;
+
+    const incoming = files.reduce((sum, f) => sum + f.size, 0);
+    const estimate = await this._storageEstimate();
+    if (estimate && incoming > estimate.quota - estimate.usage) {
+      const free = this.ui._formatSize(Math.max(0, estimate.quota - estimate.usage));
+      this._openConfirmModal(
+        'Speicher fast voll',
+        `Die ausgewählten Dateien (${this.ui._formatSize(incoming)}) passen voraussichtlich nicht in den freien Speicher (${free}). Löschen Sie große Dateien unter „Speicher", leeren Sie den Papierkorb oder versuchen Sie es trotzdem.`,
+        () => this._storeFiles(lessonId, files),
+        'Trotzdem hochladen'
+      );
+      return;
+    }
+    await this._storeFiles(lessonId, files);
+  }
+
+  // Identical content is stored once: the blob of a file already in the
+  // library is shared, and one that already sits in this lesson is skipped.
+  // For files found in other lessons a toast offers to link those instead
+  // of keeping a separate copy.
+  async _storeFiles(lessonId, files) {
+    const changes = [];
+    const offers = []; // { copyId, knownId, name, where }
+    const library = [...this._allFiles];
+    for (const file of files) {
+      const type = FileTypes.mimeFor(file.name, file.type);
+      const blob = await this._readFileAsBlob(file, type);
+      const hash = await DB.contentHash(blob);
+      const known = library.filter(f => f.hash === hash);
+      if (known.some(f => f.lessonId === lessonId || f.linkedLessonIds?.includes(lessonId))) {
+        this.ui.showToast(`„${this.ui._esc(file.name)}" ist in dieser Stunde bereits vorhanden`, 'info');
+        continue;
+      }
+      try {
+        const rec = { lessonId, name: file.name, type, size: file.size, hash, uploadedAt: Date.now() };
+        const id = await this.db.addFile({ ...rec, blob });
+        changes.push({ store: 'files', id, before: null, after: { ...rec, id } });
+        if (known.length) offers.push({ copyId: id, knownId: known[0].id, name: file.name, where: this._filePath(known[0]) });
+        library.push({ lessonId, hash });
+      } catch (err) {
+        console.error('Upload failed:', err);
+        const full = err?.name === 'QuotaExceededError';
+        this.ui.showToast(full ? `Speicher voll – „${this.ui._esc(file.name)}" wurde nicht gespeichert` : `„${this.ui._esc(file.name)}" konnte nicht gespeichert werden`, 'error');
+        if (full) break;
+      }
+    }
+
+    if (changes.length) {
+      await this._loadAll();
+      this.store._notify();
+      this._record(changes, `${changes.length} Datei${changes.length > 1 ? 'en' : ''} hochgeladen`);
+      if (offers.length) {
+        const [{ name, where }] = offers;
+        const message = offers.length === 1
+          ? `„${this.ui._esc(name)}" ist bereits in der Bibliothek${where ? ` (${this.ui._esc(where)})` : ''} und wurde als Kopie gespeichert`
+          : `${offers.length} Dateien sind bereits in der Bibliothek und wurden als Kopie gespeichert`;
+        this.ui.showToast(message, 'info', { label: 'Stattdessen verknüpfen', onClick: () => this._linkInsteadOfCopy(lessonId, offers) });
       }
+      this._indexPendingFiles();
+    }
+  }
+
+  // Swaps uploaded copies for links to the library files with the same
+  // content; the copies go to the Papierkorb.
+  async _linkInsteadOfCopy(lessonId, offers) {
+    const changes = [];
+    try {
+      for (const { copyId, knownId } of offers) {
+        const known = this._allFiles.find(f => f.id === knownId);
+        if (!known || !this._allFiles.some(f => f.id === copyId) || this._fileLessons(known).includes(lessonId)) continue;
+        const trashed = await this.db.trashItem('files', copyId);
+        if (trashed) changes.push(this._trashChange('files', trashed));
+        const before = structuredClone(known);
+        known.linkedLessonIds = [...(known.linkedLessonIds || []), lessonId];
+        await this.db.updateFile(known);
+        changes.push({ store: 'files', id: known.id, before, after: structuredClone(known) });
+        if (this.store.get('previewFileId') === copyId) this.store.state.previewFileId = knownId;
+      }
+    } catch (err) {
+      console.error('Linking failed:', err);
+      this.ui.showToast('Verknüpfen fehlgeschlagen', 'error');
+    }
+    await this._loadAll();
+    this.store._notify();
+    if (changes.length) {
+      const n = changes.filter(c => !c.after.deletedAt).length;
+      this._record(changes, `${n} Datei${n > 1 ? 'en' : ''} mit Materialien verknüpft`);
+    }
+  }
+
+  /* ===== Directory Import ===== */
+  // reading resolves to DirectoryImport entries; large directories take a
+  // moment to walk.
+  async _openDirImport(reading) {
+    let entries;
+    try {
+      entries = await reading;
+    } catch (err) {
+      console.error('Directory read failed:', err);
+      this.ui.showToast('Das Verzeichnis konnte nicht gelesen werden', 'error');
+      return;
+    }
+    if (!entries.length) {
+      this.ui.showToast('Das Verzeichnis ist leer', 'info');
+      return;
     }
 
-    this.ui.renderLessonDetail(folder, topic, lesson, files, previewData);
-    this._bindDropZone();
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    const topic = this._allTopics.find(t => t.id === (lesson?.topicId ?? this.store.get('currentTopicId')));
+    const folder = this._allFolders.find(f => f.id === (topic?.folderId ?? this.store.get('currentFolderId')));
+    const options = [
+      ['root', 'Sammlung – Unterverzeichnisse werden Ordner'],
+      ['folder', 'Ordner'],
+      ...(folder ? [['topic', `Thema in „${folder.name}"`]] : []),
+      ...(topic ? [['lesson', `Stunde in „${topic.name}"`]] : []),
+      ...(lesson ? [['files', `Dateien in „${lesson.title}"`]] : []),
+    ];
+    const select = document.getElementById('dirImportStart');
+    select.innerHTML = options.map(([value, label]) => `<option value="${value}">${this.ui._esc(label)}</option>`).join('');
+
+    // The deepest open level, unless the directory is named like the
+    // open folder, topic or lesson itself
+    const tops = new Set(entries.map(e => (e.path[0] || '').trim().toLowerCase()));
+    const named = tops.size === 1 && [['lesson', lesson?.title], ['topic', topic?.name], ['folder', folder?.name]]
+      .find(([, name]) => name && tops.has(name.trim().toLowerCase()));
+    select.value = named ? named[0] : options[options.length - 1][0];
+
+    this._dirImport = { entries, target: { folder, topic, lesson } };
+    this._updateDirImport();
+    document.getElementById('dirImportModal').classList.remove('hidden');
   }
 
-  _renderSearch(query) {
-    const q = query.toLowerCase();
-    const folders = this._allFolders.filter(f => f.name.toLowerCase().includes(q));
-    const topics = this._allTopics.filter(t => t.name.toLowerCase().includes(q));
-    const lessons = this._allLessons.filter(l =>
-      l.title.toLowerCase().includes(q) || (l.description && l.description.toLowerCase().includes(q))
-    );
-    const files = this._allFiles.filter(f => f.name.toLowerCase().includes(q));
-    this.ui.renderSearchResults(query, folders, topics, lessons, files, this._allFolders, this._allTopics);
+  _updateDirImport() {
+    if (!this._dirImport) return;
+    const { entries, target } = this._dirImport;
+    const start = document.getElementById('dirImportStart').value;
+    const library = { folders: this._allFolders, topics: this._allTopics, lessons: this._allLessons };
+    const { folders, skipped } = DirectoryImport.plan(entries, { start, target, library });
+    this._dirImport.tree = { folders };
+    this._dirImport.skipped = skipped;
+    this.ui.renderDirImport(this._dirImport.tree, skipped);
   }
 
-  _updateNavActive() {
-    const nav = document.getElementById('navDashboard');
-    if (nav) {
-      const s = this.store.state;
-      nav.classList.toggle('active', !s.currentFolderId && !s.currentTopicId && !s.currentLessonId && !s.searchQuery);
-    }
+  _closeDirImportModal() {
+    document.getElementById('dirImportModal').classList.add('hidden');
+    this._dirImport = null;
   }
 
-  /* ===== Navigation Helpers ===== */
-  _navigateDashboard() {
-    this.store.state.currentFolderId = null;
-    this.store.state.currentTopicId = null;
-    this.store.state.currentLessonId = null;
-    this.store.state.previewFileId = null;
-    this.store.state.searchQuery = '';
-    this._clearSearch();
-    this.store._notify();
+  async _confirmDirImport() {
+    if (!this._dirImport?.tree) return;
+    const { tree, skipped } = this._dirImport;
+    const { size } = DirectoryImport.count(tree);
+    this._closeDirImportModal();
+
+    const estimate = await this._storageEstimate();
+    if (estimate && size > estimate.quota - estimate.usage) {
+      const free = this.ui._formatSize(Math.max(0, estimate.quota - estimate.usage));
+      this._openConfirmModal(
+        'Speicher fast voll',
+        `Das Verzeichnis (${this.ui._formatSize(size)}) passt voraussichtlich nicht in den freien Speicher (${free}). Löschen Sie große Dateien unter „Speicher", leeren Sie den Papierkorb oder versuchen Sie es trotzdem.`,
+        () => this._importDirectory(tree, skipped),
+        'Trotzdem importieren'
+      );
+      return;
+    }
+    await this._importDirectory(tree, skipped);
   }
 
-  _navigateFolder(folderId) {
-    this.store.state.currentFolderId = folderId;
-    this.store.state.currentTopicId = null;
-    this.store.state.currentLessonId = null;
-    this.store.state.previewFileId = null;
-    this.store.state.searchQuery = '';
-    this._clearSearch();
-    this.store._notify();
-  }
+  // Files are read and stored in batches of about DirectoryImport.BATCH_BYTES,
+  // each in its own transaction, so a large directory never has to fit into
+  // memory at once. A failed batch keeps the earlier ones; no undo step.
+  async _importDirectory(tree, skipped) {
+    this.ui.showToast('Verzeichnis wird importiert …', 'info');
+    const counts = { folders: 0, topics: 0, lessons: 0, files: 0, duplicates: 0, folderIds: [] };
+    try {
+      const files = [];
+      for (const folder of tree.folders) {
+        for (const topic of folder.topics) {
+          for (const lesson of topic.lessons) {
+            lesson.files = lesson.files.map(file => ({ name: file.name, type: FileTypes.mimeFor(file.name, file.type), size: file.size, source: file }));
+            files.push(...lesson.files);
+          }
+        }
+      }
+      for (let start = 0; start < files.length;) {
+        let end = start;
+        let bytes = 0;
+        while (end < files.length && (end === start || bytes + files[end].size <= DirectoryImport.BATCH_BYTES)) bytes += files[end++].size;
+        const batch = files.slice(start, end);
+        for (const file of batch) file.blob = await this._readFileAsBlob(file.source, file.type);
+        const added = await this.db.importTree(tree);
+        for (const file of batch) file.blob = null;
+        for (const key of ['folders', 'topics', 'lessons', 'files', 'duplicates']) counts[key] += added[key];
+        if (!start) counts.folderIds = added.folderIds;
+        start = end;
+      }
+      await this._loadAll();
 
-  _navigateTopic(topicId) {
-    const topic = this._allTopics.find(t => t.id === topicId);
-    if (!topic) return;
-    this.store.state.currentFolderId = topic.folderId;
-    this.store.state.currentTopicId = topicId;
-    this.store.state.currentLessonId = null;
-    this.store.state.previewFileId = null;
-    this.store.state.searchQuery = '';
-    this._clearSearch();
-    this.store._notify();
+      // Opens the lesson or topic that was filled, otherwise the folder
+      const topic = tree.folders[0].topics.length === 1 ? tree.folders[0].topics[0] : null;
+      const lesson = topic?.lessons.length === 1 ? topic.lessons[0] : null;
+      if (tree.folders.length > 1) this.store._notify();
+      else if (lesson?.id != null) this._navigateLesson(lesson.id);
+      else if (topic?.id != null) this._navigateTopic(topic.id);
+      else this._navigateFolder(counts.folderIds[0]);
+
+      const created = [
+        counts.folders ? `${counts.folders} Ordner` : '',
+        counts.topics ? `${counts.topics} ${counts.topics === 1 ? 'Thema' : 'Themen'}` : '',
+        counts.lessons ? `${counts.lessons} ${counts.lessons === 1 ? 'Stunde' : 'Stunden'}` : '',
+      ].filter(Boolean).join(', ');
+      this.ui.showToast(`${counts.files} ${counts.files === 1 ? 'Datei' : 'Dateien'} importiert${created ? ` (neu: ${created})` : ''}`, 'success');
+      const left = skipped.length + counts.duplicates;
+      if (left) this.ui.showToast(`${left} ${left === 1 ? 'Datei wurde' : 'Dateien wurden'} übersprungen${counts.duplicates ? `, davon ${counts.duplicates} bereits vorhanden` : ''}`, 'info');
+      this._indexPendingFiles();
+    } catch (err) {
+      console.error('Directory import failed:', err);
+      const full = err?.name === 'QuotaExceededError';
+      if (counts.folderIds.length) {
+        await this._loadAll();
+        this.ui.showToast(`${full ? 'Speicher voll' : 'Import abgebrochen'} – ${counts.files} ${counts.files === 1 ? 'Datei wurde' : 'Dateien wurden'} bereits importiert`, 'error');
+        this._indexPendingFiles();
+        return;
+      }
+      this.ui.showToast(full ? 'Speicher voll – es wurde nichts importiert' : 'Import fehlgeschlagen – es wurde nichts geändert', 'error');
+    }
   }
 
-  _navigateLesson(lessonId) {
-    const lesson = this._allLessons.find(l => l.id === lessonId);
-    if (!lesson) return;
-    const topic = this._allTopics.find(t => t.id === lesson.topicId);
-    if (!topic) return;
-    this.store.state.currentFolderId = topic.folderId;
-    this.store.state.currentTopicId = topic.id;
-    this.store.state.currentLessonId = lessonId;
-    this.store.state.previewFileId = null;
-    this.store.state.searchQuery = '';
-    this._clearSearch();
-    this.store._notify();
+  async _pickDirectory() {
+    if (!window.showDirectoryPicker) {
+      document.getElementById('dirImportInput').click();
+      return;
+    }
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker();
+    } catch {
+      return; // cancelled
+    }
+    this._openDirImport(DirectoryImport.fromHandle(handle));
   }
 
-  _clearSearch() {
-    const input = document.getElementById('searchInput');
-    const clear = document.getElementById('searchClear');
-    if (input) input.value = '';
-    if (clear) clear.classList.add('hidden');
-  }
+  /* ===== Full-Text Index ===== */
+  // Extracts text for every PDF/DOCX that has no index entry yet, one file
+  // at a time. Runs after uploads and once at startup as a backfill. Files
+  // that fail are tried once per pass.
+  async _indexPendingFiles({ announce = false } = {}) {
+    if (this._indexing) { this._indexAgain = true; return; }
+    this._indexing = true;
+    let indexed = 0;
+    const failed = new Set();
+    try {
+      do {
+        this._indexAgain = false;
+        const pending = this._allFiles.filter(f => TextExtractor.supports(f.type) &&
+          TextExtractor.available(f.type) && !this._fileTexts.has(f.id) && !failed.has(f.id));
+        for (const f of pending) {
+          let entry;
+          try {
+            const blob = await this.db.getBlob(f.hash);
+            if (!blob) throw new Error('Dateiinhalt fehlt');
+            const text = await TextExtractor.extract(blob, f.type);
+            entry = { fileId: f.id, text, version: TextExtractor.VERSION, extractedAt: Date.now() };
+          } catch (err) {
+            console.warn(`Text extraction failed for "${f.name}":`, err);
+            entry = { fileId: f.id, text: '', failed: true, version: TextExtractor.VERSION, extractedAt: Date.now() };
+          }
+          // Skip files deleted or replaced while we were extracting
+          if (!await this.db.putText(entry, f.hash)) continue;
+          if (entry.failed) {
+            failed.add(f.id);
+          } else {
+            this._fileTexts.set(f.id, entry.text);
+            this._normalizedTexts.delete(f.id);
+            indexed++;
+          }
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      } while (this._indexAgain);
+    } catch (err) {
+      console.error('Text indexing failed:', err);
+    } finally {
+      this._indexing = false;
+    }
 
-  /* ===== Static Event Bindings ===== */
-  _bindEvents() {
-    // Theme
-    document.getElementById('themeToggle').addEventListener('click', () => this._toggleTheme());
+    if (indexed && this.store.get('searchQuery')) this._render();
+    if (indexed && announce) this.ui.showToast(`${indexed} Datei${indexed > 1 ? 'en' : ''} für die Volltextsuche erfasst`, 'info');
+  }
 
-    // Sidebar toggle
-    document.getElementById('sidebarToggle').addEventListener('click', () => {
-      document.getElementById('sidebar').classList.toggle('collapsed');
+  _readFileAsBlob(file, type = file.type) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Blob([reader.result], { type }));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(file);
     });
+  }
 
-    // Dashboard nav
-    document.getElementById('navDashboard').addEventListener('click', () => this._navigateDashboard());
+  _playbackRate() {
+    const rate = Number(localStorage.getItem('spanischapp-playback-rate'));
+    return FileTypes.PLAYBACK_RATES.includes(rate) ? rate : 1;
+  }
 
-    // Sidebar add folder
-    document.getElementById('addFolderBtnSidebar').addEventListener('click', () => this._openFolderModal());
+  async _downloadFile(file) {
+    const blob = await this.db.getBlob(file.hash);
+    if (!blob) { this.ui.showToast(`Inhalt von „${this.ui._esc(file.name)}" fehlt`, 'error'); return; }
+    this._downloadBlob(blob, file.name);
+  }
 
-    // Folder modal
-    document.getElementById('folderModalClose').addEventListener('click', () => this._closeFolderModal());
-    document.getElementById('folderModalCancel').addEventListener('click', () => this._closeFolderModal());
-    document.getElementById('folderModalSave').addEventListener('click', () => this._saveFolder());
-    document.getElementById('folderNameInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this._saveFolder();
-    });
+  _downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    document.body.appendChild(a); a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    // Folder color picker
-    document.getElementById('folderColorPicker').addEventListener('click', (e) => {
-      const swatch = e.target.closest('.color-swatch');
-      if (!swatch) return;
-      document.querySelectorAll('#folderColorPicker .color-swatch').forEach(s => s.classList.remove('selected'));
-      swatch.classList.add('selected');
+  /* ===== Backup (Export / Import) ===== */
+  // Packs records plus their file blobs into a ZIP with a manifest.json.
+  _buildArchive(kind, data, extra = {}) {
+    const entries = [];
+    const files = data.files.map(({ blob, versions, ...meta }) => {
+      const path = `files/${meta.id}/${this._archiveName(meta.name)}`;
+      entries.push({ name: path, data: blob });
+      const kept = (versions || []).map(({ blob: vBlob, ...v }, i) => {
+        const vPath = `files/${meta.id}/versions/${i + 1}-${this._archiveName(v.name)}`;
+        entries.push({ name: vPath, data: vBlob });
+        return { ...v, path: vPath };
+      });
+      return { ...meta, path, ...(kept.length ? { versions: kept } : {}) };
     });
+    const manifest = {
+      app: 'SpanischApp',
+      format: 1,
+      kind,
+      ...extra,
+      exportedAt: new Date().toISOString(),
+      folders: data.folders,
+      topics: data.topics,
+      lessons: data.lessons,
+      files,
+    };
+    entries.unshift({ name: 'manifest.json', data: new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }) });
+    return Zip.create(entries);
+  }
 
-    // Topic modal
-    document.getElementById('topicModalClose').addEventListener('click', () => this._closeTopicModal());
-    document.getElementById('topicModalCancel').addEventListener('click', () => this._closeTopicModal());
-    document.getElementById('topicModalSave').addEventListener('click', () => this._saveTopic());
-    document.getElementById('topicNameInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this._saveTopic();
-    });
+  async _exportBackup() {
+    try {
+      const zip = await this._buildArchive('backup', await this.db.exportAll());
+      this._downloadBlob(zip, `SpanischApp-Sicherung-${this._todayISO()}.zip`);
+      this.ui.showToast('Sicherung exportiert', 'success');
+    } catch (err) {
+      console.error('Backup export failed:', err);
+      this.ui.showToast('Export fehlgeschlagen', 'error');
+    }
+  }
 
-    // Lesson modal
-    document.getElementById('lessonModalClose').addEventListener('click', () => this._closeLessonModal());
-    document.getElementById('lessonModalCancel').addEventListener('click', () => this._closeLessonModal());
-    document.getElementById('lessonModalSave').addEventListener('click', () => this._saveLesson());
-    document.getElementById('lessonTitleInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this._saveLesson();
-    });
+  // Reads an archive written by _buildArchive and reattaches the blobs.
+  async _readArchive(file) {
+    const entries = await Zip.read(file);
+    const manifestEntry = entries.get('manifest.json');
+    if (!manifestEntry) throw new Error('manifest.json fehlt');
+    const manifest = JSON.parse(await manifestEntry.text());
+    if (manifest.app !== 'SpanischApp' || !['folders', 'topics', 'lessons', 'files'].every(k => Array.isArray(manifest[k]))) {
+      throw new Error('Unbekanntes Sicherungsformat');
+    }
 
-    // File rename modal
-    document.getElementById('fileRenameModalClose').addEventListener('click', () => this._closeFileRenameModal());
-    document.getElementById('fileRenameModalCancel').addEventListener('click', () => this._closeFileRenameModal());
-    document.getElementById('fileRenameModalSave').addEventListener('click', () => this._saveFileRename());
-    document.getElementById('fileRenameInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this._saveFileRename();
+    let missing = 0;
+    const withBlob = ({ path, ...meta }) => {
+      const entry = entries.get(path);
+      return entry ? { ...meta, blob: new Blob([entry], { type: meta.type }) } : null;
+    };
+    manifest.files = manifest.files.flatMap(meta => {
+      const file = withBlob(meta);
+      if (!file) { missing++; return []; }
+      if (file.versions) file.versions = file.versions.map(withBlob).filter(Boolean);
+      return [file];
     });
+    return { data: manifest, missing };
+  }
 
-    // Link modal
-    document.getElementById('linkModalClose').addEventListener('click', () => this._closeLinkModal());
-    document.getElementById('linkModalCancel').addEventListener('click', () => this._closeLinkModal());
-    document.getElementById('linkModalSave').addEventListener('click', () => this._saveLink());
-    document.getElementById('linkUrlInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') this._saveLink();
-    });
+  async _openBackupModal(file) {
+    let backup;
+    try {
+      backup = await this._readArchive(file);
+    } catch (err) {
+      console.error('Backup read failed:', err);
+      this.ui.showToast('Ungültige Sicherungsdatei', 'error');
+      return;
+    }
+    if (backup.data.kind === 'package') {
+      this.ui.showToast('Dies ist ein Paket – bitte über „Paket importieren" einlesen', 'error');
+      return;
+    }
+    this._pendingBackup = backup;
+    const { data, missing } = backup;
+    const date = data.exportedAt ? new Date(data.exportedAt).toLocaleString('de-DE') : 'unbekannt';
+    document.getElementById('backupModalSummary').textContent =
+      `Sicherung vom ${date}: ${data.folders.length} Ordner, ${data.topics.length} Themen, ` +
+      `${data.lessons.length} Stunden, ${data.files.length} Dateien.` +
+      (missing ? ` ${missing} Datei${missing > 1 ? 'en fehlen' : ' fehlt'} im Archiv und wird übersprungen.` : '');
+    document.querySelector('input[name="backupMode"][value="merge"]').checked = true;
+    document.getElementById('backupModal').classList.remove('hidden');
+  }
 
-    // Confirm modal
-    document.getElementById('confirmModalClose').addEventListener('click', () => this._closeConfirmModal());
-    document.getElementById('confirmModalCancel').addEventListener('click', () => this._closeConfirmModal());
-    document.getElementById('confirmModalConfirm').addEventListener('click', () => {
-      if (this._confirmCallback) this._confirmCallback();
-      this._closeConfirmModal();
-    });
+  _closeBackupModal() {
+    document.getElementById('backupModal').classList.add('hidden');
+    this._pendingBackup = null;
+  }
 
-    // Search
-    const searchInput = document.getElementById('searchInput');
-    const searchClear = document.getElementById('searchClear');
-    let searchTimer;
-    searchInput.addEventListener('input', () => {
-      clearTimeout(searchTimer);
-      const val = searchInput.value.trim();
-      searchClear.classList.toggle('hidden', !val);
-      searchTimer = setTimeout(() => {
-        this.store.state.currentFolderId = null;
-        this.store.state.currentTopicId = null;
-        this.store.state.currentLessonId = null;
-        this.store.state.previewFileId = null;
-        this.store.set('searchQuery', val);
-      }, 250);
-    });
-    searchClear.addEventListener('click', () => {
-      searchInput.value = '';
-      searchClear.classList.add('hidden');
+  async _importBackup() {
+    if (!this._pendingBackup) return;
+    const replace = document.querySelector('input[name="backupMode"]:checked')?.value === 'replace';
+    const { data } = this._pendingBackup;
+    this._closeBackupModal();
+
+    try {
+      const counts = await this.db.importAll(data, { replace });
+      await this._loadAll();
       this._navigateDashboard();
-    });
+      this.ui.showToast(`${counts.folders} Ordner, ${counts.lessons} Stunden und ${counts.files} Dateien importiert`, 'success');
+    } catch (err) {
+      console.error('Backup import failed:', err);
+      this.ui.showToast('Import fehlgeschlagen – es wurde nichts geändert', 'error');
+    }
+  }
 
-    // Close modals on overlay
-    ['folderModal', 'topicModal', 'lessonModal', 'linkModal', 'fileRenameModal', 'confirmModal'].forEach(id => {
-      document.getElementById(id).addEventListener('click', (e) => {
-        if (e.target === e.currentTarget) {
-          if (id === 'folderModal') this._closeFolderModal();
-          else if (id === 'topicModal') this._closeTopicModal();
-          else if (id === 'lessonModal') this._closeLessonModal();
-          else if (id === 'linkModal') this._closeLinkModal();
-          else if (id === 'fileRenameModal') this._closeFileRenameModal();
-          else this._closeConfirmModal();
+  /* ===== Packages (Folder / Topic Export) ===== */
+  async _exportPackage(kind, id) {
+    const topics = kind === 'folder'
+      ? this._allTopics.filter(t => t.folderId === id)
+      : this._allTopics.filter(t => t.id === id);
+    if (!topics.length && kind === 'topic') return;
+    const folder = this._allFolders.find(f => f.id === (kind === 'folder' ? id : topics[0].folderId));
+    if (!folder) return;
+    const topicIds = new Set(topics.map(t => t.id));
+    const lessons = this._allLessons.filter(l => topicIds.has(l.topicId));
+    const lessonIds = new Set(lessons.map(l => l.id));
+    const name = kind === 'folder' ? folder.name : topics[0].name;
+
+    try {
+      const files = [];
+      for (const f of this._allFiles) {
+        // Library files attached from outside travel along, homed in the
+        // first exported lesson they are attached to
+        const linked = (f.linkedLessonIds || []).filter(l => lessonIds.has(l));
+        const lessonId = lessonIds.has(f.lessonId) ? f.lessonId : linked.shift();
+        if (!lessonId) continue;
+        const blob = await this.db.getBlob(f.hash);
+        if (!blob) continue;
+        const versions = [];
+        for (const v of f.versions || []) {
+          const vBlob = await this.db.getBlob(v.hash);
+          if (vBlob) versions.push({ ...v, blob: vBlob });
         }
-      });
-    });
-
-    // Escape closes modals
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this._closeFolderModal();
-        this._closeTopicModal();
-        this._closeLessonModal();
-        this._closeLinkModal();
-        this._closeFileRenameModal();
-        this._closeConfirmModal();
+        files.push({ ...f, lessonId, linkedLessonIds: linked, blob, versions });
       }
-    });
+      const zip = await this._buildArchive('package', { folders: [folder], topics, lessons, files }, { root: kind, name });
+      this._downloadBlob(zip, `${this._archiveName(name)}-${this._todayISO()}.zip`);
+      this.ui.showToast(`„${this.ui._esc(name)}" exportiert`, 'success');
+    } catch (err) {
+      console.error('Package export failed:', err);
+      this.ui.showToast('Export fehlgeschlagen', 'error');
+    }
   }
 
-  /* ===== Dynamic Event Bindings ===== */
-  _bindDynamicEvents() {
-    const main = this.ui.mainContent;
-
-    // Breadcrumb navigation
-    main.querySelectorAll('.breadcrumb-item[data-nav]').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const nav = btn.dataset.nav;
-        const id = btn.dataset.id ? Number(btn.dataset.id) : null;
-        if (nav === 'dashboard') this._navigateDashboard();
-        else if (nav === 'folder' && id) this._navigateFolder(id);
-        else if (nav === 'topic' && id) this._navigateTopic(id);
-      });
-    });
+  async _openPackageModal(file, targetFolderId = null) {
+    let pkg;
+    try {
+      pkg = await this._readArchive(file);
+    } catch (err) {
+      console.error('Package read failed:', err);
+      this.ui.showToast('Ungültige Paketdatei', 'error');
+      return;
+    }
+    if (pkg.data.kind !== 'package' || pkg.data.folders.length !== 1) {
+      this.ui.showToast('Dies ist kein Paket – vollständige Sicherungen über „Sicherung importieren" einlesen', 'error');
+      return;
+    }
+    this._pendingPackage = pkg;
+    const { data, missing } = pkg;
+    const what = data.root === 'folder' ? 'Ordner' : 'Thema';
+    document.getElementById('packageModalSummary').textContent =
+      `${what} „${data.name}": ${data.topics.length} Themen, ${data.lessons.length} Stunden, ${data.files.length} Dateien.` +
+      (missing ? ` ${missing} Datei${missing > 1 ? 'en fehlen' : ' fehlt'} im Archiv und wird übersprungen.` : '');
+
+    const select = document.getElementById('packageTargetSelect');
+    const sourceName = data.folders[0].name;
+    select.innerHTML = `<option value="">Als neuen Ordner „${this.ui._esc(sourceName)}" anlegen</option>` +
+      this._allFolders.map(f => `<option value="${f.id}">${this.ui._esc(f.name)}</option>`).join('');
+    const preselect = targetFolderId ?? (data.root === 'topic' ? this.store.get('currentFolderId') : null);
+    select.value = preselect ? String(preselect) : '';
+    document.querySelector('input[name="packageConflict"][value="rename"]').checked = true;
+    this._updatePackageConflicts();
+    document.getElementById('packageModal').classList.remove('hidden');
+  }
 
-    // Dashboard: folder card click
-    main.querySelectorAll('.topic-card[data-folder-id]').forEach(card => {
-      card.addEventListener('click', (e) => {
-        if (e.target.closest('.topic-card-btn')) return;
-        this._navigateFolder(Number(card.dataset.folderId));
-      });
-    });
+  _updatePackageConflicts() {
+    if (!this._pendingPackage) return;
+    const { data } = this._pendingPackage;
+    const targetId = Number(document.getElementById('packageTargetSelect').value) || null;
+    const box = document.getElementById('packageConflicts');
+    const list = document.getElementById('packageConflictList');
+    const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+    let names = [];
+    if (targetId) {
+      const existing = this._allTopics.filter(t => t.folderId === targetId);
+      names = data.topics.filter(t => existing.some(e => same(e.name, t.name))).map(t => t.name);
+    }
+    list.textContent = names.length ? `Bereits vorhanden: ${names.map(n => `„${n}"`).join(', ')}` : '';
+    box.classList.toggle('hidden', !names.length);
+  }
 
-    // Dashboard: add folder card
-    const addFolderCard = document.getElementById('addFolderCard');
-    if (addFolderCard) addFolderCard.addEventListener('click', () => this._openFolderModal());
+  _closePackageModal() {
+    document.getElementById('packageModal').classList.add('hidden');
+    this._pendingPackage = null;
+  }
 
-    // Edit/delete folder buttons
-    main.querySelectorAll('.edit-folder-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._openFolderModal(Number(btn.dataset.folderId));
-      });
-    });
-    main.querySelectorAll('.delete-folder-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const id = Number(btn.dataset.folderId);
-        const folder = this._allFolders.find(f => f.id === id);
-        this._openConfirmModal(
-          'Ordner löschen',
-          `Möchten Sie „${folder?.name}" und alle zugehörigen Themen, Stunden und Dateien wirklich löschen?`,
-          async () => {
-            await this.db.deleteTopicsByFolder(id);
-            await this.db.deleteFolder(id);
-            await this._loadAll();
-            if (this.store.get('currentFolderId') === id) this._navigateDashboard();
-            else this.store._notify();
-            this.ui.showToast('Ordner gelöscht', 'success');
-          }
-        );
-      });
-    });
+  async _importPackage() {
+    if (!this._pendingPackage) return;
+    const folderId = Number(document.getElementById('packageTargetSelect').value) || null;
+    const conflict = document.querySelector('input[name="packageConflict"]:checked')?.value || 'rename';
+    const { data } = this._pendingPackage;
+    this._closePackageModal();
 
-    // Folder detail: topic cards
-    main.querySelectorAll('.topic-card[data-topic-id]').forEach(card => {
-      card.addEventListener('click', (e) => {
-        if (e.target.closest('.topic-card-btn')) return;
-        this._navigateTopic(Number(card.dataset.topicId));
-      });
-    });
+    try {
+      const counts = await this.db.importPackage(data, { folderId, conflict });
+      await this._loadAll();
+      if (folderId) this._navigateFolder(folderId);
+      else this.store._notify();
+      const skipped = counts.skipped ? `, ${counts.skipped} Themen übersprungen` : '';
+      this.ui.showToast(`${counts.topics} Themen, ${counts.lessons} Stunden und ${counts.files} Dateien importiert${skipped}`, 'success');
+    } catch (err) {
+      console.error('Package import failed:', err);
+      this.ui.showToast('Import fehlgeschlagen – es wurde nichts geändert', 'error');
+    }
+  }
 
-    // Add topic button (in folder detail)
-    const addTopicBtn = document.getElementById('addTopicBtn');
-    if (addTopicBtn) addTopicBtn.addEventListener('click', () => this._openTopicModal());
+  /* ===== Handout ===== */
+  // Printout of a lesson or of all lessons of a topic: title, date,
+  // description, links with QR codes and the PDF attachments in the order
+  // they were added.
+  _handoutData(kind, id) {
+    const lessons = kind === 'topic'
+      ? this._allLessons.filter(l => l.topicId === id)
+      : this._allLessons.filter(l => l.id === id);
+    const topic = this._allTopics.find(t => t.id === (kind === 'topic' ? id : lessons[0]?.topicId));
+    const folder = this._allFolders.find(f => f.id === topic?.folderId);
+    if (!topic || !folder) return null;
+    return {
+      title: kind === 'topic' ? topic.name : lessons[0].title,
+      path: kind === 'topic' ? folder.name : `${folder.name} › ${topic.name}`,
+      topic: kind === 'topic',
+      sections: lessons.map(lesson => ({
+        lesson,
+        links: (lesson.links || []).map(link => ({ ...link, qr: QrCode.encode(link.url) })),
+        files: this._lessonFiles(lesson.id)
+          .filter(f => FileTypes.kind(f) === 'pdf')
+          .sort((a, b) => a.uploadedAt - b.uploadedAt),
+        pages: [],
+      })),
+    };
+  }
 
-    // Edit/delete topic buttons
-    main.querySelectorAll('.edit-topic-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._openTopicModal(Number(btn.dataset.topicId));
-      });
-    });
-    main.querySelectorAll('.delete-topic-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const id = Number(btn.dataset.topicId);
-        const topic = this._allTopics.find(t => t.id === id);
-        this._openConfirmModal(
-          'Thema löschen',
-          `Möchten Sie „${topic?.name}" und alle zugehörigen Stunden und Dateien wirklich löschen?`,
-          async () => {
-            await this.db.deleteLessonsByTopic(id);
-            await this.db.deleteTopic(id);
-            await this._loadAll();
-            if (this.store.get('currentTopicId') === id) {
-              this.store.state.currentTopicId = null;
-              this.store.state.currentLessonId = null;
-            }
-            this.store._notify();
-            this.ui.showToast('Thema gelöscht', 'success');
-          }
-        );
-      });
-    });
+  _openHandoutModal(kind, id) {
+    const handout = this._handoutData(kind, id);
+    if (!handout) return;
+    this._handoutTarget = { kind, id };
+    const links = handout.sections.reduce((sum, s) => sum + s.links.length, 0);
+    const pdfs = handout.sections.reduce((sum, s) => sum + s.files.length, 0);
+    const lessons = handout.topic ? `${handout.sections.length} ${handout.sections.length === 1 ? 'Stunde' : 'Stunden'}, ` : '';
+    document.getElementById('handoutModalSummary').textContent =
+      `„${handout.title}": ${lessons}${links} ${links === 1 ? 'Link' : 'Links'}, ${pdfs} ${pdfs === 1 ? 'PDF-Anhang' : 'PDF-Anhänge'}.`;
+    document.querySelector('input[name="handoutFormat"][value="print"]').checked = true;
+    const attachments = document.getElementById('handoutAttachments');
+    attachments.checked = pdfs > 0;
+    attachments.disabled = !pdfs || !TextExtractor.available('application/pdf');
+    document.getElementById('handoutModal').classList.remove('hidden');
+  }
 
-    // Stundenplan table: row click -> lesson detail
-    main.querySelectorAll('.sequence-table tbody tr[data-lesson-id]').forEach(row => {
-      row.addEventListener('click', (e) => {
-        if (e.target.closest('.table-action-btn')) return;
-        this._navigateLesson(Number(row.dataset.lessonId));
-      });
-    });
+  _closeHandoutModal() {
+    document.getElementById('handoutModal').classList.add('hidden');
+    this._handoutTarget = null;
+  }
 
-    // Add lesson button
-    const addLessonBtn = document.getElementById('addLessonBtn');
-    if (addLessonBtn) addLessonBtn.addEventListener('click', () => this._openLessonModal());
+  async _createHandout() {
+    if (!this._handoutTarget) return;
+    const { kind, id } = this._handoutTarget;
+    const format = document.querySelector('input[name="handoutFormat"]:checked')?.value || 'print';
+    const attachments = document.getElementById('handoutAttachments').checked;
+    this._closeHandoutModal();
+    const handout = this._handoutData(kind, id);
+    if (!handout) return;
+
+    // Has to open during the click, before anything is awaited
+    const win = format === 'print' ? window.open('', '_blank') : null;
+    if (format === 'print') {
+      if (!win) {
+        this.ui.showToast('Das Fenster wurde blockiert – bitte Pop-ups für diese Seite erlauben', 'error');
+        return;
+      }
+      win.document.write('<p style="font-family: sans-serif">Handout wird erstellt …</p>');
+    }
 
-    // Edit/delete lesson buttons (table and detail view)
-    main.querySelectorAll('.edit-lesson-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._openLessonModal(Number(btn.dataset.lessonId));
-      });
-    });
-    main.querySelectorAll('.delete-lesson-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const id = Number(btn.dataset.lessonId);
-        const lesson = this._allLessons.find(l => l.id === id);
-        this._openConfirmModal(
-          'Stunde löschen',
-          `Möchten Sie „${lesson?.title}" und alle zugehörigen Dateien wirklich löschen?`,
-          async () => {
-            await this.db.deleteFilesByLesson(id);
-            await this.db.deleteLesson(id);
-            await this._loadAll();
-            if (this.store.get('currentLessonId') === id) {
-              this.store.state.currentLessonId = null;
-            }
-            this.store._notify();
-            this.ui.showToast('Stunde gelöscht', 'success');
+    try {
+      let failed = [];
+      if (format === 'print') {
+        if (attachments) failed = await this._renderHandoutPages(handout);
+        win.document.open();
+        win.document.write(this.ui.renderHandout(handout, new URL('handout.css', location.href).href));
+        win.document.close();
+      } else {
+        const pdf = await this._buildHandoutPdf(handout);
+        if (attachments) failed = await this._mergeHandoutAttachments(handout, pdf);
+        this._downloadBlob(await pdf.toBlob(), `${this._archiveName(`Handout ${handout.title}`)}-${this._todayISO()}.pdf`);
+      }
+      if (failed.length) {
+        this.ui.showToast(`Nicht lesbar und ausgelassen: ${failed.map(name => `„${this.ui._esc(name)}"`).join(', ')}`, 'info');
+      }
+    } catch (err) {
+      console.error('Handout failed:', err);
+      win?.close();
+      this.ui.showToast('Das Handout konnte nicht erstellt werden', 'error');
+    }
+  }
+
+  // Rasterizes the PDF attachments as data URLs for the print view.
+  // Returns the names of files that failed.
+  async _renderHandoutPages(handout) {
+    const failed = [];
+    for (const section of handout.sections) {
+      for (const file of section.files) {
+        const blob = await this.db.getBlob(file.hash);
+        try {
+          if (!blob) throw new Error('Inhalt fehlt');
+          for await (const { canvas, width, height } of PdfRenderer.pages(blob, Pdf.IMAGE_SCALE)) {
+            section.pages.push({ width, height, src: canvas.toDataURL('image/jpeg', 0.85) });
           }
-        );
-      });
-    });
+        } catch (err) {
+          console.error('Handout page rendering failed:', file.name, err);
+          failed.push(file.name);
+        }
+      }
+    }
+    return failed;
+  }
 
-    // File actions
-    main.querySelectorAll('.preview-file-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.store.set('previewFileId', Number(btn.dataset.fileId));
-      });
-    });
+  // Inserts the pages of the PDF attachments after their lesson (see
+  // section.endPage), so they keep their text and vector graphics.
+  // Returns the names of encrypted or broken files, which are left out.
+  async _mergeHandoutAttachments(handout, pdf) {
+    const { doc } = pdf;
+    const failed = [];
+    let inserted = 0;
+    for (const section of handout.sections) {
+      for (const file of section.files) {
+        try {
+          const content = await this.db.getBlob(file.hash);
+          if (!content) throw new Error('Inhalt fehlt');
+          const source = await PDFLib.PDFDocument.load(await content.arrayBuffer());
+          for (const page of await doc.copyPages(source, source.getPageIndices())) {
+            doc.insertPage(section.endPage + inserted++, page);
+          }
+        } catch (err) {
+          console.error('Handout attachment failed:', file.name, err);
+          failed.push(file.name);
+        }
+      }
+    }
+    return failed;
+  }
 
-    main.querySelectorAll('.download-file-btn').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        const file = await this.db.getFile(Number(btn.dataset.fileId));
-        if (!file) return;
-        const url = URL.createObjectURL(file.blob);
-        const a = document.createElement('a');
-        a.href = url; a.download = file.name;
-        document.body.appendChild(a); a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+  // Text pages of the handout; section.endPage is set to the number of
+  // pages up to the end of each lesson, where its attachments go
+  async _buildHandoutPdf(handout) {
+    const pdf = await Pdf.create({ title: `Handout: ${handout.title}` });
+    const left = 56;
+    const right = Pdf.WIDTH - 56;
+    const bottom = Pdf.HEIGHT - 56;
+    let y = 64;
+    const room = (height) => {
+      if (y + height <= bottom) return;
+      pdf.addPage();
+      y = 64;
+    };
+    const paragraph = (text, size, options = {}) => {
+      for (const part of String(text).split('\n')) {
+        for (const line of pdf.wrap(part, size, right - left, options.bold)) {
+          room(size + 6);
+          pdf.text(left, y, line, { size, ...options });
+          y += size + 6;
+        }
+      }
+    };
+    // Dark modules merged into runs per row, rounded to keep the file small
+    const pt = value => Math.round(value * 100) / 100;
+    const qrCode = (x, top, size, { size: count, modules }) => {
+      const unit = size / (count + 8);
+      modules.forEach((row, r) => {
+        for (let c = 0; c < count; c++) {
+          if (!row[c]) continue;
+          let end = c;
+          while (end + 1 < count && row[end + 1]) end++;
+          pdf.rect(pt(x + (c + 4) * unit), pt(top + (r + 4) * unit), pt((end - c + 1) * unit), pt(unit));
+          c = end;
+        }
       });
-    });
+    };
 
-    main.querySelectorAll('.delete-file-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const id = Number(btn.dataset.fileId);
-        const file = this._allFiles.find(f => f.id === id);
-        this._openConfirmModal(
-          'Datei löschen',
-          `Möchten Sie „${file?.name}" wirklich löschen?`,
-          async () => {
-            await this.db.deleteFile(id);
-            if (this.store.get('previewFileId') === id) this.store.state.previewFileId = null;
-            await this._loadAll();
-            this.store._notify();
-            this.ui.showToast('Datei gelöscht', 'success');
-          }
-        );
-      });
+    if (handout.topic) {
+      paragraph(handout.title, 22, { bold: true });
+      paragraph(handout.path, 10, { gray: 0.4 });
+      y += 18;
+    }
+    handout.sections.forEach((section, i) => {
+      const { lesson, links } = section;
+      if (i > 0) {
+        pdf.addPage();
+        y = 64;
+      }
+      paragraph(lesson.title, handout.topic ? 16 : 20, { bold: true });
+      const meta = [handout.topic ? '' : handout.path, lesson.date ? this.ui._formatDateISO(lesson.date) : ''].filter(Boolean).join(' · ');
+      if (meta) paragraph(meta, 10, { gray: 0.4 });
+      if (lesson.description) {
+        y += 8;
+        paragraph(lesson.description, 11);
+      }
+      if (links.length) {
+        y += 12;
+        paragraph('Links', 13, { bold: true });
+        for (const link of links) {
+          const urlLines = pdf.wrap(link.url, 9, right - left - 84);
+          const height = Math.max(72, 28 + urlLines.length * 12);
+          room(height);
+          if (link.qr) qrCode(left, y, 72, link.qr);
+          pdf.text(left + 84, y + 18, link.title, { size: 11, bold: true });
+          urlLines.forEach((line, n) => pdf.text(left + 84, y + 34 + n * 12, line, { size: 9, gray: 0.35 }));
+          pdf.link(left, y, right - left, 72, link.url);
+          y += height + 10;
+        }
+      }
+      section.endPage = pdf.pageCount;
     });
+    return pdf;
+  }
 
-    // File item click (preview PDF or download Word)
-    main.querySelectorAll('.file-item[data-file-id]').forEach(item => {
-      item.addEventListener('click', async (e) => {
-        if (e.target.closest('.file-action-btn')) return;
-        const id = Number(item.dataset.fileId);
-        const file = this._allFiles.find(f => f.id === id) || await this.db.getFile(id);
-        if (!file) return;
+  /* ===== Presentation ===== */
+  // Fullscreen slideshow of a lesson: a title slide, every page of the PDF
+  // attachments, DOCX documents, images, audio, video and text in the order
+  // they were added, then one slide per link. A second window can show the
+  // presenter view with notes; both stay on the same slide.
+  async _startPresentation(lessonId) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson || this._presentation) return;
+    const topic = this._allTopics.find(t => t.id === lesson.topicId);
+    const folder = this._allFolders.find(f => f.id === topic?.folderId);
+    const overlay = document.getElementById('presentation');
+    // Fullscreen has to be requested during the click, before anything is awaited
+    overlay.requestFullscreen?.().catch(() => {});
+    document.activeElement?.blur();
+    this.ui.renderPresentationBar();
+    document.getElementById('presentationStage').innerHTML = '<div class="slide-loading">Präsentation wird vorbereitet …</div>';
+    overlay.classList.remove('hidden');
+
+    const p = {
+      lesson,
+      path: [folder?.name, topic?.name].filter(Boolean).join(' › '),
+      slides: [],
+      index: 0,
+      pdfs: [],
+      content: new Map(), // fileId -> object URL, DOCX HTML or text
+      urls: [],
+      timer: { limit: 0, elapsed: 0, startedAt: null },
+      blackout: false,
+      presenter: null,
+      render: 0,
+      tick: null,
+    };
+    this._presentation = p;
+    const skipped = await this._presentationSlides(p);
+    if (this._presentation !== p) {
+      // Closed while the attachments were being opened
+      p.pdfs.forEach(pdf => pdf.destroy());
+      return;
+    }
+    p.tick = setInterval(() => this._presentationState(), 500);
+    this._showSlide();
+    if (skipped.length) {
+      this.ui.showToast(`Nicht darstellbar und ausgelassen: ${skipped.map(name => `„${this.ui._esc(name)}"`).join(', ')}`, 'info');
+    }
+  }
 
-        const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-        if (file.type === 'application/pdf' || file.type === DOCX) {
-          this.store.set('previewFileId', id);
-        } else {
-          const url = URL.createObjectURL(file.blob);
-          const a = document.createElement('a');
-          a.href = url; a.download = file.name;
-          document.body.appendChild(a); a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
+  // Returns the names of attachments that get no slide
+  async _presentationSlides(p) {
+    const skipped = [];
+    const files = this._lessonFiles(p.lesson.id).sort((a, b) => a.uploadedAt - b.uploadedAt);
+    p.slides.push({ kind: 'title' });
+    for (const file of files) {
+      const kind = FileTypes.kind(file);
+      if (kind === 'pdf' && TextExtractor.available('application/pdf')) {
+        try {
+          const blob = await this.db.getBlob(file.hash);
+          if (!blob) throw new Error('Inhalt fehlt');
+          const pdf = await PdfRenderer.open(await blob.arrayBuffer());
+          p.pdfs.push(pdf);
+          for (let page = 1; page <= pdf.numPages; page++) {
+            p.slides.push({ kind, file, pdf, page, pages: pdf.numPages });
+          }
+        } catch (err) {
+          console.error('Presentation PDF failed:', file.name, err);
+          skipped.push(file.name);
         }
-      });
-    });
+      } else if (['image', 'audio', 'video', 'text'].includes(kind) ||
+          (kind === 'docx' && TextExtractor.available(TextExtractor.DOCX))) {
+        p.slides.push({ kind, file });
+      } else {
+        skipped.push(file.name);
+      }
+    }
+    for (const link of p.lesson.links || []) {
+      p.slides.push({ kind: 'link', link, qr: QrCode.encode(link.url) });
+    }
+    return skipped;
+  }
 
-    // Close preview
-    const closePreview = document.getElementById('closePreview');
-    if (closePreview) closePreview.addEventListener('click', () => this.store.set('previewFileId', null));
+  // PDF pages are rendered to fit the stage at the screen's pixel density,
+  // everything else is loaded once per presentation
+  async _slideContent(p, slide) {
+    if (slide.kind === 'pdf') {
+      const stage = document.getElementById('presentationStage');
+      const page = await slide.pdf.getPage(slide.page);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const fit = Math.min(stage.clientWidth / width, stage.clientHeight / height);
+      return PdfRenderer.render(slide.pdf, slide.page, fit * (window.devicePixelRatio || 1));
+    }
+    if (!slide.file) return null;
+    if (p.content.has(slide.file.id)) return p.content.get(slide.file.id);
+    const blob = await this.db.getBlob(slide.file.hash);
+    let content = null;
+    if (blob && slide.kind === 'docx') {
+      content = (await mammoth.convertToHtml({ arrayBuffer: await blob.arrayBuffer() })).value;
+    } else if (blob && slide.kind === 'text') {
+      content = await blob.text();
+    } else if (blob) {
+      content = URL.createObjectURL(blob);
+      p.urls.push(content);
+    }
+    p.content.set(slide.file.id, content);
+    return content;
+  }
 
-    // Inject DOCX preview content
-    const docxFrame = document.getElementById('docxPreviewFrame');
-    if (docxFrame && this.ui._pendingDocxHtml !== undefined) {
-      const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-      const bg = isDark ? '#1a1a2e' : '#ffffff';
-      const fg = isDark ? '#e2e8f0' : '#1a1a2e';
-      const bdr = isDark ? '#2d2d44' : '#dee2e6';
-      const tbl = isDark ? '#252540' : '#f8f9fa';
-      docxFrame.srcdoc = `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
-        body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;padding:2rem 3rem;background:${bg};color:${fg};line-height:1.7;max-width:860px;margin:0 auto}
-        *{max-width:100%;box-sizing:border-box}
-        h1,h2,h3,h4,h5,h6{margin:1.25rem 0 0.5rem;font-weight:600}
-        p{margin:0.5rem 0} ul,ol{padding-left:1.5rem;margin:0.5rem 0}
-        table{border-collapse:collapse;width:100%;margin:1rem 0}
-        td,th{border:1px solid ${bdr};padding:0.5rem 0.75rem}
-        th{background:${tbl};font-weight:600}
-        img{max-width:100%;height:auto} strong{font-weight:600}
-      </style></head><body>${this.ui._pendingDocxHtml}</body></html>`;
-      this.ui._pendingDocxHtml = undefined;
+  async _showSlide() {
+    const p = this._presentation;
+    if (!p?.slides.length) return;
+    // Drops renders that a later slide change has overtaken
+    const token = ++p.render;
+    const slide = p.slides[p.index];
+    let content = null;
+    try {
+      content = await this._slideContent(p, slide);
+    } catch (err) {
+      console.error('Slide failed:', this.ui._slideLabel(slide), err);
+    }
+    if (this._presentation !== p || p.render !== token) return;
+    this.ui.renderSlide(slide, content, { title: p.lesson.title, date: p.lesson.date, path: p.path });
+    if (this._presenterOpen(p)) {
+      this.ui.renderPresenterSlides(p.presenter.document, slide, p.slides[p.index + 1], content);
     }
+    this._presentationState();
+  }
 
-    // Rename file buttons
-    main.querySelectorAll('.rename-file-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._openFileRenameModal(Number(btn.dataset.fileId));
-      });
-    });
+  _presentationGo(index) {
+    const p = this._presentation;
+    const next = Math.max(0, Math.min(p.slides.length - 1, index));
+    if (next === p.index) return;
+    p.index = next;
+    this._showSlide();
+  }
 
-    // Add link button
-    const addLinkBtn = document.getElementById('addLinkBtn');
-    if (addLinkBtn) addLinkBtn.addEventListener('click', () => this._openLinkModal());
+  _presentationAction(action) {
+    const p = this._presentation;
+    if (!p?.slides.length) return;
+    if (action === 'next') this._presentationGo(p.index + 1);
+    else if (action === 'prev') this._presentationGo(p.index - 1);
+    else if (action === 'first') this._presentationGo(0);
+    else if (action === 'last') this._presentationGo(p.slides.length - 1);
+    else if (action === 'blackout') {
+      p.blackout = !p.blackout;
+      document.getElementById('presentation').classList.toggle('blackout', p.blackout);
+    } else if (action === 'timer') {
+      if (p.timer.startedAt === null) p.timer.startedAt = Date.now();
+      else {
+        p.timer.elapsed += Date.now() - p.timer.startedAt;
+        p.timer.startedAt = null;
+      }
+    } else if (action === 'timer-reset') {
+      p.timer.elapsed = 0;
+      p.timer.startedAt = null;
+    } else if (action === 'fullscreen') {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+      else document.getElementById('presentation').requestFullscreen?.().catch(() => {});
+    } else if (action === 'presenter') this._openPresenter();
+    else if (action === 'close') this._closePresentation();
+    this._presentationState();
+  }
 
-    // Delete link buttons
-    main.querySelectorAll('.delete-link-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this._deleteLink(Number(btn.dataset.linkId));
-      });
-    });
+  // 0 = stopwatch, otherwise a countdown over that many minutes
+  _setPresentationTimer(minutes) {
+    if (!this._presentation) return;
+    this._presentation.timer = { limit: minutes * 60000, elapsed: 0, startedAt: null };
+    this._presentationState();
+  }
 
-    // Sidebar folder clicks
-    this.ui.sidebarFolders.querySelectorAll('.sidebar-folder-btn').forEach(btn => {
-      btn.addEventListener('click', () => this._navigateFolder(Number(btn.dataset.folderId)));
-    });
+  _presentationState() {
+    const p = this._presentation;
+    if (!p) return;
+    const { limit, elapsed, startedAt } = p.timer;
+    const running = startedAt !== null;
+    const state = {
+      index: p.index,
+      count: p.slides.length,
+      blackout: p.blackout,
+      timer: { limit, running, elapsed: elapsed + (running ? Date.now() - startedAt : 0) },
+    };
+    this.ui.renderPresentationState(document, state);
+    if (this._presenterOpen(p)) this.ui.renderPresentationState(p.presenter.document, state);
+  }
 
-    // Sidebar topic clicks
-    this.ui.sidebarFolders.querySelectorAll('.sidebar-topic').forEach(btn => {
-      btn.addEventListener('click', () => this._navigateTopic(Number(btn.dataset.topicId)));
-    });
+  _presentationKey(e) {
+    if (!this._presentation || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest?.('select, audio, video')) return;
+    // A focused button already reacts to Space and Enter itself
+    if ((e.key === ' ' || e.key === 'Enter') && e.target.closest?.('button')) return;
+    const action = {
+      ArrowRight: 'next', ArrowDown: 'next', PageDown: 'next', ' ': 'next', Enter: 'next',
+      ArrowLeft: 'prev', ArrowUp: 'prev', PageUp: 'prev', Backspace: 'prev',
+      Home: 'first', End: 'last',
+      b: 'blackout', B: 'blackout', '.': 'blackout',
+      t: 'timer', T: 'timer',
+      f: 'fullscreen', F: 'fullscreen',
+      p: 'presenter', P: 'presenter',
+    }[e.key];
+    if (!action) return;
+    e.preventDefault();
+    this._presentationAction(action);
+  }
 
-    // Search result navigation
-    main.querySelectorAll('.search-topic-card[data-topic-id]').forEach(card => {
-      card.addEventListener('click', () => this._navigateTopic(Number(card.dataset.topicId)));
-    });
-    main.querySelectorAll('.search-lesson-item[data-lesson-id]').forEach(item => {
-      item.addEventListener('click', () => this._navigateLesson(Number(item.dataset.lessonId)));
+  // root: the presentation overlay or the presenter window's document
+  _bindPresentationControls(root) {
+    root.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-presentation-action]');
+      if (btn) this._presentationAction(btn.dataset.presentationAction);
     });
-    main.querySelectorAll('.search-file-item[data-lesson-id]').forEach(item => {
-      item.addEventListener('click', () => {
-        const lessonId = Number(item.dataset.lessonId);
-        const fileId = Number(item.dataset.fileId);
-        const file = this._allFiles.find(f => f.id === fileId);
-        this.store.state.previewFileId = file?.type === 'application/pdf' ? fileId : null;
-        this._navigateLesson(lessonId);
-      });
+    root.addEventListener('change', (e) => {
+      if (e.target.id === 'presentationTimerLimit') this._setPresentationTimer(Number(e.target.value));
     });
   }
 
-  /* ===== Drop Zone ===== */
-  _bindDropZone() {
-    const dropZone = document.getElementById('dropZone');
-    const fileInput = document.getElementById('fileInput');
-    if (!dropZone || !fileInput) return;
+  _presenterOpen(p) {
+    return !!p.presenter && !p.presenter.closed;
+  }
 
-    dropZone.addEventListener('click', () => fileInput.click());
-    dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('dragover'); });
-    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
-    dropZone.addEventListener('drop', (e) => {
-      e.preventDefault();
-      dropZone.classList.remove('dragover');
-      this._handleFiles(Array.from(e.dataTransfer.files));
+  _openPresenter() {
+    const p = this._presentation;
+    if (this._presenterOpen(p)) {
+      p.presenter.focus();
+      return;
+    }
+    const win = window.open('', 'spanischapp-presenter', 'popup,width=1000,height=680');
+    if (!win) {
+      this.ui.showToast('Das Fenster wurde blockiert – bitte Pop-ups für diese Seite erlauben', 'error');
+      return;
+    }
+    const theme = document.documentElement.getAttribute('data-theme') || 'light';
+    win.document.open();
+    win.document.write(this.ui.renderPresenter(p.lesson, new URL('styles.css', location.href).href, theme));
+    win.document.close();
+    p.presenter = win;
+    this._bindPresentationControls(win.document);
+    win.document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this._closePresentation();
+      else this._presentationKey(e);
     });
-    fileInput.addEventListener('change', () => {
-      this._handleFiles(Array.from(fileInput.files));
-      fileInput.value = '';
+    this._showSlide();
+  }
+
+  _closePresentation() {
+    const p = this._presentation;
+    if (!p) return;
+    this._presentation = null;
+    clearInterval(p.tick);
+    p.pdfs.splice(0).forEach(pdf => pdf.destroy());
+    p.urls.forEach(url => URL.revokeObjectURL(url));
+    if (this._presenterOpen(p)) p.presenter.close();
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    const overlay = document.getElementById('presentation');
+    overlay.classList.add('hidden');
+    overlay.classList.remove('blackout', 'controls-hidden');
+    document.getElementById('presentationStage').innerHTML = '';
+  }
+
+  /* ===== Sync ===== */
+  _syncConfig() {
+    try {
+      return JSON.parse(localStorage.getItem('spanischapp-sync'));
+    } catch {
+      return null;
+    }
+  }
+
+  _initSync() {
+    const config = this._syncConfig();
+    const Transport = config && Sync.TRANSPORTS[config.type];
+    this.sync = Transport ? new Sync(this.db, new Transport(config)) : null;
+    this._updateSyncBadge();
+  }
+
+  // Automatic runs (quiet) only speak up when something arrived or needs a
+  // decision, and wait while the user is typing so no editor re-renders.
+  async _runSync({ quiet = false } = {}) {
+    if (!this.sync || this._syncing) return;
+    if (quiet && (!navigator.onLine || document.activeElement?.closest('input, textarea, select, [contenteditable="true"]'))) return;
+    this._syncing = true;
+    this.ui.setSyncRunning(true);
+    try {
+      const { pulled, pushed, conflicts } = await this.sync.run();
+      this._syncError = null;
+      if (pulled) {
+        await this._loadAll();
+        this.history.clear(); // its snapshots predate the pulled changes
+        this.store._notify();
+        this._indexPendingFiles();
+      }
+      if (conflicts.length && (!quiet || conflicts.length !== this._syncConflicts)) {
+        this.ui.showToast(`${conflicts.length} ${conflicts.length === 1 ? 'Stunde wurde' : 'Stunden wurden'} auf zwei Geräten geändert`, 'info', {
+          label: 'Lösen', onClick: () => this._openConflictModal(),
+        });
+      } else if (!quiet || pulled) {
+        this.ui.showToast(pulled || pushed ? `Synchronisiert: ${pulled} empfangen, ${pushed} gesendet` : 'Alles auf dem neuesten Stand', 'success');
+      }
+      this._syncConflicts = conflicts.length;
+    } catch (err) {
+      console.error('Sync failed:', err);
+      this._syncError = err.message;
+      if (!quiet) this.ui.showToast('Synchronisierung fehlgeschlagen – ist der Server erreichbar?', 'error');
+    } finally {
+      this._syncing = false;
+      this.ui.setSyncRunning(false);
+      await this._updateSyncBadge();
+    }
+  }
+
+  async _updateSyncBadge() {
+    const [state, conflicts] = await Promise.all([this.db.getMeta('sync'), this.db.getMeta('conflicts')]);
+    this.ui.updateSyncBadge({
+      configured: !!this.sync,
+      conflicts: this.sync ? conflicts?.list.length || 0 : 0,
+      error: this._syncError,
+      lastSync: state?.lastSync,
     });
   }
 
-  async _handleFiles(files) {
-    const allowed = ['application/pdf', 'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    const lessonId = this.store.get('currentLessonId');
-    if (!lessonId) return;
+  async _openSyncModal() {
+    const config = this._syncConfig();
+    const [state, changes, conflicts] = await Promise.all([this.db.getMeta('sync'), this.db.getChanges(), this.db.getMeta('conflicts')]);
+    document.getElementById('syncUrlInput').value = config?.url || '';
+    document.getElementById('syncTokenInput').value = config?.token || '';
+    document.getElementById('syncDeviceInput').value = this.db.device.name;
+    document.getElementById('syncModalDisconnect').classList.toggle('hidden', !config);
+    this.ui.renderSyncInfo({
+      configured: !!config,
+      lastSync: state?.lastSync,
+      pending: changes.length,
+      conflicts: conflicts?.list.length || 0,
+      error: this._syncError,
+    });
+    document.getElementById('syncModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('syncUrlInput').focus(), 100);
+  }
 
-    let uploaded = 0;
-    for (const file of files) {
-      if (!allowed.includes(file.type)) {
-        this.ui.showToast(`„${file.name}" wird nicht unterstützt`, 'error');
-        continue;
-      }
-      const blob = await this._readFileAsBlob(file);
-      await this.db.addFile({
-        lessonId,
-        name: file.name,
-        type: file.type,
-        size: file.size,
-        blob,
-        uploadedAt: Date.now(),
-      });
-      uploaded++;
+  _closeSyncModal() {
+    document.getElementById('syncModal').classList.add('hidden');
+  }
+
+  async _saveSyncSettings() {
+    const url = document.getElementById('syncUrlInput').value.trim();
+    const token = document.getElementById('syncTokenInput').value.trim();
+    if (!/^https?:\/\/[^/]/i.test(url)) {
+      this.ui.showToast('Bitte die Adresse des Sync-Servers angeben (http:// oder https://)', 'error');
+      return;
     }
+    // Another server knows nothing of this device: start over
+    if (this._syncConfig()?.url !== url) await this._resetSyncState();
+    localStorage.setItem('spanischapp-sync', JSON.stringify({ type: 'http', url, token }));
+    await this.db.setDeviceName(document.getElementById('syncDeviceInput').value.trim());
+    this._closeSyncModal();
+    this._syncError = null;
+    this._initSync();
+    await this._runSync();
+  }
 
-    if (uploaded > 0) {
-      await this._loadAll();
-      this.store._notify();
-      this.ui.showToast(`${uploaded} Datei${uploaded > 1 ? 'en' : ''} hochgeladen`, 'success');
+  _disconnectSync() {
+    this._closeSyncModal();
+    this._openConfirmModal(
+      'Synchronisierung beenden',
+      'Dieses Gerät gleicht sich nicht mehr mit dem Server ab. Die Daten auf diesem Gerät und auf dem Server bleiben erhalten.',
+      async () => {
+        localStorage.removeItem('spanischapp-sync');
+        await this._resetSyncState();
+        this._syncError = null;
+        this._initSync();
+        this.ui.showToast('Synchronisierung beendet', 'success');
+      },
+      'Beenden'
+    );
+  }
+
+  async _resetSyncState() {
+    await this.db.setMeta({ key: 'sync', since: 0 });
+    await this.db.setMeta({ key: 'conflicts', list: [] });
+    this._syncConflicts = 0;
+  }
+
+  async _openConflictModal() {
+    const list = (await this.db.getMeta('conflicts'))?.list || [];
+    if (!list.length) {
+      this.ui.showToast('Keine Konflikte', 'info');
+      return;
     }
+    this.ui.renderConflicts(list.map(c => {
+      const lesson = this._allLessons.find(l => l.uid === c.remote.uid);
+      return { ...c, path: lesson ? this._lessonPath(lesson.id) : null };
+    }));
+    document.getElementById('conflictModal').classList.remove('hidden');
   }
 
-  _readFileAsBlob(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(new Blob([reader.result], { type: file.type }));
-      reader.onerror = () => reject(reader.error);
-      reader.readAsArrayBuffer(file);
+  _closeConflictModal() {
+    document.getElementById('conflictModal').classList.add('hidden');
+  }
+
+  async _saveConflicts() {
+    if (!this.sync) return;
+    const choices = new Map();
+    document.querySelectorAll('#conflictList [data-key]').forEach(el => {
+      const input = el.querySelector('input:checked');
+      if (input) choices.set(el.dataset.key, input.value);
     });
+    try {
+      await this.sync.resolve(choices);
+    } catch (err) {
+      console.error('Resolving conflicts failed:', err);
+      this.ui.showToast('Konflikte konnten nicht übernommen werden', 'error');
+      return;
+    }
+    this._closeConflictModal();
+    await this._loadAll();
+    this.history.clear();
+    this.store._notify();
+    this._syncConflicts = 0;
+    // Kept local versions go out right away
+    await this._runSync({ quiet: true });
+    this.ui.showToast('Konflikte gelöst', 'success');
+  }
+
+  _archiveName(name) {
+    return name.replace(/[\\/:*?"<>|]/g, '_');
+  }
+
+  _todayISO() {
+    return this.ui._isoDate(new Date());
   }
 
   /* ===== Folder Modal ===== */
@@ -1404,12 +8101,14 @@ class App {
       const folder = this._allFolders.find(f => f.id === editId);
       title.textContent = 'Ordner bearbeiten';
       input.value = folder?.name || '';
+      this._fillTagInput('folder', folder?.tags);
       document.querySelectorAll('#folderColorPicker .color-swatch').forEach(s => {
         s.classList.toggle('selected', s.dataset.color === folder?.color);
       });
     } else {
       title.textContent = 'Neuen Ordner erstellen';
       input.value = '';
+      this._fillTagInput('folder');
       document.querySelectorAll('#folderColorPicker .color-swatch').forEach((s, i) => {
         s.classList.toggle('selected', i === 0);
       });
@@ -1428,22 +8127,26 @@ class App {
     const name = document.getElementById('folderNameInput').value.trim();
     if (!name) { this.ui.showToast('Bitte einen Namen eingeben', 'error'); return; }
     const color = document.querySelector('#folderColorPicker .color-swatch.selected')?.dataset.color || '#e63946';
+    const tags = this._parseTags(document.getElementById('folderTagsInput').value);
 
     if (this._editingFolderId) {
       const folder = this._allFolders.find(f => f.id === this._editingFolderId);
       if (folder) {
+        const before = structuredClone(folder);
         folder.name = name;
         folder.color = color;
+        folder.tags = tags;
         await this.db.updateFolder(folder);
-        this.ui.showToast('Ordner aktualisiert', 'success');
+        this._record([{ store: 'folders', id: folder.id, before, after: structuredClone(folder) }], 'Ordner aktualisiert');
       }
     } else {
-      await this.db.addFolder({
-        name, color,
+      const folder = {
+        name, color, tags,
         createdAt: Date.now(),
         order: this._allFolders.length,
-      });
-      this.ui.showToast('Ordner erstellt', 'success');
+      };
+      const id = await this.db.addFolder(folder);
+      this._record([{ store: 'folders', id, before: null, after: { ...folder, id } }], 'Ordner erstellt');
     }
 
     this._closeFolderModal();
@@ -1462,9 +8165,11 @@ class App {
       const topic = this._allTopics.find(t => t.id === editId);
       title.textContent = 'Thema bearbeiten';
       input.value = topic?.name || '';
+      this._fillTagInput('topic', topic?.tags);
     } else {
       title.textContent = 'Neues Thema erstellen';
       input.value = '';
+      this._fillTagInput('topic');
     }
 
     modal.classList.remove('hidden');
@@ -1479,25 +8184,30 @@ class App {
   async _saveTopic() {
     const name = document.getElementById('topicNameInput').value.trim();
     if (!name) { this.ui.showToast('Bitte einen Namen eingeben', 'error'); return; }
+    const tags = this._parseTags(document.getElementById('topicTagsInput').value);
 
     if (this._editingTopicId) {
       const topic = this._allTopics.find(t => t.id === this._editingTopicId);
       if (topic) {
+        const before = structuredClone(topic);
         topic.name = name;
+        topic.tags = tags;
         await this.db.updateTopic(topic);
-        this.ui.showToast('Thema aktualisiert', 'success');
+        this._record([{ store: 'topics', id: topic.id, before, after: structuredClone(topic) }], 'Thema aktualisiert');
       }
     } else {
       const folderId = this.store.get('currentFolderId');
       if (!folderId) { this.ui.showToast('Kein Ordner ausgewählt', 'error'); return; }
       const topicsInFolder = this._allTopics.filter(t => t.folderId === folderId);
-      await this.db.addTopic({
+      const topic = {
         folderId,
         name,
+        tags,
         createdAt: Date.now(),
         order: topicsInFolder.length,
-      });
-      this.ui.showToast('Thema erstellt', 'success');
+      };
+      const id = await this.db.addTopic(topic);
+      this._record([{ store: 'topics', id, before: null, after: { ...topic, id } }], 'Thema erstellt');
     }
 
     this._closeTopicModal();
@@ -1520,12 +8230,16 @@ class App {
       titleInput.value = lesson?.title || '';
       dateInput.value = lesson?.date || '';
       descInput.value = lesson?.description || '';
+      this._fillTagInput('lesson', lesson?.tags);
     } else {
       title.textContent = 'Neue Stunde erstellen';
       titleInput.value = '';
       dateInput.value = '';
       descInput.value = '';
+      this._fillTagInput('lesson');
     }
+    if (editId) document.getElementById('lessonTemplateGroup').classList.add('hidden');
+    else this._fillTemplateSelect();
 
     modal.classList.remove('hidden');
     setTimeout(() => titleInput.focus(), 100);
@@ -1541,34 +8255,49 @@ class App {
     if (!titleVal) { this.ui.showToast('Bitte einen Titel eingeben', 'error'); return; }
     const dateVal = document.getElementById('lessonDateInput').value;
     const descVal = document.getElementById('lessonDescInput').value.trim();
+    const tags = this._parseTags(document.getElementById('lessonTagsInput').value);
 
     if (this._editingLessonId) {
       const lesson = this._allLessons.find(l => l.id === this._editingLessonId);
       if (lesson) {
+        const before = structuredClone(lesson);
         lesson.title = titleVal;
         lesson.date = dateVal || null;
         lesson.description = descVal || null;
+        lesson.tags = tags;
         await this.db.updateLesson(lesson);
-        this.ui.showToast('Stunde aktualisiert', 'success');
+        this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Stunde aktualisiert');
       }
     } else {
       const topicId = this.store.get('currentTopicId');
       if (!topicId) { this.ui.showToast('Kein Thema ausgewählt', 'error'); return; }
       const lessonsInTopic = this._allLessons.filter(l => l.topicId === topicId);
-      await this.db.addLesson({
+      const template = this._selectedTemplate();
+      const lesson = {
         topicId,
         title: titleVal,
         date: dateVal || null,
         description: descVal || null,
+        tags,
+        ...(template?.links.length ? { links: structuredClone(template.links) } : {}),
+        ...(LessonPlan.isEmpty(template?.plan) ? {} : { plan: structuredClone(template.plan) }),
         order: lessonsInTopic.length,
         createdAt: Date.now(),
-      });
-      this.ui.showToast('Stunde erstellt', 'success');
+      };
+      const id = await this.db.addLesson(lesson);
+      const changes = [{ store: 'lessons', id, before: null, after: { ...lesson, id } }];
+      if (template) {
+        for (const file of await this.db.addTemplateFiles(template, id)) {
+          changes.push({ store: 'files', id: file.id, before: null, after: file });
+        }
+      }
+      this._record(changes, template ? `Stunde aus Vorlage „${this.ui._esc(template.name)}" erstellt` : 'Stunde erstellt');
     }
 
     this._closeLessonModal();
     await this._loadAll();
     this.store._notify();
+    this._indexPendingFiles();
   }
 
   /* ===== File Rename Modal ===== */
@@ -1592,12 +8321,179 @@ class App {
     if (!newName) { this.ui.showToast('Bitte einen Namen eingeben', 'error'); return; }
     const file = this._allFiles.find(f => f.id === this._renamingFileId);
     if (!file) return;
+    const before = structuredClone(file);
     file.name = newName;
     await this.db.updateFile(file);
     this._closeFileRenameModal();
     await this._loadAll();
     this.store._notify();
-    this.ui.showToast('Datei umbenannt', 'success');
+    this._record([{ store: 'files', id: file.id, before, after: structuredClone(file) }], 'Datei umbenannt');
+  }
+
+  /* ===== File Tags Modal ===== */
+  _openFileTagsModal(fileId) {
+    const file = this._allFiles.find(f => f.id === fileId);
+    if (!file) return;
+    this._taggingFileId = fileId;
+    document.getElementById('fileTagsModalFile').textContent = file.name;
+    this._fillTagInput('file', file.tags);
+    document.getElementById('fileTagsModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('fileTagsInput').focus(), 100);
+  }
+
+  _closeFileTagsModal() {
+    document.getElementById('fileTagsModal').classList.add('hidden');
+    this._taggingFileId = null;
+  }
+
+  async _saveFileTags() {
+    const file = this._allFiles.find(f => f.id === this._taggingFileId);
+    if (!file) return;
+    const before = structuredClone(file);
+    file.tags = this._parseTags(document.getElementById('fileTagsInput').value);
+    await this.db.updateFile(file);
+    this._closeFileTagsModal();
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'files', id: file.id, before, after: structuredClone(file) }], 'Tags gespeichert');
+  }
+
+  /* ===== Tags ===== */
+  // "A2, subjuntivo,  #Prüfung" -> ['A2', 'subjuntivo', 'Prüfung']; duplicates
+  // are dropped case- and accent-insensitively, the first spelling wins.
+  _parseTags(input) {
+    const seen = new Set();
+    const tags = [];
+    for (const raw of input.split(',')) {
+      const tag = raw.replace(/["\s]+/g, ' ').trim().replace(/^#/, '').slice(0, 30).trim();
+      const key = SearchQuery.normalize(tag);
+      if (!tag || seen.has(key)) continue;
+      seen.add(key);
+      tags.push(tag);
+    }
+    return tags;
+  }
+
+  // All tags in use with their number of uses, sorted by name
+  _allTags() {
+    const counts = new Map();
+    for (const list of [this._allFolders, this._allTopics, this._allLessons, this._allFiles]) {
+      for (const item of list) {
+        for (const tag of item.tags || []) {
+          const key = SearchQuery.normalize(tag);
+          const entry = counts.get(key);
+          if (entry) entry.count++;
+          else counts.set(key, { tag, count: 1 });
+        }
+      }
+    }
+    return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag, 'de'));
+  }
+
+  // The tag of a query that consists of nothing but a tag: filter
+  _activeTag(query) {
+    const sq = SearchQuery.parse(query || '');
+    if (sq.terms.length || sq.excluded.length || sq.filters.length !== 1) return null;
+    const [f] = sq.filters;
+    return f.key === 'tag' && !f.negate ? f.value : null;
+  }
+
+  _searchTag(tag) {
+    const query = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+    document.getElementById('searchInput').value = query;
+    document.getElementById('searchClear').classList.remove('hidden');
+    this.store.state.currentView = null;
+    this.store.state.currentFolderId = null;
+    this.store.state.currentTopicId = null;
+    this.store.state.currentLessonId = null;
+    this.store.state.previewFileId = null;
+    this.store.set('searchQuery', query);
+  }
+
+  _fillTagInput(prefix, tags = []) {
+    const input = document.getElementById(`${prefix}TagsInput`);
+    input.value = tags.join(', ');
+    this.ui.renderTagSuggestions(document.getElementById(`${prefix}TagSuggestions`), this._allTags(), tags);
+  }
+
+  _addTagToInput(prefix, tag) {
+    const input = document.getElementById(`${prefix}TagsInput`);
+    const tags = this._parseTags(`${input.value},${tag}`);
+    input.value = tags.join(', ');
+    this.ui.renderTagSuggestions(document.getElementById(`${prefix}TagSuggestions`), this._allTags(), tags);
+  }
+
+  /* ===== File Versions ===== */
+  _pickVersionFile(fileId) {
+    this._versionFileId = fileId;
+    document.getElementById('versionFileInput').click();
+  }
+
+  _openVersionModal(fileId) {
+    const file = this._allFiles.find(f => f.id === fileId);
+    if (!file) return;
+    this._versionFileId = fileId;
+    this.ui.renderVersions(file);
+    document.getElementById('versionModal').classList.remove('hidden');
+  }
+
+  _closeVersionModal() {
+    document.getElementById('versionModal').classList.add('hidden');
+    this._versionFileId = null;
+  }
+
+  // Replaces the content of a file and keeps the previous one as a version.
+  // Name, position and upload date of the file stay as they are.
+  async _uploadVersion(fileId, upload) {
+    const current = this._allFiles.find(f => f.id === fileId);
+    if (!current) return;
+    const type = FileTypes.mimeFor(upload.name, upload.type);
+    const blob = await this._readFileAsBlob(upload, type);
+    const hash = await DB.contentHash(blob);
+    if (hash === current.hash) {
+      this.ui.showToast('Die Datei ist identisch mit der aktuellen Version', 'info');
+      return;
+    }
+    let file;
+    try {
+      file = await this.db.addFileVersion(fileId, { blob, hash, name: upload.name, type, size: upload.size });
+    } catch (err) {
+      console.error('Version upload failed:', err);
+      this.ui.showToast(err?.name === 'QuotaExceededError' ? 'Speicher voll – Version wurde nicht gespeichert' : 'Version konnte nicht gespeichert werden', 'error');
+      return;
+    }
+    await this._afterVersionChange(file);
+    this.ui.showToast(`Neue Version von „${this.ui._esc(file.name)}" gespeichert (v${file.versions.length + 1})`, 'success');
+  }
+
+  async _restoreVersion(index) {
+    const file = await this.db.restoreFileVersion(this._versionFileId, index);
+    if (!file) return;
+    await this._afterVersionChange(file);
+    this.ui.showToast(`Version v${index + 1} wiederhergestellt`, 'success');
+  }
+
+  async _afterVersionChange(file) {
+    this._fileTexts.delete(file.id);
+    this._normalizedTexts.delete(file.id);
+    await this._loadAll();
+    this.store._notify();
+    if (!document.getElementById('versionModal').classList.contains('hidden')) this.ui.renderVersions(file);
+    this._indexPendingFiles();
+  }
+
+  // Old versions open in a new tab, where the browser's own viewers handle
+  // PDF, images, audio, video and text.
+  async _openVersion(index, mode) {
+    const file = this._allFiles.find(f => f.id === this._versionFileId);
+    const version = file?.versions?.[index];
+    if (!version) return;
+    const blob = await this.db.getBlob(version.hash);
+    if (!blob) { this.ui.showToast('Inhalt dieser Version fehlt', 'error'); return; }
+    if (mode === 'download') { this._downloadBlob(blob, version.name); return; }
+    const url = URL.createObjectURL(blob);
+    window.open(url, '_blank', 'noopener');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
   }
 
   /* ===== Link Modal ===== */
@@ -1622,6 +8518,7 @@ class App {
 
     const lesson = this._allLessons.find(l => l.id === this._linkLessonId);
     if (!lesson) return;
+    const before = structuredClone(lesson);
     if (!lesson.links) lesson.links = [];
     lesson.links.push({ id: Date.now(), title: titleVal || urlVal, url: urlVal, addedAt: Date.now() });
 
@@ -1629,24 +8526,655 @@ class App {
     this._closeLinkModal();
     await this._loadAll();
     this.store._notify();
-    this.ui.showToast('Link hinzugefügt', 'success');
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Link hinzugefügt');
   }
 
   async _deleteLink(linkId) {
     const lessonId = this.store.get('currentLessonId');
     const lesson = this._allLessons.find(l => l.id === lessonId);
     if (!lesson || !lesson.links) return;
+    const before = structuredClone(lesson);
     lesson.links = lesson.links.filter(l => l.id !== linkId);
     await this.db.updateLesson(lesson);
     await this._loadAll();
     this.store._notify();
-    this.ui.showToast('Link gelöscht', 'success');
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Link gelöscht');
+  }
+
+  /* ===== Tasks ===== */
+  // Open tasks with a due date across all live lessons, soonest first
+  _openTasks() {
+    return this._allLessons
+      .flatMap(lesson => (lesson.tasks || [])
+        .filter(task => !task.done && task.due)
+        .map(task => ({ task, lesson, path: this._lessonPath(lesson.id) })))
+      .sort((a, b) => a.task.due.localeCompare(b.task.due));
+  }
+
+  _openTaskModal(taskId = null) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson) return;
+    const task = taskId ? (lesson.tasks || []).find(t => t.id === taskId) : null;
+    this._editingTask = { lessonId: lesson.id, taskId: task?.id || null };
+
+    // New tasks are due at the next lesson of the topic by default
+    const next = lesson.date && this._allLessons
+      .filter(l => l.topicId === lesson.topicId && l.date > lesson.date)
+      .map(l => l.date).sort()[0];
+    document.getElementById('taskModalTitle').textContent = task ? 'Aufgabe bearbeiten' : 'Neue Aufgabe';
+    document.getElementById('taskTitleInput').value = task?.title || '';
+    document.getElementById('taskDueInput').value = task ? task.due || '' : next || '';
+    this.ui.renderFileChecklist('taskFileList', this._lessonFiles(lesson.id), task?.fileIds || []);
+    document.getElementById('taskModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('taskTitleInput').focus(), 100);
+  }
+
+  _closeTaskModal() {
+    document.getElementById('taskModal').classList.add('hidden');
+    this._editingTask = null;
+  }
+
+  async _saveTask() {
+    if (!this._editingTask) return;
+    const title = document.getElementById('taskTitleInput').value.trim();
+    if (!title) { this.ui.showToast('Bitte eine Aufgabe eingeben', 'error'); return; }
+    const due = document.getElementById('taskDueInput').value || null;
+    const fileIds = [...document.querySelectorAll('#taskFileList input:checked')].map(cb => Number(cb.value));
+    const { lessonId, taskId } = this._editingTask;
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson) return;
+
+    const before = structuredClone(lesson);
+    if (!lesson.tasks) lesson.tasks = [];
+    const task = lesson.tasks.find(t => t.id === taskId);
+    if (task) Object.assign(task, { title, due, fileIds });
+    else lesson.tasks.push({ id: Date.now(), title, due, fileIds, done: false, createdAt: Date.now() });
+
+    await this.db.updateLesson(lesson);
+    this._closeTaskModal();
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], task ? 'Aufgabe aktualisiert' : 'Aufgabe hinzugefügt');
+  }
+
+  async _toggleTask(lessonId, taskId, done) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    const task = lesson?.tasks?.find(t => t.id === taskId);
+    if (!task) return;
+    const before = structuredClone(lesson);
+    task.done = done;
+    if (done) task.doneAt = Date.now();
+    else delete task.doneAt;
+    await this.db.updateLesson(lesson);
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], done ? 'Aufgabe erledigt' : 'Aufgabe wieder geöffnet');
+  }
+
+  async _deleteTask(taskId) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson?.tasks) return;
+    const before = structuredClone(lesson);
+    lesson.tasks = lesson.tasks.filter(t => t.id !== taskId);
+    await this.db.updateLesson(lesson);
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Aufgabe gelöscht');
+  }
+
+  /* ===== Vocabulary ===== */
+  // entries: [{ entry, lesson, label }] in lesson order; inside a folder the
+  // label names the topic as well.
+  _vocabEntries(scope, id) {
+    const topics = scope === 'folder' ? this._allTopics.filter(t => t.folderId === id) : [];
+    const lessons = scope === 'lesson' ? this._allLessons.filter(l => l.id === id)
+      : scope === 'topic' ? this._allLessons.filter(l => l.topicId === id)
+        : topics.flatMap(t => this._allLessons.filter(l => l.topicId === t.id));
+    return lessons.flatMap(lesson => (lesson.vocab || []).map(entry => ({
+      entry,
+      lesson,
+      label: scope === 'folder' ? `${topics.find(t => t.id === lesson.topicId).name} › ${lesson.title}` : lesson.title,
+    })));
+  }
+
+  // Takes over the "new" row of the vocabulary table
+  async _addVocab(row) {
+    const inputs = [...row.querySelectorAll('.vocab-input')];
+    const entry = Vocab.normalize(Object.fromEntries(inputs.map(el => [el.dataset.field, el.value])));
+    if (!entry.es && !entry.de) return;
+    // Emptied right away so the focusout of the re-render does not add it twice
+    inputs.forEach(el => { el.value = ''; });
+    await this._importVocab(Number(row.closest('#lessonVocab').dataset.lessonId), [entry], 'Vokabel hinzugefügt');
+    document.querySelector('#lessonVocab .vocab-new .vocab-input')?.focus();
+  }
+
+  // Appends entries to a lesson; words already in its list are skipped
+  async _importVocab(lessonId, entries, message = null) {
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson) return 0;
+    if (!entries.length) { this.ui.showToast('Keine Vokabeln erkannt', 'error'); return 0; }
+    const key = (v) => `${SearchQuery.normalize(v.es)}|${SearchQuery.normalize(v.de)}`;
+    const taken = new Set((lesson.vocab || []).map(key));
+    const added = [];
+    for (const v of entries) {
+      if (taken.has(key(v))) continue;
+      taken.add(key(v));
+      added.push(v);
+    }
+    if (!added.length) { this.ui.showToast('Alle Vokabeln stehen schon in der Liste', 'info'); return 0; }
+
+    const before = structuredClone(lesson);
+    const now = Date.now();
+    lesson.vocab = [...(lesson.vocab || []), ...added.map((v, i) => ({ id: now + i, ...v }))];
+    await this.db.updateLesson(lesson);
+    await this._loadAll();
+    this.store._notify();
+    const skipped = entries.length - added.length;
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }],
+      message || `${added.length} ${added.length === 1 ? 'Vokabel' : 'Vokabeln'} übernommen${skipped ? ` (${skipped} doppelt)` : ''}`);
+    return added.length;
+  }
+
+  // Cell edits are saved as they happen, without re-rendering the table.
+  // Each one is an undo step, so undoing an earlier change to the list does
+  // not silently take later edits with it.
+  async _updateVocab(vocabId, field, value) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    const entry = lesson?.vocab?.find(v => v.id === vocabId);
+    if (!entry) return;
+    const next = field === 'type' || field === 'gender' ? value : value.replace(/\s+/g, ' ').trim();
+    if (entry[field] === next) return;
+    const before = structuredClone(lesson);
+    entry[field] = next;
+    try {
+      await this.db.updateLesson(lesson);
+      this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Vokabel geändert');
+    } catch (err) {
+      console.error('Saving vocabulary failed:', err);
+      this.ui.showToast('Vokabel konnte nicht gespeichert werden', 'error');
+    }
+  }
+
+  async _deleteVocab(vocabId) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson?.vocab) return;
+    const before = structuredClone(lesson);
+    lesson.vocab = lesson.vocab.filter(v => v.id !== vocabId);
+    await this.db.updateLesson(lesson);
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Vokabel gelöscht');
+  }
+
+  _openVocabImportModal() {
+    document.getElementById('vocabImportInput').value = '';
+    this._updateVocabImportInfo();
+    document.getElementById('vocabImportModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('vocabImportInput').focus(), 100);
+  }
+
+  _closeVocabImportModal() {
+    document.getElementById('vocabImportModal').classList.add('hidden');
+  }
+
+  _updateVocabImportInfo() {
+    const entries = Vocab.parse(document.getElementById('vocabImportInput').value);
+    const [first] = entries;
+    document.getElementById('vocabImportInfo').textContent = entries.length
+      ? `${entries.length} ${entries.length === 1 ? 'Vokabel' : 'Vokabeln'} erkannt, z.B. „${first.es} – ${first.de}"`
+      : '';
+  }
+
+  async _saveVocabImport() {
+    const entries = Vocab.parse(document.getElementById('vocabImportInput').value);
+    const lessonId = this.store.get('currentLessonId');
+    if (!entries.length) { this.ui.showToast('Keine Vokabeln erkannt', 'error'); return; }
+    this._closeVocabImportModal();
+    await this._importVocab(lessonId, entries);
+  }
+
+  /* ===== Vocabulary Practice ===== */
+  // A round takes the due cards of a lesson, topic or folder. Each answer is
+  // written to its lesson right away, so closing mid-round keeps progress.
+  // When nothing is due, a free round over all cards leaves the boxes alone.
+  _openPractice(scope, id) {
+    const entries = this._vocabEntries(scope, id);
+    if (!entries.length) return;
+    const today = this._todayISO();
+    const due = entries.filter(({ entry, lesson }) => Vocab.isDue(Vocab.srsOf(lesson, entry), today));
+    const round = Vocab.shuffle(due.length ? due : entries).slice(0, Vocab.SESSION);
+    this._practice = {
+      scope,
+      id,
+      queue: round.map(({ entry, lesson }) => ({ lessonId: lesson.id, vocabId: entry.id })),
+      rounds: round.length,
+      index: 0,
+      revealed: false,
+      missed: new Set(),
+      free: !due.length,
+      direction: localStorage.getItem('spanischapp-practice-direction') === 'de' ? 'de' : 'es',
+      changed: !!this._practice?.changed,
+    };
+    const title = scope === 'lesson' ? this._allLessons.find(l => l.id === id)?.title
+      : scope === 'topic' ? this._allTopics.find(t => t.id === id)?.name
+        : this._allFolders.find(f => f.id === id)?.name;
+    document.getElementById('practiceModalTitle').textContent = `Vokabeln üben: ${title}`;
+    document.getElementById('practiceDirection').value = this._practice.direction;
+    document.getElementById('practiceModal').classList.remove('hidden');
+    this._renderPractice();
+  }
+
+  _practiceCard() {
+    const card = this._practice.queue[this._practice.index];
+    const lesson = card && this._allLessons.find(l => l.id === card.lessonId);
+    return { card, lesson, entry: lesson?.vocab?.find(v => v.id === card.vocabId) };
+  }
+
+  _renderPractice() {
+    const p = this._practice;
+    let current = this._practiceCard();
+    // Skip cards deleted in the meantime
+    while (current.card && !current.entry) {
+      p.index++;
+      current = this._practiceCard();
+    }
+    const today = this._todayISO();
+    this.ui.renderPractice({
+      current: current.entry ? { entry: current.entry, path: this._lessonPath(current.lesson.id), srs: Vocab.srsOf(current.lesson, current.entry) } : null,
+      position: p.index + 1,
+      total: p.queue.length,
+      revealed: p.revealed,
+      direction: p.direction,
+      free: p.free,
+      rounds: p.rounds,
+      missed: p.missed.size,
+      more: current.entry || p.free ? 0 : this._vocabEntries(p.scope, p.id).filter(({ entry, lesson }) => Vocab.isDue(Vocab.srsOf(lesson, entry), today)).length,
+    });
+  }
+
+  _practiceAction(action) {
+    const p = this._practice;
+    if (!p) return;
+    const { entry } = this._practiceCard();
+    if (action === 'reveal' && entry && !p.revealed) {
+      p.revealed = true;
+      this._renderPractice();
+    } else if ((action === 'known' || action === 'missed') && entry && p.revealed) {
+      this._answerPractice(action === 'known');
+    } else if (action === 'again' && !entry) {
+      this._openPractice(p.scope, p.id);
+    } else if (action === 'close') {
+      this._closePractice();
+    }
+  }
+
+  async _answerPractice(known) {
+    const p = this._practice;
+    const { card, lesson, entry } = this._practiceCard();
+    // Missed cards come back at the end of the round until they are known
+    if (!known) {
+      p.missed.add(card);
+      p.queue.push(card);
+    }
+    if (!p.free) lesson.srs = { ...lesson.srs, [entry.id]: Vocab.review(Vocab.srsOf(lesson, entry), known, this._todayISO()) };
+    p.index++;
+    p.revealed = false;
+    this._renderPractice();
+    if (p.free) return;
+    p.changed = true;
+    try {
+      await this.db.updateLesson(lesson);
+    } catch (err) {
+      console.error('Saving practice progress failed:', err);
+      this.ui.showToast('Lernstand konnte nicht gespeichert werden', 'error');
+    }
+  }
+
+  async _closePractice() {
+    const p = this._practice;
+    if (!p) return;
+    this._practice = null;
+    document.getElementById('practiceModal').classList.add('hidden');
+    if (!p.changed) return;
+    await this._loadAll();
+    this.store._notify();
+  }
+
+  /* ===== Conjugation Drills ===== */
+  _openDrillModal(drillId = null) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson) return;
+    const drill = drillId ? (lesson.drills || []).find(d => d.id === drillId) : null;
+    this._editingDrill = { lessonId: lesson.id, drillId: drill?.id || null };
+    document.getElementById('drillModalTitle').textContent = drill ? 'Konjugationsübung bearbeiten' : 'Neue Konjugationsübung';
+    document.getElementById('drillTitleInput').value = drill?.title || '';
+    document.getElementById('drillVerbsInput').value = drill ? drill.verbs.join(', ') : '';
+    document.getElementById('drillCountInput').value = drill?.count || Conjugator.COUNT;
+    this.ui.renderDrillOptions({
+      tenses: drill?.tenses || ['presente'],
+      persons: drill?.persons || [0, 1, 2, 3, 4, 5],
+    });
+    this._updateDrillVerbsInfo();
+    document.getElementById('drillModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('drillVerbsInput').focus(), 100);
+  }
+
+  _closeDrillModal() {
+    document.getElementById('drillModal').classList.add('hidden');
+    this._editingDrill = null;
+  }
+
+  // Verbs separated by commas, semicolons or line breaks, without duplicates
+  _parseVerbs(text) {
+    const verbs = [...new Set(text.split(/[,;\n]+/).map(v => v.trim().toLowerCase()).filter(Boolean))];
+    return { verbs, unknown: verbs.filter(v => !Conjugator.isVerb(v)) };
+  }
+
+  _updateDrillVerbsInfo() {
+    const { verbs, unknown } = this._parseVerbs(document.getElementById('drillVerbsInput').value);
+    const info = document.getElementById('drillVerbsInfo');
+    info.textContent = unknown.length
+      ? `Kein spanischer Infinitiv: ${unknown.join(', ')}`
+      : verbs.length ? `${verbs.length} ${verbs.length === 1 ? 'Verb' : 'Verben'}` : 'Infinitive, durch Kommas getrennt – reflexive Verben mit -se';
+    info.classList.toggle('form-error', unknown.length > 0);
+  }
+
+  async _saveDrill() {
+    if (!this._editingDrill) return;
+    const { verbs, unknown } = this._parseVerbs(document.getElementById('drillVerbsInput').value);
+    const tenses = [...document.querySelectorAll('#drillTenseList input:checked')].map(cb => cb.value);
+    const persons = [...document.querySelectorAll('#drillPersonList input:checked')].map(cb => Number(cb.value));
+    if (!verbs.length) { this.ui.showToast('Bitte mindestens ein Verb eingeben', 'error'); return; }
+    if (unknown.length) { this.ui.showToast(`Unbekannte Verben: ${this.ui._esc(unknown.join(', '))}`, 'error'); return; }
+    if (!tenses.length || !persons.length) { this.ui.showToast('Bitte mindestens eine Zeitform und eine Person wählen', 'error'); return; }
+    // The imperative alone has no yo form
+    if (!Conjugator.items({ verbs, tenses, persons }, 1).length) { this.ui.showToast('Diese Auswahl ergibt keine Aufgaben', 'error'); return; }
+    const count = Math.min(100, Math.max(5, Number(document.getElementById('drillCountInput').value) || Conjugator.COUNT));
+    const title = document.getElementById('drillTitleInput').value.trim() || tenses.map(t => Conjugator.tenseLabel(t)).join(', ');
+    const { lessonId, drillId } = this._editingDrill;
+    const lesson = this._allLessons.find(l => l.id === lessonId);
+    if (!lesson) return;
+
+    const before = structuredClone(lesson);
+    if (!lesson.drills) lesson.drills = [];
+    const drill = lesson.drills.find(d => d.id === drillId);
+    if (drill) Object.assign(drill, { title, verbs, tenses, persons, count });
+    else lesson.drills.push({ id: Date.now(), title, verbs, tenses, persons, count, createdAt: Date.now() });
+
+    await this.db.updateLesson(lesson);
+    this._closeDrillModal();
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], drill ? 'Konjugationsübung aktualisiert' : 'Konjugationsübung angelegt');
+  }
+
+  async _deleteDrill(drillId) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    if (!lesson?.drills) return;
+    const before = structuredClone(lesson);
+    lesson.drills = lesson.drills.filter(d => d.id !== drillId);
+    await this.db.updateLesson(lesson);
+    await this._loadAll();
+    this.store._notify();
+    this._record([{ store: 'lessons', id: lesson.id, before, after: structuredClone(lesson) }], 'Konjugationsübung gelöscht');
+  }
+
+  _findDrill(drillId) {
+    const lesson = this._allLessons.find(l => l.id === this.store.get('currentLessonId'));
+    return { lesson, drill: lesson?.drills?.find(d => d.id === drillId) };
+  }
+
+  // Every round draws new items from the drill's verbs, tenses and persons
+  _openDrill(drillId) {
+    const { lesson, drill } = this._findDrill(drillId);
+    if (!drill) return;
+    this._drill = {
+      lessonId: lesson.id,
+      drillId,
+      items: Conjugator.items(drill, drill.count),
+      index: 0,
+      answer: '',
+      result: null,
+      correct: 0,
+      mistakes: [],
+      changed: !!this._drill?.changed,
+    };
+    document.getElementById('drillPracticeTitle').textContent = `Konjugieren: ${drill.title}`;
+    document.getElementById('drillPracticeModal').classList.remove('hidden');
+    this._renderDrill();
+  }
+
+  _renderDrill() {
+    const d = this._drill;
+    this.ui.renderDrill({
+      item: d.items[d.index] || null,
+      position: d.index + 1,
+      total: d.items.length,
+      answer: d.answer,
+      result: d.result,
+      correct: d.correct,
+      mistakes: d.mistakes,
+    });
+    document.getElementById('drillAnswer')?.focus();
+  }
+
+  _drillAction(action) {
+    const d = this._drill;
+    if (!d) return;
+    const item = d.items[d.index];
+    if (action === 'check' && item && !d.result) {
+      this._checkDrill();
+    } else if (action === 'next' && item && d.result) {
+      d.index++;
+      d.answer = '';
+      d.result = null;
+      this._renderDrill();
+      if (d.index === d.items.length) this._saveDrillResult();
+    } else if (action === 'again' && !item) {
+      this._openDrill(d.drillId);
+    } else if (action === 'close') {
+      this._closeDrill();
+    }
+  }
+
+  // Missing accents get their own hint but still count as a mistake
+  _checkDrill() {
+    const d = this._drill;
+    const item = d.items[d.index];
+    const answer = document.getElementById('drillAnswer').value.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!answer) return;
+    const accepted = Conjugator.answers(item.form, item.tense);
+    d.answer = answer;
+    if (accepted.includes(answer)) d.result = 'correct';
+    else if (accepted.some(f => SearchQuery.normalize(f) === SearchQuery.normalize(answer))) d.result = 'accent';
+    else d.result = 'wrong';
+    if (d.result === 'correct') d.correct++;
+    else d.mistakes.push({ item, answer });
+    this._renderDrill();
+  }
+
+  // Only the latest score is kept, in lesson.drillResults keyed by drill id;
+  // like practice progress it stays out of the drills an undo restores
+  async _saveDrillResult() {
+    const d = this._drill;
+    const lesson = this._allLessons.find(l => l.id === d.lessonId);
+    const drill = lesson?.drills?.find(x => x.id === d.drillId);
+    if (!drill) return;
+    lesson.drillResults = { ...lesson.drillResults, [drill.id]: { correct: d.correct, total: d.items.length, date: this._todayISO() } };
+    d.changed = true;
+    try {
+      await this.db.updateLesson(lesson);
+    } catch (err) {
+      console.error('Saving drill result failed:', err);
+      this.ui.showToast('Ergebnis konnte nicht gespeichert werden', 'error');
+    }
+  }
+
+  async _closeDrill() {
+    const d = this._drill;
+    if (!d) return;
+    this._drill = null;
+    document.getElementById('drillPracticeModal').classList.add('hidden');
+    if (!d.changed) return;
+    await this._loadAll();
+    this.store._notify();
+  }
+
+  // The worksheet is stored as a PDF file of the lesson, answer key on the last page(s)
+  async _createWorksheet(drillId) {
+    const { lesson, drill } = this._findDrill(drillId);
+    if (!drill) return;
+    const items = Conjugator.items(drill, drill.count);
+    let blob;
+    try {
+      blob = await this._buildWorksheet(drill, items);
+    } catch (err) {
+      console.error('Worksheet failed:', err);
+      this.ui.showToast('Das Arbeitsblatt konnte nicht erstellt werden', 'error');
+      return;
+    }
+    const name = this._archiveName(`Arbeitsblatt ${drill.title} (${this._todayISO()}).pdf`);
+    await this._storeFiles(lesson.id, [new File([blob], name, { type: 'application/pdf' })]);
+  }
+
+  async _buildWorksheet(drill, items) {
+    const pdf = await Pdf.create({ title: `Arbeitsblatt: ${drill.title}` });
+    const left = 56;
+    const right = Pdf.WIDTH - 56;
+    const bottom = Pdf.HEIGHT - 56;
+    let y = 64;
+    const room = (height) => {
+      if (y + height <= bottom) return;
+      pdf.addPage();
+      y = 64;
+    };
+    const heading = (text, size) => {
+      for (const line of pdf.wrap(text, size, right - left, true)) {
+        pdf.text(left, y, line, { size, bold: true });
+        y += size + 6;
+      }
+    };
+    const prompt = (item) => `(${Conjugator.personLabel(item.tense, item.person)}) ${item.verb}`;
+
+    // Items grouped by tense, numbered across the whole sheet
+    const groups = drill.tenses
+      .map(tense => ({ tense, items: items.filter(i => i.tense === tense) }))
+      .filter(g => g.items.length);
+    let n = 0;
+    groups.forEach(g => g.items.forEach(item => { item.n = ++n; }));
+
+    heading(drill.title, 16);
+    y += 6;
+    pdf.text(left, y, 'Name:', { size: 10 });
+    pdf.line(left + 34, y + 2, left + 250, y + 2);
+    pdf.text(left + 280, y, 'Datum:', { size: 10 });
+    pdf.line(left + 318, y + 2, right, y + 2);
+    y += 28;
+    pdf.text(left, y, 'Konjugiere die Verben in der angegebenen Zeitform.', { size: 10, gray: 0.3 });
+    y += 26;
+    for (const g of groups) {
+      room(48);
+      pdf.text(left, y, Conjugator.tenseLabel(g.tense), { size: 12, bold: true });
+      y += 24;
+      for (const item of g.items) {
+        room(24);
+        pdf.text(left, y, `${item.n}.`, { size: 11, gray: 0.4 });
+        pdf.text(left + 24, y, prompt(item), { size: 11 });
+        pdf.line(left + 250, y + 2, right, y + 2, { gray: 0.6 });
+        y += 24;
+      }
+      y += 8;
+    }
+
+    pdf.addPage();
+    y = 64;
+    heading(`Lösungen: ${drill.title}`, 14);
+    y += 6;
+    for (const g of groups) {
+      room(36);
+      pdf.text(left, y, Conjugator.tenseLabel(g.tense), { size: 11, bold: true });
+      y += 18;
+      for (const item of g.items) {
+        room(16);
+        pdf.text(left, y, `${item.n}.`, { size: 10, gray: 0.4 });
+        pdf.text(left + 24, y, item.form, { size: 10, bold: true });
+        pdf.text(left + 250, y, prompt(item), { size: 10, gray: 0.5 });
+        y += 16;
+      }
+      y += 8;
+    }
+    return pdf.toBlob();
+  }
+
+  /* ===== Undo / Redo ===== */
+  // Pushes a change set onto the history and announces it with an inline
+  // "Rückgängig" button.
+  _record(changes, message) {
+    this.history.push({ message, changes });
+    this.ui.showToast(message, 'success', { label: 'Rückgängig', onClick: () => this._undo() });
+  }
+
+  _trashChange(store, rec) {
+    const { deletedAt, ...before } = rec;
+    return { store, id: rec.id, before, after: rec };
+  }
+
+  async _undo() {
+    if (this._replaying || !this.history.canUndo()) return;
+    const entry = this.history.takeUndo();
+    if (await this._replay(entry, 'undo')) {
+      this.ui.showToast(`Rückgängig: ${entry.message}`, 'info', { label: 'Wiederholen', onClick: () => this._redo() });
+    }
+  }
+
+  async _redo() {
+    if (this._replaying || !this.history.canRedo()) return;
+    const entry = this.history.takeRedo();
+    if (await this._replay(entry, 'redo')) {
+      this.ui.showToast(`Wiederholt: ${entry.message}`, 'info', { label: 'Rückgängig', onClick: () => this._undo() });
+    }
+  }
+
+  // Only the fields a change touched are written back, so unrelated edits
+  // made since (a move, a new order) survive the undo. Undoing a creation
+  // moves the item to the Papierkorb instead of deleting it: files or notes
+  // added to it in the meantime stay recoverable.
+  async _replay(entry, direction) {
+    this._replaying = true;
+    let ok = true;
+    try {
+      const changes = direction === 'undo' ? [...entry.changes].reverse() : entry.changes;
+      for (const { store, id, before, after } of changes) {
+        const [from, to] = direction === 'undo' ? [after, before] : [before, after];
+        if (!to) { await this.db.trashItem(store, id); continue; }
+        const current = await this.db.getRecord(store, id);
+        if (!current) { await this.db.putRecord(store, to); continue; }
+        if (!from) delete current.deletedAt; // redo of a creation undone above
+        for (const key of new Set([...Object.keys(from || {}), ...Object.keys(to)])) {
+          if (from && JSON.stringify(from[key]) === JSON.stringify(to[key])) continue;
+          if (key in to) current[key] = to[key];
+          else delete current[key];
+        }
+        await this.db.putRecord(store, current);
+      }
+    } catch (err) {
+      console.error(`${direction} failed:`, err);
+      this.ui.showToast(direction === 'undo' ? 'Rückgängig machen fehlgeschlagen' : 'Wiederholen fehlgeschlagen', 'error');
+      ok = false;
+    } finally {
+      this._replaying = false;
+    }
+    await this._loadAll();
+    this.store._notify();
+    this._indexPendingFiles();
+    return ok;
   }
 
   /* ===== Confirm Modal ===== */
-  _openConfirmModal(title, message, callback) {
+  _openConfirmModal(title, message, callback, confirmLabel = 'Löschen') {
     document.getElementById('confirmModalTitle').textContent = title;
     document.getElementById('confirmModalMessage').textContent = message;
+    document.getElementById('confirmModalConfirm').textContent = confirmLabel;
     this._confirmCallback = callback;
     document.getElementById('confirmModal').classList.remove('hidden');
   }
@@ -0,0 +1,57 @@
+/* ===== Service Worker ===== */
+// Keeps the app usable without a network: the app shell and the vendored
+// libraries are precached and served cache-first. Bump CACHE_VERSION with
+// every deployment – the changed sw.js installs the new files next to the
+// old cache, the page offers a reload, and activation drops the old cache.
+const CACHE_VERSION = 'spanischapp-v7';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'app.js',
+  'styles.css',
+  'handout.css',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/mammoth.browser.min.js',
+  'vendor/pdf.min.js',
+  'vendor/pdf.worker.min.js',
+  'vendor/pdf-lib.min.js',
+  'vendor/fontkit.min.js',
+  'vendor/DejaVuSans.ttf',
+  'vendor/DejaVuSans-Bold.ttf',
+];
+
+self.addEventListener('install', (event) => {
+  // cache: 'reload' skips the HTTP cache, so a new version never precaches stale files
+  event.waitUntil(caches.open(CACHE_VERSION)
+    .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('spanischapp-') && key !== CACHE_VERSION)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Sent by the page once the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== location.origin) return;
+  // Navigations to the app (also with a ?query) get the cached app shell
+  if (request.mode === 'navigate' && /\/(index\.html)?$/.test(url.pathname)) {
+    event.respondWith(caches.match('index.html')
+      .then(cached => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request, { ignoreSearch: true })
+    .then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,197 @@
+/* ===== Sync Server ===== */
+// Minimal endpoint for the app's sync (HttpSyncTransport), without
+// dependencies: node sync-server.js
+//
+//   PORT        port to listen on (default 8787)
+//   SYNC_DATA   directory for the data (default ./sync-data)
+//   SYNC_TOKEN  requests need "Authorization: Bearer <token>"; without it
+//               a token is generated once, kept in SYNC_DATA/token and
+//               printed at startup
+//   SYNC_ORIGIN origin(s) of the app allowed to call the server from a
+//               browser, comma-separated (e.g. https://user.github.io)
+//
+// The server keeps the newest change per record, numbered by a running
+// sequence, and the file contents by hash. It does not merge anything:
+// conflicts are detected and resolved in the app.
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA = path.resolve(process.env.SYNC_DATA || 'sync-data');
+const ORIGINS = (process.env.SYNC_ORIGIN || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+const MAX_JSON = 50 * 1024 * 1024;
+const MAX_BLOB = 500 * 1024 * 1024;
+
+const LOG_FILE = path.join(DATA, 'changes.json');
+const BLOB_DIR = path.join(DATA, 'blobs');
+fs.mkdirSync(BLOB_DIR, { recursive: true });
+
+const TOKEN_FILE = path.join(DATA, 'token');
+const TOKEN = process.env.SYNC_TOKEN || readToken();
+
+function readToken() {
+  if (!fs.existsSync(TOKEN_FILE)) fs.writeFileSync(TOKEN_FILE, crypto.randomBytes(24).toString('base64url'), { mode: 0o600 });
+  return fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+}
+
+// { seq, changes: { "store:uid": change } }
+const log = fs.existsSync(LOG_FILE) ? JSON.parse(fs.readFileSync(LOG_FILE, 'utf8')) : { seq: 0, changes: {} };
+
+function save() {
+  fs.writeFileSync(`${LOG_FILE}.tmp`, JSON.stringify(log));
+  fs.renameSync(`${LOG_FILE}.tmp`, LOG_FILE);
+}
+
+// SHA-256 hex, or the "unique-…" keys of browsers without crypto.subtle
+function blobPath(hash) {
+  return /^[A-Za-z0-9.-]{1,100}$/.test(hash) && !hash.startsWith('.') ? path.join(BLOB_DIR, hash) : null;
+}
+
+// Compares digests so neither the length nor the content leaks through timing
+function authorized(header) {
+  const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(header || ''), digest(`Bearer ${TOKEN}`));
+}
+
+function tooLarge() {
+  return Object.assign(new Error('Payload too large'), { status: 413 });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JSON) {
+        reject(tooLarge());
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  if (req.method === 'GET' && url.pathname === '/changes') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const changes = Object.values(log.changes).filter(c => c.seq > since).sort((a, b) => a.seq - b.seq);
+    return send(res, 200, { seq: log.seq, changes });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/changes') {
+    const { changes } = await readJSON(req);
+    if (!Array.isArray(changes)) return send(res, 400, { error: 'changes missing' });
+    for (const change of changes) {
+      if (!change?.store || !change.uid) continue;
+      log.changes[`${change.store}:${change.uid}`] = { ...change, seq: ++log.seq };
+    }
+    save();
+    return send(res, 200, { seq: log.seq });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/blobs/missing') {
+    const { hashes } = await readJSON(req);
+    const missing = (Array.isArray(hashes) ? hashes : []).filter(h => {
+      const file = blobPath(String(h));
+      return file && !fs.existsSync(file);
+    });
+    return send(res, 200, { missing });
+  }
+
+  if (parts[0] === 'blobs' && parts.length === 2) {
+    const file = blobPath(decodeURIComponent(parts[1]));
+    if (!file) return send(res, 400, { error: 'invalid hash' });
+    if (req.method === 'GET') {
+      const stream = fs.createReadStream(file);
+      stream.on('open', () => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        stream.pipe(res);
+      });
+      stream.on('error', (err) => {
+        if (res.headersSent) return res.destroy(err);
+        if (err.code === 'ENOENT') return send(res, 404, { error: 'not found' });
+        console.error(err);
+        send(res, 500, { error: err.message });
+      });
+      return;
+    }
+    if (req.method === 'PUT') {
+      if (Number(req.headers['content-length']) > MAX_BLOB) return send(res, 413, { error: 'Payload too large' });
+      // Real SHA-256 keys are checked against the content; "unique-…" keys
+      // can't be and are stored as they come
+      const expected = /^[0-9a-f]{64}$/.test(path.basename(file)) ? path.basename(file) : null;
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      try {
+        await pipeline(req, new Transform({
+          transform(chunk, encoding, done) {
+            size += chunk.length;
+            if (size > MAX_BLOB) return done(tooLarge());
+            hash.update(chunk);
+            done(null, chunk);
+          },
+        }), fs.createWriteStream(tmp));
+        if (expected && hash.digest('hex') !== expected) {
+          fs.rmSync(tmp, { force: true });
+          return send(res, 400, { error: 'hash mismatch' });
+        }
+        fs.renameSync(tmp, file);
+      } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+      }
+      return send(res, 200, { ok: true });
+    }
+  }
+
+  send(res, 404, { error: 'not found' });
+}
+
+const server = http.createServer((req, res) => {
+  // The app usually runs on another origin (e.g. GitHub Pages); only the
+  // configured ones may read the answers
+  res.setHeader('Vary', 'Origin');
+  if (ORIGINS.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+  if (!authorized(req.headers.authorization)) return send(res, 401, { error: 'unauthorized' });
+  handle(req, res).catch((err) => {
+    console.error(err);
+    if (!res.headersSent) send(res, err.status || 500, { error: err.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server on http://localhost:${PORT}, data in ${DATA}`);
+  if (!process.env.SYNC_TOKEN) console.log(`Token (from ${TOKEN_FILE}): ${TOKEN}`);
+  if (!ORIGINS.length) console.log('No SYNC_ORIGIN set: browsers on other origins cannot reach the server');
+});